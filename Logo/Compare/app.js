@@ -0,0 +1,396 @@
+/**
+ * @file Side-by-side comparison of the Logo V1 and V2 exports.
+ * Pairs files by name across the V1 and V2 Lotties folders, loads a pair
+ * into a split card and drives both players from one shared clock and
+ * scrub control. Overlay modes stack the panes as an onion skin or a
+ * difference blend.
+ *
+ * The files are read from each version's manifest.json. A version whose
+ * manifest lists no animations yet falls back to the server's directory
+ * index of its Lotties folder.
+ */
+
+(function () {
+    'use strict';
+
+    const VERSIONS = ['V1', 'V2'];
+
+    /**
+     * Normalizes a file name for pairing ("idle.json" pairs with "Idle.json").
+     * @param {string} fileName
+     * @returns {string}
+     */
+    function pairKey(fileName) {
+        return fileName.replace(/\.json$/i, '').trim().toLowerCase();
+    }
+
+    /**
+     * Flattens a manifest into its animation entries.
+     * @param {object} manifest
+     * @returns {Array<object>}
+     */
+    function listAnimations(manifest) {
+        return (manifest.sections || []).flatMap(section => section.animations || []);
+    }
+
+    /**
+     * Lists the .json files of an asset folder from the server's
+     * directory index. Only used when a manifest lists no animations.
+     *
+     * @param {string} folderUrl - e.g. "../V1/Lotties/White/"
+     * @returns {Promise<Array<string>|null>} File names, or null when the
+     * host serves no index.
+     */
+    async function listFolder(folderUrl) {
+        let response;
+        try {
+            response = await fetch(folderUrl, { cache: 'no-store' });
+        } catch (error) {
+            return null;
+        }
+        if (!response.ok || !(response.headers.get('content-type') || '').includes('text/html')) {
+            return null;
+        }
+
+        const index = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const base = new URL(folderUrl, location.href);
+        const fileNames = [...index.querySelectorAll('a[href]')]
+            .map(link => new URL(link.getAttribute('href'), base))
+            .filter(url => url.pathname.startsWith(base.pathname) && /\.json$/i.test(url.pathname))
+            .map(url => decodeURIComponent(url.pathname.slice(base.pathname.length)))
+            .filter(name => !name.includes('/'));
+
+        // An HTML page without file links is a fallback page, not an index
+        return fileNames.length > 0 ? [...new Set(fileNames)] : null;
+    }
+
+    /**
+     * Lists the exports of a version with their manifest settings (display
+     * name, feedback). Without manifest entries, the default (dark) folder
+     * is listed instead.
+     *
+     * @param {string} version - V1 or V2
+     * @param {object} manifest
+     * @returns {Promise<{files: Array<object>, source: string}>} source is
+     * "manifest", "folder", or "none" when neither lists any files.
+     */
+    async function listVersionFiles(version, manifest) {
+        const animations = listAnimations(manifest);
+        if (animations.length > 0) {
+            return { files: animations, source: 'manifest' };
+        }
+
+        const folder = manifest.themeFolders ? `${manifest.themeFolders.dark}/` : '';
+        const fileNames = await listFolder(`../${version}/Lotties/${folder}`);
+        if (!fileNames) {
+            return { files: [], source: 'none' };
+        }
+        return { files: fileNames.map(fileName => ({ fileName })), source: 'folder' };
+    }
+
+    /**
+     * @param {{V1: string, V2: string}} sources - From listVersionFiles().
+     * @returns {string} Where the compared files came from.
+     */
+    function describeSources(sources) {
+        const unlisted = VERSIONS.filter(version => sources[version] !== 'manifest');
+        if (unlisted.length === 0) {
+            return 'Compared from the V1 and V2 manifests. Run tools/generate-manifest.js to pick up new exports.';
+        }
+        return unlisted.map(version => (sources[version] === 'folder'
+            ? `The ${version} manifest lists no animations, so its Lotties folder is compared.`
+            : `The ${version} manifest lists no animations and this host does not list folders, so ${version} has no files to compare.`
+        )).join(' ');
+    }
+
+    /**
+     * Pairs the files of two versions by name.
+     *
+     * @param {Array<object>} oldFiles - V1, { fileName, ...manifest settings }
+     * @param {Array<object>} newFiles - V2
+     * @returns {{pairs: Array<{key: string, V1: object, V2: object}>, added: Array<object>, removed: Array<object>}}
+     */
+    function pairVersions(oldFiles, newFiles) {
+        const oldByKey = new Map(oldFiles.map(file => [pairKey(file.fileName), file]));
+        const newByKey = new Map(newFiles.map(file => [pairKey(file.fileName), file]));
+
+        const pairs = [];
+        const added = [];
+        newByKey.forEach((animation, key) => {
+            if (oldByKey.has(key)) {
+                pairs.push({ key, V1: oldByKey.get(key), V2: animation });
+            } else {
+                added.push(animation);
+            }
+        });
+
+        const removed = [...oldByKey].filter(([key]) => !newByKey.has(key)).map(([, animation]) => animation);
+        return { pairs, added, removed };
+    }
+
+    /**
+     * Plays two animations in lock step.
+     */
+    class CompareCard {
+        /**
+         * @param {HTMLElement} card - The .compare-card element.
+         * @param {object} manifests - { V1: manifest, V2: manifest }
+         */
+        constructor(card, manifests) {
+            this.card = card;
+            this.manifests = manifests;
+            this.players = {};
+            this.frames = { V1: 0, V2: 0 };
+            this.totalFrames = 0;
+            this.isPlaying = false;
+            this.isLightMode = false;
+            this.pair = null;
+            this.loadId = 0;
+            this.lastTimestamp = null;
+
+            this.ui = {
+                frameCounter: card.querySelector('.frame-counter'),
+                scrub: document.getElementById('compare-scrub'),
+                playButton: document.getElementById('compare-play'),
+                feedback: card.querySelector('.feedback-note')
+            };
+
+            this.boundTick = this.tick.bind(this);
+            this.loadErrors = new EnginiLotties.LoadErrorView(card, () => this.load(this.pair));
+
+            this.ui.scrub.addEventListener('input', () => {
+                this.pause();
+                this.goToFrame(Number(this.ui.scrub.value));
+            });
+            this.ui.playButton.addEventListener('click', () => (this.isPlaying ? this.pause() : this.play()));
+        }
+
+        /**
+         * Loads a pair into both panes.
+         * @param {{V1: object, V2: object}} pair
+         */
+        load(pair) {
+            this.pause();
+            this.pair = pair;
+            this.frames = { V1: 0, V2: 0 };
+            this.totalFrames = 0;
+            this.loadErrors.clear();
+            this.ui.frameCounter.textContent = 'Frame: 0';
+            const loadId = ++this.loadId;
+
+            this.ui.feedback.textContent = pair.V2.feedback || '';
+
+            const loaded = VERSIONS.map(version => new Promise((resolve, reject) => {
+                const pane = this.card.querySelector(`.compare-pane[data-version="${version}"]`);
+                const container = pane.querySelector('.lottie-animation');
+                const path = this.getPath(version, pair[version].fileName);
+                pane.querySelector('.pane-file').textContent = pair[version].fileName;
+
+                if (this.players[version]) {
+                    this.players[version].destroy();
+                }
+
+                const player = lottie.loadAnimation({
+                    container,
+                    renderer: 'svg',
+                    loop: false,
+                    autoplay: false,
+                    path
+                });
+                player.addEventListener('DOMLoaded', () => resolve(player));
+                player.addEventListener('data_failed', () => {
+                    EnginiLotties.describeLoadFailure(path).then(reason => reject({ path, reason }));
+                });
+                player.addEventListener('error', (event) => {
+                    if (event?.type !== 'configError' || player.isLoaded) return;
+                    reject({ path, reason: `not a valid Lottie file (${event.nativeError?.message || 'configuration error'})` });
+                });
+                this.players[version] = player;
+            }).catch(failure => {
+                // Report every failed pane, not only the first one
+                if (loadId === this.loadId) this.loadErrors.add(failure.path, failure.reason);
+                throw failure;
+            }));
+
+            Promise.all(loaded).then(players => {
+                if (loadId !== this.loadId) return;
+                this.totalFrames = Math.max(...players.map(player => Math.floor(player.totalFrames)));
+                this.ui.scrub.max = this.totalFrames - 1;
+                this.goToFrame(0);
+            }, () => {
+                if (loadId !== this.loadId) return;
+                this.ui.scrub.max = 0;
+                this.ui.frameCounter.textContent = 'Not loaded';
+            });
+        }
+
+        /**
+         * @param {string} version - V1 or V2
+         * @param {string} fileName
+         * @returns {string}
+         */
+        getPath(version, fileName) {
+            const themeFolders = this.manifests[version].themeFolders;
+            if (!themeFolders) {
+                return `../${version}/Lotties/${fileName}`;
+            }
+            const folder = this.isLightMode ? themeFolders.light : themeFolders.dark;
+            return `../${version}/Lotties/${folder}/${fileName}`;
+        }
+
+        /**
+         * @param {boolean} isLight
+         */
+        setTheme(isLight) {
+            this.isLightMode = isLight;
+            this.card.classList.toggle('light-mode', isLight);
+            if (this.pair) this.load(this.pair);
+        }
+
+        /**
+         * Parks both players on the same frame. The shorter animation
+         * holds its last frame.
+         * @param {number} frame
+         */
+        goToFrame(frame) {
+            if (this.totalFrames === 0) return;
+
+            const sharedFrame = Math.min(this.totalFrames - 1, Math.max(0, frame));
+            this.showFrames({ V1: sharedFrame, V2: sharedFrame });
+        }
+
+        /**
+         * Parks each player on its own frame, holding the last one.
+         * @param {{V1: number, V2: number}} frames
+         */
+        showFrames(frames) {
+            const counts = [];
+
+            VERSIONS.forEach(version => {
+                const player = this.players[version];
+                const lastFrame = Math.floor(player.totalFrames) - 1;
+                this.frames[version] = Math.min(frames[version], lastFrame);
+                const wholeFrame = Math.floor(this.frames[version]);
+                player.goToAndStop(wholeFrame, true);
+                counts.push(`${version} ${wholeFrame}/${lastFrame + 1}`);
+            });
+
+            const wholeFrame = Math.floor(Math.max(...VERSIONS.map(version => this.frames[version])));
+            this.ui.scrub.value = wholeFrame;
+            this.ui.frameCounter.textContent = `Frame: ${wholeFrame}  (${counts.join(' · ')})`;
+        }
+
+        play() {
+            if (this.totalFrames === 0 || this.isPlaying) return;
+            this.isPlaying = true;
+            this.lastTimestamp = null;
+            this.ui.playButton.textContent = 'Pause';
+            requestAnimationFrame(this.boundTick);
+        }
+
+        pause() {
+            this.isPlaying = false;
+            this.ui.playButton.textContent = 'Play';
+        }
+
+        /**
+         * Shared clock: advances both players from one timestamp so they
+         * never drift apart in time. Each player moves at its own frame
+         * rate, and both restart once the longer one has finished.
+         * @param {number} timestamp
+         */
+        tick(timestamp) {
+            if (!this.isPlaying) return;
+
+            if (this.lastTimestamp !== null) {
+                const elapsedSeconds = (timestamp - this.lastTimestamp) / 1000;
+                const isFinished = VERSIONS.every(version => this.frames[version] >= Math.floor(this.players[version].totalFrames) - 1);
+                const frames = {};
+                VERSIONS.forEach(version => {
+                    const player = this.players[version];
+                    frames[version] = isFinished ? 0 : this.frames[version] + elapsedSeconds * (player.frameRate || 30);
+                });
+                this.showFrames(frames);
+            }
+            this.lastTimestamp = timestamp;
+            requestAnimationFrame(this.boundTick);
+        }
+    }
+
+    /**
+     * Fills an added/removed list.
+     * @param {HTMLElement} list
+     * @param {Array<object>} animations
+     */
+    function renderChangeList(list, animations) {
+        list.replaceChildren();
+        if (animations.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'empty';
+            item.textContent = 'None';
+            list.appendChild(item);
+            return;
+        }
+        animations.forEach(animation => {
+            const item = document.createElement('li');
+            item.textContent = animation.fileName;
+            list.appendChild(item);
+        });
+    }
+
+    async function setupCompare() {
+        const card = document.querySelector('.compare-card');
+        const controls = document.querySelector('.compare-controls');
+        const pairSelect = document.getElementById('compare-pair');
+        const modeSelect = document.getElementById('compare-mode');
+        const onionInput = document.getElementById('compare-onion');
+        const themeToggle = document.getElementById('compare-theme');
+
+        let manifests;
+        try {
+            const responses = await Promise.all(VERSIONS.map(version => fetch(`../${version}/manifest.json`)));
+            const bodies = await Promise.all(responses.map(response => {
+                if (!response.ok) throw new Error(`${response.url}: HTTP ${response.status}`);
+                return response.json();
+            }));
+            manifests = { V1: bodies[0], V2: bodies[1] };
+        } catch (error) {
+            console.error('Could not load the V1/V2 manifests.', error);
+            card.textContent = `Could not load the V1/V2 manifests (${error.message}).`;
+            return;
+        }
+
+        const [oldFiles, newFiles] = await Promise.all(VERSIONS.map(version => listVersionFiles(version, manifests[version])));
+        const { pairs, added, removed } = pairVersions(oldFiles.files, newFiles.files);
+        document.getElementById('compare-source').textContent = describeSources({ V1: oldFiles.source, V2: newFiles.source });
+        renderChangeList(document.getElementById('compare-added'), added);
+        renderChangeList(document.getElementById('compare-removed'), removed);
+
+        pairs.forEach((pair, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = (pair.V2.displayName || pair.V2.fileName).replace('.json', '').trim();
+            pairSelect.appendChild(option);
+        });
+
+        const compareCard = new CompareCard(card, manifests);
+
+        pairSelect.addEventListener('change', () => compareCard.load(pairs[pairSelect.value]));
+        themeToggle.addEventListener('change', () => compareCard.setTheme(themeToggle.checked));
+        modeSelect.addEventListener('change', () => {
+            card.dataset.mode = modeSelect.value;
+            controls.classList.toggle('mode-onion', modeSelect.value === 'onion');
+        });
+        onionInput.addEventListener('input', () => {
+            card.querySelector('.compare-pane[data-version="V2"]').style.opacity = modeSelect.value === 'onion' ? onionInput.value : '';
+        });
+        modeSelect.addEventListener('change', () => onionInput.dispatchEvent(new Event('input')));
+
+        if (pairs.length > 0) {
+            compareCard.load(pairs[0]);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', setupCompare);
+
+})();
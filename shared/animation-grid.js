@@ -0,0 +1,380 @@
+/**
+ * @file Builds the animation sections of a preview page from its
+ * manifest.json and initializes a LottieCard controller for each animation
+ * and a SequenceCard for each sequence. Players are only created for cards
+ * near the viewport (observeCards); sequencer cards load right away.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    const ASSET_ROOT = 'Lotties';
+    const THEME_STORAGE_KEY = 'enginiLotties.theme';
+
+    // Players are created this far before a card scrolls into view...
+    const LOAD_MARGIN = '300px';
+    // ...and destroyed once it is further away than this.
+    const UNLOAD_MARGIN = '2500px';
+
+    /**
+     * Fetches the page manifest, validates it and creates all section
+     * containers. Schema errors and missing files are listed on the page.
+     *
+     * @param {string} [manifestUrl='manifest.json']
+     * @returns {Promise<void>}
+     */
+    async function setupAnimationGrids(manifestUrl = 'manifest.json') {
+        const mainContainer = document.getElementById('animation-sections-container');
+        const cardTemplate = document.getElementById('lottie-card-template');
+        const sequenceTemplate = document.getElementById('sequence-card-template');
+
+        if (!mainContainer || !cardTemplate) {
+            console.error('Missing main container or card template. Aborting.');
+            return;
+        }
+
+        let manifest;
+        try {
+            const response = await fetch(manifestUrl);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            manifest = await response.json();
+        } catch (error) {
+            showManifestErrors(mainContainer, manifestUrl, [{ path: 'manifest', message: `could not be loaded (${error.message})` }]);
+            return;
+        }
+
+        const errors = EnginiLotties.validateManifest(manifest);
+        if (!Array.isArray(manifest.sections)) {
+            showManifestErrors(mainContainer, manifestUrl, errors);
+            return;
+        }
+
+        const themeFolders = manifest.themeFolders || null;
+        const theme = themeFolders ? readStoredTheme() : 'dark';
+        // Without IntersectionObserver every card loads up front
+        const lazy = 'IntersectionObserver' in window;
+        const renderer = manifest.renderer || 'svg';
+        const options = { assetRoot: ASSET_ROOT, themeFolders, theme, lazy, renderer };
+        const cardsBySlug = new Map();
+        const sequenceCards = [];
+
+        manifest.sections.forEach((section, sectionIndex) => {
+            if (!section || !(Array.isArray(section.animations) || Array.isArray(section.sequences))) return;
+
+            // Invalid entries are skipped; their errors are already listed.
+            const animations = (section.animations || []).filter((animation, animationIndex) =>
+                EnginiLotties.validateAnimation(animation, `sections[${sectionIndex}].animations[${animationIndex}]`).length === 0
+            );
+            const sequences = (Array.isArray(section.sequences) ? section.sequences : []).filter((sequence, sequenceIndex) =>
+                EnginiLotties.validateSequence(sequence, `sections[${sectionIndex}].sequences[${sequenceIndex}]`).length === 0
+            );
+
+            const sectionEl = document.createElement('div');
+            sectionEl.className = 'section-container';
+
+            const titleEl = document.createElement('h3');
+            titleEl.textContent = section.title;
+            sectionEl.appendChild(titleEl);
+
+            const descriptionEl = document.createElement('p');
+            descriptionEl.className = 'section-description';
+            descriptionEl.textContent = section.description || '';
+            sectionEl.appendChild(descriptionEl);
+
+            const gridEl = document.createElement('div');
+            gridEl.id = section.id;
+            gridEl.className = 'animation-grid';
+            sectionEl.appendChild(gridEl);
+
+            mainContainer.appendChild(sectionEl);
+
+            populateGrid(gridEl, descriptionEl, cardTemplate, animations, { ...options, palettes: section.palettes || null }, cardsBySlug);
+            sequenceCards.push(...populateSequences(gridEl, descriptionEl, sequenceTemplate, sequences, options));
+        });
+
+        EnginiLotties.setupLoadErrorBanner(mainContainer, [...cardsBySlug.values(), ...sequenceCards]);
+        if (lazy) {
+            observeCards([...cardsBySlug.values()]);
+        }
+        setupPageThemeToggle([...cardsBySlug.values(), ...sequenceCards], themeFolders, theme);
+        setupPagePerformanceControls([...cardsBySlug.values()], renderer, sequenceCards);
+        EnginiLotties.setupCardExport([...cardsBySlug.values()]);
+        EnginiLotties.setupAnnotations([...cardsBySlug.values()]);
+        showLinkedCard(cardsBySlug);
+        window.addEventListener('hashchange', () => showLinkedCard(cardsBySlug));
+
+        errors.push(...await findMissingFiles(manifest, options));
+        if (errors.length > 0) {
+            showManifestErrors(mainContainer, manifestUrl, errors);
+        }
+    }
+
+    /**
+     * Checks that every listed file exists in every theme folder.
+     *
+     * @param {object} manifest
+     * @param {object} options - Asset root and theme folders.
+     * @returns {Promise<Array<{path: string, message: string}>>}
+     */
+    async function findMissingFiles(manifest, options) {
+        const folders = options.themeFolders
+            ? [`${options.assetRoot}/${options.themeFolders.dark}`, `${options.assetRoot}/${options.themeFolders.light}`]
+            : [options.assetRoot];
+        const checks = [];
+
+        const check = (fileName, path) => {
+            if (typeof fileName !== 'string') return;
+
+            folders.forEach(folder => {
+                checks.push(fetch(`${folder}/${fileName}`, { method: 'HEAD' })
+                    .then(response => (response.ok ? null : { path, message: `"${fileName}" not found in ${folder} (HTTP ${response.status})` }))
+                    .catch(error => ({ path, message: `"${fileName}" could not be checked in ${folder} (${error.message})` })));
+            });
+        };
+
+        manifest.sections.forEach((section, sectionIndex) => {
+            (section.animations || []).forEach((animation, animationIndex) => {
+                check(animation?.fileName, `sections[${sectionIndex}].animations[${animationIndex}].fileName`);
+            });
+
+            (Array.isArray(section.sequences) ? section.sequences : []).forEach((sequence, sequenceIndex) => {
+                Object.entries(sequence?.states || {}).forEach(([name, state]) => {
+                    check(state?.fileName, `sections[${sectionIndex}].sequences[${sequenceIndex}].states.${name}.fileName`);
+                });
+            });
+        });
+
+        return (await Promise.all(checks)).filter(Boolean);
+    }
+
+    /**
+     * Lists manifest errors at the top of the page.
+     *
+     * @param {HTMLElement} mainContainer
+     * @param {string} manifestUrl
+     * @param {Array<{path: string, message: string}>} errors
+     */
+    function showManifestErrors(mainContainer, manifestUrl, errors) {
+        console.error(`${manifestUrl} has ${errors.length} error(s).`, errors);
+
+        const panel = document.createElement('div');
+        panel.className = 'manifest-errors';
+
+        const heading = document.createElement('strong');
+        heading.textContent = `${manifestUrl}: ${errors.length} problem(s)`;
+        panel.appendChild(heading);
+
+        const list = document.createElement('ul');
+        errors.forEach(({ path, message }) => {
+            const item = document.createElement('li');
+            item.textContent = `${path}: ${message}`;
+            list.appendChild(item);
+        });
+        panel.appendChild(list);
+
+        mainContainer.prepend(panel);
+    }
+
+    /**
+     * Populates a grid container with animation cards from the template.
+     *
+     * @param {HTMLElement} gridContainer - The grid element to fill.
+     * @param {HTMLElement} descriptionEl - The description element for this section.
+     * @param {HTMLTemplateElement} cardTemplate - The template element to clone.
+     * @param {Array<object>} animations - An array of animationData objects.
+     * @param {object} options - LottieCard options.
+     * @param {Map<string, LottieCard>} cardsBySlug - Cards of the whole page, by deep-link slug.
+     */
+    function populateGrid(gridContainer, descriptionEl, cardTemplate, animations, options, cardsBySlug) {
+        animations.forEach((animationData, index) => {
+            const cardFragment = cardTemplate.content.cloneNode(true);
+            const wrapper = cardFragment.querySelector('.animation-wrapper');
+            if (!wrapper) return;
+
+            const lottieContainer = wrapper.querySelector('.lottie-animation');
+            const lottieContainerId = `lottie-${animationData.fileName.replace(/[^a-zA-Z0-9]/g, '-')}-${index}`;
+            lottieContainer.id = lottieContainerId;
+
+            const titleEl = wrapper.querySelector('.lottie-title');
+            const title = (animationData.displayName || animationData.fileName).replace('.json', '').trim();
+            titleEl.textContent = title;
+
+            if (animationData.feedback) {
+                const feedbackEl = document.createElement('div');
+                feedbackEl.className = 'feedback-note';
+                feedbackEl.textContent = animationData.feedback;
+                titleEl.after(feedbackEl);
+            }
+
+            wrapper.addEventListener('themeChange', (e) => {
+                descriptionEl.classList.toggle('light-mode', e.detail.isLight);
+            });
+
+            gridContainer.appendChild(cardFragment);
+
+            // The card resolves its type (config, markers or file name) and
+            // sets the timeline the CSS shows.
+            const slug = EnginiLotties.createCardSlug(animationData, cardsBySlug);
+            wrapper.dataset.slug = slug;
+            cardsBySlug.set(slug, new EnginiLotties.LottieCard(wrapper, animationData, { ...options, slug }));
+        });
+    }
+
+    /**
+     * Adds a sequencer card per sequence to a grid.
+     *
+     * @param {HTMLElement} gridContainer
+     * @param {HTMLElement} descriptionEl - The description element for this section.
+     * @param {HTMLTemplateElement|null} sequenceTemplate - #sequence-card-template.
+     * @param {Array<object>} sequences - Valid manifest sequences.
+     * @param {object} options - Asset options shared with the LottieCards.
+     * @returns {Array<SequenceCard>}
+     */
+    function populateSequences(gridContainer, descriptionEl, sequenceTemplate, sequences, options) {
+        if (sequences.length === 0) return [];
+        if (!sequenceTemplate) {
+            console.error('Missing the sequence card template, sequences are not shown.');
+            return [];
+        }
+
+        return sequences.map(sequence => {
+            const cardFragment = sequenceTemplate.content.cloneNode(true);
+            const wrapper = cardFragment.querySelector('.animation-wrapper');
+
+            wrapper.addEventListener('themeChange', (e) => {
+                descriptionEl.classList.toggle('light-mode', e.detail.isLight);
+            });
+
+            gridContainer.appendChild(cardFragment);
+            return new EnginiLotties.SequenceCard(wrapper, sequence, options);
+        });
+    }
+
+    /**
+     * Loads cards as they near the viewport, pauses them while off-screen
+     * and destroys the players of cards scrolled far away, so long pages
+     * stay responsive however many animations they list.
+     *
+     * @param {Array<LottieCard>} cards
+     */
+    function observeCards(cards) {
+        const cardsByWrapper = new Map(cards.map(card => [card.wrapper, card]));
+
+        const observe = (rootMargin, callback) => {
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => callback(cardsByWrapper.get(entry.target), entry.isIntersecting));
+            }, { rootMargin });
+            cards.forEach(card => observer.observe(card.wrapper));
+        };
+
+        // Visibility first, so a loader created off-screen does not start playing
+        observe('0px', (card, isVisible) => card.setOffscreen(!isVisible));
+        observe(LOAD_MARGIN, (card, isNear) => {
+            if (isNear) card.load();
+        });
+        observe(UNLOAD_MARGIN, (card, isInRange) => {
+            if (!isInRange) card.unload();
+        });
+    }
+
+    /**
+     * @returns {string} "light" or "dark", as last chosen on any page.
+     */
+    function readStoredTheme() {
+        try {
+            return localStorage.getItem(THEME_STORAGE_KEY) === 'light' ? 'light' : 'dark';
+        } catch (error) {
+            return 'dark'; // Storage can be blocked (privacy mode, file://)
+        }
+    }
+
+    /**
+     * @param {string} theme - "light" or "dark".
+     */
+    function storeTheme(theme) {
+        try {
+            localStorage.setItem(THEME_STORAGE_KEY, theme);
+        } catch (error) {
+            console.warn('Could not remember the theme.', error);
+        }
+    }
+
+    /**
+     * Wires the page-level theme switch (#page-theme-toggle), which moves
+     * every card to the dark or light asset folder at once. Hidden when the
+     * manifest declares no theme folders.
+     *
+     * @param {Array<LottieCard|SequenceCard>} cards
+     * @param {{dark: string, light: string}|null} themeFolders
+     * @param {string} theme - Current page theme.
+     */
+    function setupPageThemeToggle(cards, themeFolders, theme) {
+        const toggle = document.getElementById('page-theme-toggle');
+        if (!toggle) return;
+
+        const container = toggle.closest('.page-theme') || toggle;
+        container.hidden = !themeFolders;
+        if (!themeFolders) return;
+
+        toggle.checked = theme === 'light';
+        toggle.addEventListener('change', () => {
+            const isLight = toggle.checked;
+            cards.forEach(card => card.setTheme(isLight));
+            storeTheme(isLight ? 'light' : 'dark');
+        });
+    }
+
+    /**
+     * Wires the page-level renderer choice (#page-renderer-select) and the
+     * performance overlay switch (#page-perf-toggle).
+     *
+     * @param {Array<LottieCard>} cards
+     * @param {string} renderer - The manifest's renderer.
+     * @param {Array<SequenceCard>} [sequenceCards] - Follow the renderer choice; they have no overlay.
+     */
+    function setupPagePerformanceControls(cards, renderer, sequenceCards = []) {
+        const rendererSelect = document.getElementById('page-renderer-select');
+        if (rendererSelect) {
+            rendererSelect.value = renderer;
+            rendererSelect.addEventListener('change', () => {
+                [...cards, ...sequenceCards].forEach(card => card.setRenderer(rendererSelect.value));
+            });
+        }
+
+        const perfToggle = document.getElementById('page-perf-toggle');
+        if (perfToggle) {
+            perfToggle.addEventListener('change', () => {
+                cards.forEach(card => card.setPerfOverlay(perfToggle.checked));
+            });
+        }
+    }
+
+    /**
+     * Follows a deep link in location.hash (#card=slug&frame=37&theme=light):
+     * scrolls the card into view, highlights it and parks its playhead.
+     *
+     * @param {Map<string, LottieCard>} cardsBySlug
+     */
+    function showLinkedCard(cardsBySlug) {
+        const link = EnginiLotties.parseCardLink(location.hash);
+        if (!link) return;
+
+        const card = cardsBySlug.get(link.card);
+        if (!card) {
+            console.warn(`Deep link names an unknown card "${link.card}".`);
+            return;
+        }
+
+        document.querySelectorAll('.animation-wrapper.linked').forEach(el => el.classList.remove('linked'));
+        card.wrapper.classList.add('linked');
+        card.wrapper.scrollIntoView({ block: 'center' });
+        card.showLinkedMoment(link);
+    }
+
+    EnginiLotties.setupAnimationGrids = setupAnimationGrids;
+
+})(window);
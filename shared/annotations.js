@@ -0,0 +1,226 @@
+/**
+ * @file Review annotations pinned to a card's frame or frame range.
+ *
+ *     {
+ *         "id": "lx2k9c-4f1a", "card": "shapes-suck-in",
+ *         "frameStart": 24, "frameEnd": 71,     // frameEnd null for a single frame
+ *         "author": "Dana", "status": "open",   // or "resolved"
+ *         "text": "The loop jumps on the last frame",
+ *         "createdAt": "...", "updatedAt": "...",
+ *         "replies": [ { "id": "...", "author": "...", "text": "...", "createdAt": "..." } ]
+ *     }
+ *
+ * "card" is the card's deep-link slug (card-links.js). A review round is
+ * handed over as an export file ({ format, version, page, annotations });
+ * importing merges by id, keeping the most recently updated copy and
+ * every reply of both.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ANNOTATIONS_FORMAT = 'engini-annotations';
+    const ANNOTATIONS_VERSION = 1;
+    const ANNOTATION_STATUSES = ['open', 'resolved'];
+
+    const isFrame = (value) => Number.isInteger(value) && value >= 0;
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+    const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+    /**
+     * @returns {string} A short id, unique enough for one review round.
+     */
+    function createId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * @param {object} fields
+     * @param {string} fields.card - Card slug.
+     * @param {number} fields.frameStart
+     * @param {number|null} [fields.frameEnd] - Inclusive; null for a single frame.
+     * @param {string} fields.author
+     * @param {string} fields.text
+     * @param {Date} [now=new Date()]
+     * @returns {object} A new open annotation.
+     * @throws {Error} When the fields do not make a valid annotation.
+     */
+    function createAnnotation({ card, frameStart, frameEnd = null, author, text }, now = new Date()) {
+        const annotation = {
+            id: createId(),
+            card,
+            frameStart,
+            frameEnd: frameEnd === frameStart ? null : frameEnd,
+            author: (author || '').trim(),
+            status: 'open',
+            text: (text || '').trim(),
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            replies: []
+        };
+
+        const errors = validateAnnotation(annotation, 'annotation');
+        if (errors.length > 0) {
+            throw new Error(errors.map(({ path, message }) => `${path}: ${message}`).join('; '));
+        }
+        return annotation;
+    }
+
+    /**
+     * @param {string} author
+     * @param {string} text
+     * @param {Date} [now=new Date()]
+     * @returns {object}
+     */
+    function createReply(author, text, now = new Date()) {
+        if (!isText(author) || !isText(text)) {
+            throw new Error('A reply needs an author and a text');
+        }
+        return { id: createId(), author: author.trim(), text: text.trim(), createdAt: now.toISOString() };
+    }
+
+    /**
+     * @param {object} annotation
+     * @param {string} path - Location used in error messages.
+     * @returns {Array<{path: string, message: string}>} Empty when valid.
+     */
+    function validateAnnotation(annotation, path) {
+        if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) {
+            return [{ path, message: 'must be an object' }];
+        }
+
+        const errors = [];
+        const check = (isValid, key, message) => {
+            if (!isValid) errors.push({ path: `${path}.${key}`, message });
+        };
+
+        check(isText(annotation.id), 'id', 'must be a non-empty string');
+        check(isText(annotation.card), 'card', 'must be a card slug');
+        check(isFrame(annotation.frameStart), 'frameStart', 'must be a non-negative integer frame');
+        check(annotation.frameEnd === null || (isFrame(annotation.frameEnd) && annotation.frameEnd > annotation.frameStart),
+            'frameEnd', 'must be null or a frame after frameStart');
+        check(isText(annotation.author), 'author', 'must be a non-empty string');
+        check(ANNOTATION_STATUSES.includes(annotation.status), 'status', `must be one of ${ANNOTATION_STATUSES.join(', ')}`);
+        check(isText(annotation.text), 'text', 'must be a non-empty string');
+        check(isDate(annotation.createdAt), 'createdAt', 'must be an ISO date');
+        check(isDate(annotation.updatedAt), 'updatedAt', 'must be an ISO date');
+
+        if (!Array.isArray(annotation.replies)) {
+            errors.push({ path: `${path}.replies`, message: 'must be an array' });
+        } else {
+            annotation.replies.forEach((reply, index) => {
+                const replyPath = `${path}.replies[${index}]`;
+                if (!reply || !isText(reply.id) || !isText(reply.author) || !isText(reply.text) || !isDate(reply.createdAt)) {
+                    errors.push({ path: replyPath, message: 'must have an id, author, text and createdAt' });
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * @param {Array<object>} annotations
+     * @param {string} page - The page the review is about (e.g. "Logo/V2").
+     * @param {Date} [now=new Date()]
+     * @returns {object} The export file content.
+     */
+    function serializeAnnotations(annotations, page, now = new Date()) {
+        return {
+            format: ANNOTATIONS_FORMAT,
+            version: ANNOTATIONS_VERSION,
+            page,
+            exportedAt: now.toISOString(),
+            annotations
+        };
+    }
+
+    /**
+     * Reads an export file (or stored data). Invalid annotations are left
+     * out and reported.
+     *
+     * @param {object} data - Parsed JSON.
+     * @returns {{page: string|null, annotations: Array<object>, errors: Array<{path: string, message: string}>}}
+     */
+    function parseAnnotationsFile(data) {
+        if (!data || data.format !== ANNOTATIONS_FORMAT || !Array.isArray(data.annotations)) {
+            return { page: null, annotations: [], errors: [{ path: 'file', message: `is not an ${ANNOTATIONS_FORMAT} export` }] };
+        }
+        if (data.version > ANNOTATIONS_VERSION) {
+            return { page: null, annotations: [], errors: [{ path: 'file', message: `version ${data.version} is newer than this portal (${ANNOTATIONS_VERSION})` }] };
+        }
+
+        const errors = [];
+        const annotations = data.annotations.filter((annotation, index) => {
+            const annotationErrors = validateAnnotation(annotation, `annotations[${index}]`);
+            errors.push(...annotationErrors);
+            return annotationErrors.length === 0;
+        });
+
+        return { page: typeof data.page === 'string' ? data.page : null, annotations, errors };
+    }
+
+    /**
+     * Merges imported annotations into the current ones.
+     *
+     * @param {Array<object>} current
+     * @param {Array<object>} incoming
+     * @returns {{annotations: Array<object>, added: number, updated: number}}
+     */
+    function mergeAnnotations(current, incoming) {
+        const byId = new Map(current.map(annotation => [annotation.id, annotation]));
+        let added = 0;
+        let updated = 0;
+
+        incoming.forEach(annotation => {
+            const existing = byId.get(annotation.id);
+            if (!existing) {
+                byId.set(annotation.id, annotation);
+                added++;
+                return;
+            }
+
+            const newer = Date.parse(annotation.updatedAt) > Date.parse(existing.updatedAt) ? annotation : existing;
+            const replies = new Map([...existing.replies, ...annotation.replies].map(reply => [reply.id, reply]));
+            const merged = {
+                ...newer,
+                replies: [...replies.values()].sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+            };
+
+            if (JSON.stringify(merged) !== JSON.stringify(existing)) {
+                byId.set(annotation.id, merged);
+                updated++;
+            }
+        });
+
+        return { annotations: [...byId.values()], added, updated };
+    }
+
+    /**
+     * @param {{frameStart: number, frameEnd: number|null}} annotation
+     * @returns {string} "Frame 24" or "Frames 24-71".
+     */
+    function formatFrameRange({ frameStart, frameEnd }) {
+        return frameEnd === null ? `Frame ${frameStart}` : `Frames ${frameStart}-${frameEnd}`;
+    }
+
+    return {
+        ANNOTATION_STATUSES,
+        createAnnotation,
+        createReply,
+        validateAnnotation,
+        serializeAnnotations,
+        parseAnnotationsFile,
+        mergeAnnotations,
+        formatFrameRange
+    };
+});
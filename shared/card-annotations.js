@@ -0,0 +1,403 @@
+/**
+ * @file Review notes on cards: each card lists its annotations (annotations.js)
+ * with replies and an open / resolved status, and marks them on its
+ * timeline. Notes are kept in localStorage per page and handed over to the
+ * animators as an exported JSON file, which they can import back.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    const STORAGE_PREFIX = 'enginiLotties.annotations:';
+    const AUTHOR_STORAGE_KEY = 'enginiLotties.annotationAuthor';
+
+    /**
+     * @returns {string} The page path ("Logo/V2"), so each page keeps its own notes.
+     */
+    function getPageKey() {
+        return location.pathname.replace(/index\.html$/, '').replace(/^\/+|\/+$/g, '') || '/';
+    }
+
+    /**
+     * The annotations of one page, saved to localStorage on every change.
+     */
+    class AnnotationStore {
+        /**
+         * @param {string} page - See getPageKey().
+         */
+        constructor(page) {
+            this.page = page;
+            this.storageKey = `${STORAGE_PREFIX}${page}`;
+            this.listeners = new Set();
+            this.annotations = this.read();
+        }
+
+        read() {
+            try {
+                const stored = localStorage.getItem(this.storageKey);
+                if (!stored) return [];
+
+                const { annotations, errors } = EnginiLotties.parseAnnotationsFile(JSON.parse(stored));
+                if (errors.length > 0) {
+                    console.warn('Some stored annotations are invalid and were skipped.', errors);
+                }
+                return annotations;
+            } catch (error) {
+                console.warn('Could not read the stored annotations.', error);
+                return []; // Storage can be blocked (privacy mode, file://)
+            }
+        }
+
+        save() {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.toFile()));
+            } catch (error) {
+                console.warn('Could not store the annotations.', error);
+            }
+            this.listeners.forEach(listener => listener());
+        }
+
+        /**
+         * @param {function(): void} listener - Called after every change.
+         */
+        onChange(listener) {
+            this.listeners.add(listener);
+        }
+
+        /**
+         * @param {string} slug
+         * @returns {Array<object>} The card's annotations by frame.
+         */
+        forCard(slug) {
+            return this.annotations
+                .filter(annotation => annotation.card === slug)
+                .sort((a, b) => a.frameStart - b.frameStart || Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        }
+
+        add(annotation) {
+            this.annotations.push(annotation);
+            this.save();
+        }
+
+        /**
+         * @param {string} id
+         * @param {function(object): object} change - Returns the updated annotation.
+         */
+        update(id, change) {
+            this.annotations = this.annotations.map(annotation => (annotation.id === id
+                ? { ...change(annotation), updatedAt: new Date().toISOString() }
+                : annotation));
+            this.save();
+        }
+
+        remove(id) {
+            this.annotations = this.annotations.filter(annotation => annotation.id !== id);
+            this.save();
+        }
+
+        /**
+         * @returns {object} The export file content.
+         */
+        toFile() {
+            return EnginiLotties.serializeAnnotations(this.annotations, this.page);
+        }
+
+        /**
+         * @param {object} data - A parsed export file.
+         * @returns {{page: string|null, added: number, updated: number, skipped: number, errors: Array<object>}}
+         */
+        import(data) {
+            const { page, annotations, errors } = EnginiLotties.parseAnnotationsFile(data);
+            const merged = EnginiLotties.mergeAnnotations(this.annotations, annotations);
+            const skipped = Array.isArray(data?.annotations) ? data.annotations.length - annotations.length : 0;
+
+            this.annotations = merged.annotations;
+            this.save();
+            return { page, added: merged.added, updated: merged.updated, skipped, errors };
+        }
+    }
+
+    /**
+     * The notes panel (.annotations) and timeline markers of one card.
+     */
+    class CardAnnotations {
+        /**
+         * @param {LottieCard} card
+         * @param {AnnotationStore} store
+         * @param {function(): string|null} getAuthor - The reviewer's name, or null
+         * after asking for it.
+         */
+        constructor(card, store, getAuthor) {
+            this.card = card;
+            this.store = store;
+            this.getAuthor = getAuthor;
+            this.panel = card.wrapper.querySelector('.annotations');
+            this.list = this.panel.querySelector('.annotation-list');
+            this.count = this.panel.querySelector('.annotation-count');
+            this.form = this.panel.querySelector('.annotation-form');
+
+            this.form.addEventListener('submit', this.onSubmit.bind(this));
+            this.form.elements.frameEnd.addEventListener('input', () => this.form.elements.frameEnd.setCustomValidity(''));
+            this.panel.querySelector('.annotation-use-frame').addEventListener('click', () => {
+                this.form.elements.frameStart.value = this.getCurrentFrame();
+            });
+
+            // The markers need the frame count; timelines are rebuilt on every (re)load
+            card.wrapper.addEventListener('timelineBuilt', () => this.render());
+            store.onChange(() => this.render());
+            this.render();
+        }
+
+        getCurrentFrame() {
+            return this.card.totalFrames > 0 ? Math.floor(this.card.lottieAnimation.currentFrame) : 0;
+        }
+
+        render() {
+            const annotations = this.store.forCard(this.card.slug);
+            const openCount = annotations.filter(annotation => annotation.status === 'open').length;
+
+            this.count.textContent = annotations.length > 0 ? `${openCount} open / ${annotations.length}` : '0';
+            this.list.replaceChildren(...annotations.map(annotation => this.renderItem(annotation)));
+            this.renderMarkers(annotations);
+
+            if (this.card.totalFrames > 0) {
+                this.form.elements.frameStart.max = this.form.elements.frameEnd.max = this.card.totalFrames - 1;
+            }
+        }
+
+        /**
+         * Marks each annotation on both timelines (the CSS shows one).
+         * @param {Array<object>} annotations
+         */
+        renderMarkers(annotations) {
+            const totalFrames = this.card.totalFrames;
+
+            this.card.wrapper.querySelectorAll('.timeline-container').forEach(container => {
+                container.querySelectorAll('.annotation-marker').forEach(marker => marker.remove());
+                if (totalFrames === 0) return;
+
+                annotations.forEach(annotation => {
+                    const start = Math.min(annotation.frameStart, totalFrames - 1);
+                    const end = annotation.frameEnd === null ? start : Math.min(annotation.frameEnd, totalFrames - 1);
+
+                    const marker = document.createElement('div');
+                    marker.className = `annotation-marker ${annotation.status}`;
+                    marker.style.left = `${(start / totalFrames) * 100}%`;
+                    marker.style.width = `${((end - start) / totalFrames) * 100}%`;
+                    marker.title = `${EnginiLotties.formatFrameRange(annotation)}: ${annotation.text}`;
+
+                    // The timeline scrubs on pointerdown; a marker opens its note instead
+                    marker.addEventListener('pointerdown', (event) => {
+                        event.stopPropagation();
+                        this.showAnnotation(annotation.id);
+                    });
+                    container.appendChild(marker);
+                });
+            });
+        }
+
+        /**
+         * Opens the panel on a note and parks the playhead on its first frame.
+         * @param {string} id
+         */
+        showAnnotation(id) {
+            const annotation = this.store.annotations.find(each => each.id === id);
+            if (!annotation) return;
+
+            this.panel.open = true;
+            this.card.scrubToFrame(annotation.frameStart);
+
+            this.list.querySelectorAll('.annotation.highlighted').forEach(item => item.classList.remove('highlighted'));
+            const item = [...this.list.children].find(each => each.dataset.id === id);
+            item?.classList.add('highlighted');
+            item?.scrollIntoView({ block: 'nearest' });
+        }
+
+        /**
+         * @param {object} annotation
+         * @returns {HTMLLIElement}
+         */
+        renderItem(annotation) {
+            const create = (tagName, className, text) => {
+                const element = document.createElement(tagName);
+                if (className) element.className = className;
+                if (text !== undefined) element.textContent = text;
+                return element;
+            };
+
+            const item = create('li', `annotation ${annotation.status}`);
+            item.dataset.id = annotation.id;
+
+            const meta = create('div', 'annotation-meta');
+            const framesButton = create('button', 'annotation-frames', EnginiLotties.formatFrameRange(annotation));
+            framesButton.type = 'button';
+            framesButton.title = 'Show this frame';
+            framesButton.addEventListener('click', () => this.showAnnotation(annotation.id));
+            meta.append(
+                framesButton,
+                create('span', 'annotation-author', annotation.author),
+                create('span', 'annotation-date', new Date(annotation.createdAt).toLocaleDateString())
+            );
+
+            const replies = create('ol', 'annotation-replies');
+            annotation.replies.forEach(reply => {
+                const replyItem = create('li');
+                replyItem.append(create('span', 'annotation-author', reply.author), create('span', null, ` ${reply.text}`));
+                replies.appendChild(replyItem);
+            });
+
+            const actions = create('div', 'annotation-actions');
+            const statusButton = create('button', 'annotation-status-toggle', annotation.status === 'open' ? 'Resolve' : 'Reopen');
+            statusButton.type = 'button';
+            statusButton.addEventListener('click', () => this.store.update(annotation.id, current => ({
+                ...current,
+                status: current.status === 'open' ? 'resolved' : 'open'
+            })));
+
+            const deleteButton = create('button', 'annotation-delete', 'Delete');
+            deleteButton.type = 'button';
+            deleteButton.addEventListener('click', () => {
+                if (window.confirm('Delete this note and its replies?')) {
+                    this.store.remove(annotation.id);
+                }
+            });
+            actions.append(statusButton, deleteButton);
+
+            const replyForm = create('form', 'annotation-reply');
+            const replyInput = create('input');
+            replyInput.name = 'reply';
+            replyInput.placeholder = 'Reply...';
+            replyInput.required = true;
+            replyInput.setAttribute('aria-label', 'Reply');
+            const replyButton = create('button', null, 'Reply');
+            replyButton.type = 'submit';
+            replyForm.append(replyInput, replyButton);
+            replyForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const author = this.getAuthor();
+                if (!author) return;
+
+                const reply = EnginiLotties.createReply(author, replyInput.value);
+                this.store.update(annotation.id, current => ({ ...current, replies: [...current.replies, reply] }));
+            });
+
+            item.append(meta, create('p', 'annotation-text', annotation.text), replies, actions, replyForm);
+            return item;
+        }
+
+        onSubmit(event) {
+            event.preventDefault();
+            const fields = this.form.elements;
+            const author = this.getAuthor();
+            if (!author) return;
+
+            const frameStart = Number(fields.frameStart.value);
+            const frameEnd = fields.frameEnd.value === '' ? null : Number(fields.frameEnd.value);
+            if (frameEnd !== null && frameEnd < frameStart) {
+                fields.frameEnd.setCustomValidity('The range must end after its first frame');
+                fields.frameEnd.reportValidity();
+                return;
+            }
+
+            this.store.add(EnginiLotties.createAnnotation({
+                card: this.card.slug,
+                frameStart,
+                frameEnd,
+                author,
+                text: fields.text.value
+            }));
+            fields.text.value = '';
+            fields.frameEnd.value = '';
+        }
+    }
+
+    /**
+     * @param {string} page
+     * @returns {string} e.g. "notes-logo-v2-2024-05-01.json"
+     */
+    function getExportFileName(page) {
+        const day = new Date().toISOString().slice(0, 10);
+        return `notes-${EnginiLotties.toSlug(page) || 'portal'}-${day}.json`;
+    }
+
+    /**
+     * Sets up the notes panel of every card and the page's reviewer name,
+     * export and import controls (.annotation-controls).
+     *
+     * @param {Array<LottieCard>} cards
+     */
+    function setupAnnotations(cards) {
+        const store = new AnnotationStore(getPageKey());
+        const authorInput = document.getElementById('annotation-author');
+        const status = document.querySelector('.annotation-controls .annotation-status');
+
+        if (authorInput) {
+            try {
+                authorInput.value = localStorage.getItem(AUTHOR_STORAGE_KEY) || '';
+            } catch (error) {
+                // Storage blocked: the name is asked for again next time
+            }
+            authorInput.addEventListener('input', () => authorInput.setCustomValidity(''));
+            authorInput.addEventListener('change', () => {
+                try {
+                    localStorage.setItem(AUTHOR_STORAGE_KEY, authorInput.value.trim());
+                } catch (error) {
+                    console.warn('Could not remember the reviewer name.', error);
+                }
+            });
+        }
+
+        const getAuthor = () => {
+            const author = authorInput?.value.trim();
+            if (author) return author;
+
+            authorInput?.setCustomValidity('Enter your name before adding notes');
+            authorInput?.reportValidity();
+            return null;
+        };
+
+        cards.forEach(card => {
+            if (card.slug && card.wrapper.querySelector('.annotations')) {
+                new CardAnnotations(card, store, getAuthor);
+            }
+        });
+
+        document.getElementById('annotations-export')?.addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(store.toFile(), null, 2)], { type: 'application/json' });
+            EnginiLotties.downloadBlob(blob, getExportFileName(store.page));
+        });
+
+        const importInput = document.getElementById('annotations-import-file');
+        document.getElementById('annotations-import')?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', async () => {
+            const [file] = importInput.files;
+            importInput.value = '';
+            if (!file) return;
+
+            let result;
+            try {
+                result = store.import(JSON.parse(await file.text()));
+            } catch (error) {
+                result = { page: null, added: 0, updated: 0, skipped: 0, errors: [{ path: 'file', message: `is not valid JSON (${error.message})` }] };
+            }
+
+            if (result.errors.length > 0) {
+                console.warn(`${file.name}: some notes were not imported.`, result.errors);
+            }
+            if (!status) return;
+
+            if (result.page === null && result.errors.length > 0) {
+                status.textContent = `Nothing imported: ${file.name} ${result.errors[0].message}`;
+            } else {
+                const fromPage = result.page && result.page !== store.page ? ` from ${result.page}` : '';
+                const skipped = result.skipped > 0 ? `, ${result.skipped} invalid skipped (see the console)` : '';
+                status.textContent = `Imported${fromPage}: ${result.added} new, ${result.updated} updated${skipped}`;
+            }
+        });
+    }
+
+    EnginiLotties.setupAnnotations = setupAnnotations;
+
+})(window);
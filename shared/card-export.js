@@ -0,0 +1,384 @@
+/**
+ * @file Exports a card as a GIF, a WebM video or a zipped PNG sequence for
+ * people who can't open the portal.
+ *
+ * The animation is rendered off-screen with lottie's canvas renderer, one
+ * frame at a time, in the chosen theme, palette, size and background.
+ * Loop cards export intro + N loop passes + outro, the way hovering plays
+ * them (buildExportFrames in media-export.js).
+ *
+ * WebM needs MediaRecorder and canvas.captureStream, and is recorded in
+ * real time; GIF and PNG render as fast as the page allows.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    // Same as the card backgrounds in both themes
+    const THEME_BACKGROUNDS = { dark: '#1a1a1a', light: '#f0f0f0' };
+    const GIF_PALETTE_SAMPLES = 8;
+    const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+    /**
+     * @returns {string|null} A WebM type MediaRecorder can record, or null.
+     */
+    function findWebmType() {
+        if (typeof MediaRecorder === 'undefined' || !HTMLCanvasElement.prototype.captureStream) {
+            return null;
+        }
+        return WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    const nextTask = () => new Promise(resolve => setTimeout(resolve, 0));
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    function throwIfAborted(signal) {
+        if (signal?.aborted) {
+            throw new DOMException('Export cancelled', 'AbortError');
+        }
+    }
+
+    /**
+     * Fetches the card's JSON in the given theme, with its palette applied.
+     * @param {LottieCard} card
+     * @param {boolean} isLight
+     * @returns {Promise<object>} Animation data lottie may mutate.
+     */
+    async function loadExportData(card, isLight) {
+        const path = card.getAnimationPath(isLight);
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`${path} could not be loaded (HTTP ${response.status})`);
+        }
+        const json = await response.json();
+
+        if (card.paletteName) {
+            return EnginiLotties.recolorAnimation(json, card.palettes[card.paletteName]).animationData;
+        }
+        return json;
+    }
+
+    /**
+     * Creates a canvas player drawing into a detached canvas.
+     * @returns {Promise<{player: object, canvas: HTMLCanvasElement}>}
+     */
+    function createCanvasPlayer(animationData, width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const player = lottie.loadAnimation({
+            renderer: 'canvas',
+            loop: false,
+            autoplay: false,
+            animationData,
+            rendererSettings: {
+                context: canvas.getContext('2d'),
+                clearCanvas: true,
+                dpr: 1,
+                preserveAspectRatio: 'xMidYMid meet'
+            }
+        });
+
+        return new Promise((resolve, reject) => {
+            player.addEventListener('DOMLoaded', () => resolve({ player, canvas }));
+            player.addEventListener('data_failed', () => reject(new Error('lottie could not read the animation data')));
+        });
+    }
+
+    /**
+     * Renders a card to a file.
+     *
+     * @param {LottieCard} card
+     * @param {object} options
+     * @param {string} options.format - "gif", "webm" or "png" (zipped sequence).
+     * @param {boolean} options.isLight - Theme folder to export from.
+     * @param {string|null} options.background - "#RRGGBB", or null for
+     * transparent (PNG only).
+     * @param {number} options.width - Output width; the height follows the aspect ratio.
+     * @param {number} options.rangeStart - First frame (inclusive).
+     * @param {number} options.rangeEnd - Last frame (inclusive).
+     * @param {number} [options.loopCount=1] - Loop passes for loop cards.
+     * @param {object} [hooks]
+     * @param {AbortSignal} [hooks.signal]
+     * @param {function(number, number): void} [hooks.onProgress] - (done, total) frames.
+     * @returns {Promise<{blob: Blob, fileName: string}>}
+     */
+    async function exportCard(card, options, { signal, onProgress = () => {} } = {}) {
+        if (!EnginiLotties.EXPORT_FORMATS.includes(options.format)) {
+            throw new Error(`Unknown export format "${options.format}"`);
+        }
+        if (options.background === null && options.format !== 'png') {
+            throw new Error('Only the PNG sequence can have a transparent background');
+        }
+
+        const animationData = await loadExportData(card, options.isLight);
+        throwIfAborted(signal);
+
+        const width = Math.round(options.width);
+        // Even sizes keep video encoders happy
+        const height = Math.max(2, Math.round((width * animationData.h) / animationData.w / 2) * 2);
+        const frameRate = animationData.fr;
+
+        const frames = EnginiLotties.buildExportFrames({
+            totalFrames: Math.floor(animationData.op - animationData.ip),
+            loopStartFrame: card.isLooping ? card.loopStartFrame : 0,
+            loopEndFrame: card.isLooping ? card.loopEndFrame : 0,
+            loopCount: options.loopCount || 1,
+            rangeStart: options.rangeStart,
+            rangeEnd: options.rangeEnd
+        });
+        if (frames.length === 0) {
+            throw new Error(`No frames between ${options.rangeStart} and ${options.rangeEnd}`);
+        }
+
+        const { player, canvas: lottieCanvas } = await createCanvasPlayer(animationData, width, height);
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+
+        const drawFrame = (frame) => {
+            player.goToAndStop(frame, true);
+            context.clearRect(0, 0, width, height);
+            if (options.background) {
+                context.fillStyle = options.background;
+                context.fillRect(0, 0, width, height);
+            }
+            context.drawImage(lottieCanvas, 0, 0);
+        };
+
+        const renderers = { gif: renderGif, webm: renderWebm, png: renderPngSequence };
+        const baseName = [
+            card.slug || card.animationData.fileName.replace(/\.json$/i, '').trim(),
+            card.themeFolders ? (options.isLight ? 'light' : 'dark') : null
+        ].filter(Boolean).join('-');
+
+        try {
+            const blob = await renderers[options.format]({
+                frames, frameRate, width, height, output, context, drawFrame, baseName, signal, onProgress
+            });
+            const extension = options.format === 'png' ? 'zip' : options.format;
+            return { blob, fileName: `${baseName}.${extension}` };
+        } finally {
+            player.destroy();
+        }
+    }
+
+    async function renderGif({ frames, frameRate, width, height, context, drawFrame, signal, onProgress }) {
+        // First pass: the palette from a few frames spread over the export
+        const samples = [];
+        const step = Math.max(1, Math.floor(frames.length / GIF_PALETTE_SAMPLES));
+        for (let index = 0; index < frames.length; index += step) {
+            drawFrame(frames[index]);
+            samples.push(context.getImageData(0, 0, width, height).data);
+        }
+
+        const encoder = new EnginiLotties.GifEncoder(width, height, EnginiLotties.buildGifPalette(samples));
+        const delays = EnginiLotties.getGifDelays(frames.length, frameRate);
+
+        for (let index = 0; index < frames.length; index++) {
+            throwIfAborted(signal);
+            drawFrame(frames[index]);
+            encoder.addFrame(context.getImageData(0, 0, width, height).data, delays[index]);
+            onProgress(index + 1, frames.length);
+            await nextTask();
+        }
+
+        return new Blob([encoder.finish()], { type: 'image/gif' });
+    }
+
+    async function renderPngSequence({ frames, output, drawFrame, baseName, signal, onProgress }) {
+        const files = [];
+
+        for (let index = 0; index < frames.length; index++) {
+            throwIfAborted(signal);
+            drawFrame(frames[index]);
+            const png = await new Promise(resolve => output.toBlob(resolve, 'image/png'));
+            files.push({
+                name: `${baseName}_${String(index + 1).padStart(4, '0')}.png`,
+                data: new Uint8Array(await png.arrayBuffer())
+            });
+            onProgress(index + 1, frames.length);
+        }
+
+        return new Blob([EnginiLotties.createZip(files)], { type: 'application/zip' });
+    }
+
+    async function renderWebm({ frames, frameRate, output, drawFrame, signal, onProgress }) {
+        const mimeType = findWebmType();
+        if (!mimeType) {
+            throw new Error('This browser cannot record WebM (MediaRecorder / captureStream missing)');
+        }
+
+        // Frames are pushed by hand, one per animation frame, in real time
+        const stream = output.captureStream(0);
+        const [track] = stream.getVideoTracks();
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+        recorder.addEventListener('dataavailable', event => chunks.push(event.data));
+        const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve));
+
+        recorder.start();
+        try {
+            for (let index = 0; index < frames.length; index++) {
+                throwIfAborted(signal);
+                drawFrame(frames[index]);
+                track.requestFrame();
+                onProgress(index + 1, frames.length);
+                await wait(1000 / frameRate);
+            }
+        } finally {
+            recorder.stop();
+            await stopped;
+            track.stop();
+        }
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * @param {Blob} blob
+     * @param {string} fileName
+     */
+    function downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Wires every card's .export-card button to the page's #export-dialog.
+     *
+     * @param {Array<LottieCard>} cards
+     */
+    function setupCardExport(cards) {
+        const dialog = document.getElementById('export-dialog');
+        if (!dialog) return;
+
+        const form = dialog.querySelector('form');
+        const fields = form.elements;
+        const status = dialog.querySelector('.export-status');
+        const startButton = dialog.querySelector('.export-start');
+        let card = null;
+        let isCardReady = false;
+        let abortController = null;
+
+        const webmOption = fields.format.querySelector('option[value="webm"]');
+        webmOption.disabled = !findWebmType();
+
+        const updateBackgroundState = () => {
+            const isPng = fields.format.value === 'png';
+            fields.transparent.disabled = !isPng;
+            fields.background.disabled = isPng && fields.transparent.checked;
+        };
+
+        // The loop points and length come from the loaded animation
+        const renderCardRange = () => {
+            isCardReady = card.totalFrames > 0;
+            dialog.querySelector('.export-loops').hidden = !(card.isLooping && card.loopEndFrame > card.loopStartFrame);
+            fields.rangeStart.value = 0;
+            fields.rangeEnd.value = Math.max(0, card.totalFrames - 1);
+            fields.rangeStart.max = fields.rangeEnd.max = Math.max(0, card.totalFrames - 1);
+            startButton.disabled = !isCardReady;
+            status.textContent = isCardReady ? '' : 'The animation is still loading...';
+        };
+
+        // Enables Export once a card that was still loading is ready
+        const onTimelineBuilt = () => {
+            if (!isCardReady && !abortController) renderCardRange();
+        };
+
+        const open = (selectedCard) => {
+            card = selectedCard;
+            const theme = card.isLightMode ? 'light' : 'dark';
+
+            dialog.querySelector('.export-title').textContent = `Export ${card.wrapper.querySelector('.lottie-title').textContent}`;
+            dialog.querySelector('.export-theme').hidden = !card.themeFolders;
+            fields.theme.value = theme;
+            fields.background.value = THEME_BACKGROUNDS[theme];
+            updateBackgroundState();
+            renderCardRange();
+
+            card.wrapper.addEventListener('timelineBuilt', onTimelineBuilt);
+            card.load();
+
+            dialog.showModal();
+        };
+
+        cards.forEach(eachCard => {
+            eachCard.wrapper.querySelector('.export-card')?.addEventListener('click', () => open(eachCard));
+        });
+
+        fields.format.addEventListener('change', updateBackgroundState);
+        fields.transparent.addEventListener('change', updateBackgroundState);
+        fields.theme.addEventListener('change', () => {
+            fields.background.value = THEME_BACKGROUNDS[fields.theme.value];
+        });
+
+        // Escape closes the dialog; a running export stops with it
+        dialog.addEventListener('close', () => {
+            abortController?.abort();
+            card?.wrapper.removeEventListener('timelineBuilt', onTimelineBuilt);
+        });
+
+        dialog.querySelector('.export-cancel').addEventListener('click', () => {
+            if (abortController) {
+                abortController.abort();
+            } else {
+                dialog.close();
+            }
+        });
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            if (abortController) return;
+
+            const isPng = fields.format.value === 'png';
+            const options = {
+                format: fields.format.value,
+                isLight: Boolean(card.themeFolders) && fields.theme.value === 'light',
+                background: isPng && fields.transparent.checked ? null : fields.background.value,
+                width: Number(fields.width.value),
+                rangeStart: Number(fields.rangeStart.value),
+                rangeEnd: Number(fields.rangeEnd.value),
+                loopCount: Number(fields.loopCount.value)
+            };
+
+            abortController = new AbortController();
+            startButton.disabled = true;
+            status.textContent = 'Loading...';
+
+            try {
+                const { blob, fileName } = await exportCard(card, options, {
+                    signal: abortController.signal,
+                    onProgress: (done, total) => { status.textContent = `Rendering frame ${done} / ${total}`; }
+                });
+                downloadBlob(blob, fileName);
+                status.textContent = `Saved ${fileName} (${Math.round(blob.size / 1024)} KB)`;
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    status.textContent = 'Export cancelled.';
+                } else {
+                    console.error('Export failed.', error);
+                    status.textContent = `Export failed: ${error.message}`;
+                }
+            } finally {
+                abortController = null;
+                startButton.disabled = false;
+            }
+        });
+    }
+
+    EnginiLotties.exportCard = exportCard;
+    EnginiLotties.setupCardExport = setupCardExport;
+    EnginiLotties.downloadBlob = downloadBlob;
+
+})(window);
@@ -0,0 +1,155 @@
+/**
+ * @file Input layer for a card's preview area. Maps mouse hover, touch
+ * (tap to toggle, long-press to hold), keyboard focus and Enter/Space onto
+ * the single "hover start" / "hover end" pair the playback state machine
+ * understands, so every playback type works on phones, tablets and with a
+ * keyboard.
+ *
+ * Several inputs can engage the card at once (e.g. hovered and focused);
+ * start fires when the first one engages and end when the last releases.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    const LONG_PRESS_MS = 450;
+
+    class CardInteraction {
+        /**
+         * @param {HTMLElement} element - The element receiving input (.lottie-animation).
+         * @param {object} handlers
+         * @param {function(): void} handlers.onStart - Called like mouseenter.
+         * @param {function(): void} handlers.onEnd - Called like mouseleave.
+         */
+        constructor(element, { onStart, onEnd }) {
+            this.element = element;
+            this.onStart = onStart;
+            this.onEnd = onEnd;
+
+            // 'hover', 'focus', 'press' (long-press) and 'toggle' (tap, Enter/Space)
+            this.sources = new Set();
+            this.longPressTimer = null;
+            this.isPointerDown = false;
+
+            element.addEventListener('pointerenter', this.onPointerEnter.bind(this));
+            element.addEventListener('pointerleave', this.onPointerLeave.bind(this));
+            element.addEventListener('pointerdown', this.onPointerDown.bind(this));
+            element.addEventListener('pointerup', this.onPointerUp.bind(this));
+            element.addEventListener('pointercancel', this.onPointerCancel.bind(this));
+            element.addEventListener('focus', this.onFocus.bind(this));
+            element.addEventListener('blur', this.onBlur.bind(this));
+            element.addEventListener('keydown', this.onKeyDown.bind(this));
+
+            // A long-press must not open the context menu or select text
+            element.addEventListener('contextmenu', (event) => {
+                if (this.sources.has('press')) event.preventDefault();
+            });
+        }
+
+        get isEngaged() {
+            return this.sources.size > 0;
+        }
+
+        engage(source) {
+            const wasEngaged = this.isEngaged;
+            this.sources.add(source);
+            if (!wasEngaged) this.changed();
+        }
+
+        release(source) {
+            if (!this.sources.delete(source)) return;
+            if (!this.isEngaged) this.changed();
+        }
+
+        releaseAll() {
+            if (!this.isEngaged) return;
+            this.sources.clear();
+            this.changed();
+        }
+
+        /**
+         * Tap, Enter and Space stop an engaged card, otherwise start it.
+         */
+        toggle() {
+            if (this.isEngaged) {
+                this.releaseAll();
+            } else {
+                this.engage('toggle');
+            }
+        }
+
+        changed() {
+            this.element.setAttribute('aria-pressed', String(this.isEngaged));
+            if (this.isEngaged) {
+                this.onStart();
+            } else {
+                this.onEnd();
+            }
+        }
+
+        // Touch also fires pointerenter/leave; only real hover counts.
+        onPointerEnter(event) {
+            if (event.pointerType !== 'touch') this.engage('hover');
+        }
+
+        onPointerLeave(event) {
+            if (event.pointerType !== 'touch') this.release('hover');
+        }
+
+        onPointerDown(event) {
+            this.isPointerDown = true;
+            if (event.pointerType !== 'touch') return;
+
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = setTimeout(() => {
+                this.longPressTimer = null;
+                this.engage('press');
+            }, LONG_PRESS_MS);
+        }
+
+        onPointerUp(event) {
+            this.isPointerDown = false;
+            if (event.pointerType !== 'touch') return;
+
+            if (this.longPressTimer) {
+                // Released before the long-press delay: a tap
+                clearTimeout(this.longPressTimer);
+                this.longPressTimer = null;
+                this.toggle();
+            } else {
+                this.release('press');
+            }
+        }
+
+        onPointerCancel() {
+            // e.g. the touch turned into a scroll
+            this.isPointerDown = false;
+            clearTimeout(this.longPressTimer);
+            this.longPressTimer = null;
+            this.release('press');
+        }
+
+        onFocus() {
+            // Clicks and taps also focus; only keyboard focus previews
+            if (!this.isPointerDown) this.engage('focus');
+        }
+
+        onBlur() {
+            this.release('focus');
+            this.release('toggle');
+        }
+
+        onKeyDown(event) {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+
+            event.preventDefault(); // Space would scroll the page
+            if (event.repeat) return;
+            this.toggle();
+        }
+    }
+
+    EnginiLotties.CardInteraction = CardInteraction;
+
+})(window);
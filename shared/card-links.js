@@ -0,0 +1,96 @@
+/**
+ * @file Deep links to a moment of a card:
+ *
+ *     Logo/V2/index.html#card=shapes-suck-in&frame=37&theme=light
+ *
+ * "card" is the card's slug, derived from its displayName (or fileName)
+ * so links survive reordering the manifest. "frame" and "theme" are
+ * optional.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const THEMES = ['dark', 'light'];
+
+    /**
+     * "Shapes Suck In" / "Shapes Suck In.json" -> "shapes-suck-in".
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    function toSlug(name) {
+        return name
+            .replace(/\.json$/i, '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Slug for an animation entry, suffixed ("-2", "-3", ...) when another
+     * card on the page already uses it.
+     *
+     * @param {object} animation - Manifest animation entry.
+     * @param {Set<string>|Map<string, *>} takenSlugs - Slugs already in use.
+     * @returns {string}
+     */
+    function createCardSlug(animation, takenSlugs) {
+        const base = toSlug(animation.displayName || animation.fileName) || 'card';
+        let slug = base;
+        for (let n = 2; takenSlugs.has(slug); n++) {
+            slug = `${base}-${n}`;
+        }
+        return slug;
+    }
+
+    /**
+     * @param {string} hash - location.hash, with or without the leading "#".
+     * @returns {{card: string, frame: number|null, theme: string|null}|null}
+     * Null when the hash does not name a card.
+     */
+    function parseCardLink(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const card = params.get('card');
+        if (!card) return null;
+
+        // Number('') is 0, so "frame=" needs its own check
+        const rawFrame = (params.get('frame') || '').trim();
+        const frame = Number(rawFrame);
+        const theme = params.get('theme');
+
+        return {
+            card,
+            frame: rawFrame !== '' && Number.isInteger(frame) && frame >= 0 ? frame : null,
+            theme: THEMES.includes(theme) ? theme : null
+        };
+    }
+
+    /**
+     * @param {{card: string, frame?: number|null, theme?: string|null}} link
+     * @returns {string} Hash including the leading "#".
+     */
+    function formatCardLink({ card, frame = null, theme = null }) {
+        const params = new URLSearchParams({ card });
+        if (frame !== null) params.set('frame', frame);
+        if (theme !== null) params.set('theme', theme);
+        return `#${params}`;
+    }
+
+    return {
+        toSlug,
+        createCardSlug,
+        parseCardLink,
+        formatCardLink
+    };
+});
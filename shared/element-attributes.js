@@ -0,0 +1,75 @@
+/**
+ * @file Parses the playback attributes of <engini-lottie> (engini-lottie.js)
+ * into the manifest's settings, so the element and a card read the same
+ * values alike:
+ *
+ *     loop-frames="24-71"       -> loopFrames [24, 71]
+ *     freeze-frame="29"         -> freezeFrame 29
+ *     idle-interval="4-9"       -> idleInterval [4, 9] ("6" -> [6, 6])
+ *     segments='[{"name": ...}]' -> segments, checked like a manifest entry
+ *
+ * Missing or malformed values parse to null.
+ *
+ * Works both as a browser script (window.EnginiLotties, after manifest.js)
+ * and as a Node module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./manifest.js'));
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, factory(root.EnginiLotties || {}));
+    }
+})(typeof self !== 'undefined' ? self : this, function (EnginiLotties) {
+    'use strict';
+
+    /**
+     * @param {string|null} value - e.g. "24-71" or "24, 71".
+     * @returns {number[]|null} [start, end]
+     */
+    function parseLoopFrames(value) {
+        const match = /^\s*(\d+)\s*[-,]\s*(\d+)\s*$/.exec(value || '');
+        return match ? [Number(match[1]), Number(match[2])] : null;
+    }
+
+    /**
+     * @param {string|null} value - e.g. "29".
+     * @returns {number|null}
+     */
+    function parseFreezeFrame(value) {
+        return /^\s*\d+\s*$/.test(value || '') ? Number(value) : null;
+    }
+
+    /**
+     * @param {string|null} value - Seconds, fixed ("6") or a range ("4-9", "2.5-4").
+     * @returns {number[]|null} [min, max]
+     */
+    function parseIdleInterval(value) {
+        const match = /^\s*(\d+(?:\.\d+)?)\s*(?:-\s*(\d+(?:\.\d+)?)\s*)?$/.exec(value || '');
+        return match ? [Number(match[1]), Number(match[2] ?? match[1])] : null;
+    }
+
+    /**
+     * @param {string|null} value - The manifest's segments, as JSON.
+     * @returns {{segments: Array<object>|null, problems: string[]}} segments
+     * is null when the value is missing or has problems.
+     */
+    function parseSegments(value) {
+        if (!value) return { segments: null, problems: [] };
+
+        let segments;
+        try {
+            segments = JSON.parse(value);
+        } catch (error) {
+            return { segments: null, problems: [`segments is not valid JSON (${error.message})`] };
+        }
+
+        // Same rules as a manifest entry; paths come back as ".segments[0].start"
+        const errors = EnginiLotties.validateAnimation({ fileName: 'element.json', animationType: 'segments', segments }, '');
+        return errors.length > 0
+            ? { segments: null, problems: errors.map(({ path, message }) => `${path.replace(/^\./, '')}: ${message}`) }
+            : { segments, problems: [] };
+    }
+
+    return { parseLoopFrames, parseFreezeFrame, parseIdleInterval, parseSegments };
+});
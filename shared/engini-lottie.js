@@ -0,0 +1,417 @@
+/**
+ * @file <engini-lottie>: the production player. Plays an animation with
+ * the same rules as the portal's LottieCard (PlaybackStateMachine), so the
+ * website behaves exactly like the reviewed card.
+ *
+ *     <engini-lottie src="Lotties/White/Loop-24-71.json"
+ *                    src-light="Lotties/Black/Loop-24-71.json"
+ *                    type="loop" loop-frames="24-71" theme="dark">
+ *     </engini-lottie>
+ *
+ * Attributes:
+ * - src: the Lottie JSON; src-light replaces it when theme="light".
+ * - type: playOnce, playAndHold, loop, freeze, continuous, idle or segments. Without
+ *   it the type follows the file's markers, then the file name, like a card.
+ * - loop-frames ("24-71") and freeze-frame ("29"): used when the file has
+ *   no markers.
+ * - segments: the segments of a segments animation, as the manifest's
+ *   JSON ('[{"name": "Build In", "start": 0, "behavior": "play"}, ...]').
+ * - idle-interval: seconds between two plays of an idle animation, fixed
+ *   ("6") or random within a range ("4-9", the default).
+ * - theme: "dark" (default) or "light".
+ * - renderer: "svg" (default) or "canvas".
+ * - trigger: "hover" (default) plays on hover, focus and touch like a card;
+ *   "manual" leaves playback to the JS API.
+ *
+ * JS API: play() plays the animation through once (a loop animation plays
+ * its intro and outro), stop() rests on the first frame, enterLoop() plays
+ * and keeps looping the loop segment (other types: as if hovered) until
+ * exitLoop() lets it play out. Calls made while loading run once loaded.
+ * On a continuous loader play() resumes it after stop(); with
+ * prefers-reduced-motion it stays paused, as the loader only runs while
+ * hovered or between enterLoop() and exitLoop().
+ * The element fires "ready" when its animation is loaded, or "error"
+ * ({ src, reason }) when it cannot be loaded; calls waiting for the
+ * animation are then dropped.
+ *
+ * Needs lottie-web and, from shared/: manifest.js, frame-points.js,
+ * playback-state.js, idle-timer.js, lottie-driver.js, element-attributes.js
+ * and card-interaction.js. With load-errors.js the error's reason has the
+ * HTTP status.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    const STYLE = `
+        :host { display: inline-block; width: 200px; height: 200px; }
+        :host([hidden]) { display: none; }
+        :host(:focus-visible) { outline: 1px solid #41B1FF; outline-offset: 4px; }
+        .player { width: 100%; height: 100%; }
+    `;
+
+    class EnginiLottie extends HTMLElement {
+        static get observedAttributes() {
+            return ['src', 'src-light', 'theme', 'renderer', 'type', 'loop-frames', 'freeze-frame', 'segments', 'idle-interval', 'trigger'];
+        }
+
+        constructor() {
+            super();
+
+            this.container = document.createElement('div');
+            this.container.className = 'player';
+            this.container.setAttribute('part', 'player');
+            const style = document.createElement('style');
+            style.textContent = STYLE;
+            this.attachShadow({ mode: 'open' }).append(style, this.container);
+
+            this.lottieAnimation = null;
+            this.isLoaded = false;
+            this.hasFailed = false;
+            this.pendingCalls = []; // API calls made while loading
+            this.engagedBy = new Set(); // 'input' (hover, focus, touch) and 'api' (enterLoop)
+
+            this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+            this.boundOnReducedMotionChange = () => this.configure();
+            this.boundOnDOMLoaded = this.onDOMLoaded.bind(this);
+            this.boundOnEnterFrame = () => this.driver.onEnterFrame();
+            this.boundOnComplete = () => this.send('complete');
+            this.boundOnDataFailed = this.onDataFailed.bind(this);
+            this.boundOnPlayerError = this.onPlayerError.bind(this);
+            this.boundSyncIdleTimer = () => this.driver.syncIdleTimer();
+
+            // updateAriaRoles() drops the aria-pressed CardInteraction sets while not a button
+            this.interaction = new EnginiLotties.CardInteraction(this, {
+                onStart: () => {
+                    if (this.trigger === 'hover') this.setEngaged('input', true);
+                    this.updateAriaRoles();
+                },
+                onEnd: () => {
+                    this.setEngaged('input', false);
+                    this.updateAriaRoles();
+                }
+            });
+            this.driver = new EnginiLotties.PlayerDriver(this.getPlaybackConfig(), {
+                isPaused: () => document.hidden,
+                onCommands: () => this.toggleAttribute('playing', this.playback.isHighlighted)
+            });
+        }
+
+        connectedCallback() {
+            this.reducedMotionQuery?.addEventListener('change', this.boundOnReducedMotionChange);
+            document.addEventListener('visibilitychange', this.boundSyncIdleTimer);
+            this.updateAriaRoles();
+            this.load();
+        }
+
+        disconnectedCallback() {
+            this.reducedMotionQuery?.removeEventListener('change', this.boundOnReducedMotionChange);
+            document.removeEventListener('visibilitychange', this.boundSyncIdleTimer);
+            this.unload();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            // Attributes set before connecting are picked up by load()
+            if (!this.isLoaded || oldValue === newValue) return;
+
+            if (name === 'trigger') {
+                this.interaction.releaseAll();
+                this.updateAriaRoles();
+            } else if (name === 'idle-interval') {
+                this.driver.idleTimer.interval = this.idleInterval; // From the next rest on
+            } else if (['type', 'loop-frames', 'freeze-frame'].includes(name) && (oldValue === 'continuous') === (newValue === 'continuous')) {
+                this.configure();
+            } else {
+                // New file, theme or renderer; a switch to or from continuous changes lottie's loop flag
+                this.unload();
+                this.load();
+            }
+        }
+
+        // --- Attributes ---
+
+        get src() {
+            const lightSrc = this.getAttribute('src-light');
+            return this.getAttribute('theme') === 'light' && lightSrc ? lightSrc : this.getAttribute('src');
+        }
+
+        get renderer() {
+            const renderer = this.getAttribute('renderer') || 'svg';
+            if (EnginiLotties.RENDERERS.includes(renderer)) return renderer;
+
+            console.warn(`<engini-lottie>: unknown renderer "${renderer}", using svg.`);
+            return 'svg';
+        }
+
+        get trigger() {
+            return this.getAttribute('trigger') === 'manual' ? 'manual' : 'hover';
+        }
+
+        get idleInterval() {
+            return EnginiLotties.normalizeIdleInterval(EnginiLotties.parseIdleInterval(this.getAttribute('idle-interval')) || undefined);
+        }
+
+        /**
+         * @returns {Array<object>|null} The segments attribute, null when missing or invalid.
+         */
+        get segments() {
+            const { segments, problems } = EnginiLotties.parseSegments(this.getAttribute('segments'));
+            problems.forEach(problem => console.warn(`<engini-lottie>: ${problem}.`));
+            return segments;
+        }
+
+        get fileName() {
+            return (this.getAttribute('src') || '').split('/').pop();
+        }
+
+        /**
+         * @returns {object} The state machine config, with the type and
+         * frame points resolved like a card's (see resolvePlayback()).
+         */
+        getPlaybackConfig() {
+            const segments = this.segments;
+            const playback = EnginiLotties.resolvePlayback({
+                animationType: this.getAttribute('type'),
+                animationJson: this.lottieAnimation?.animationData,
+                config: {
+                    loopFrames: EnginiLotties.parseLoopFrames(this.getAttribute('loop-frames')) || undefined,
+                    freezeFrame: EnginiLotties.parseFreezeFrame(this.getAttribute('freeze-frame')) ?? undefined
+                },
+                fileName: this.fileName,
+                segments
+            });
+            playback.warnings.forEach(warning => console.warn(`<engini-lottie>: ${warning}.`));
+
+            return {
+                animationType: playback.animationType,
+                totalFrames: this.totalFrames,
+                loopStartFrame: playback.loopStartFrame,
+                loopEndFrame: playback.loopEndFrame,
+                freezeFrame: playback.freezeFrame,
+                segments: playback.animationType === 'segments' ? segments : undefined,
+                reducedMotion: Boolean(this.reducedMotionQuery?.matches)
+            };
+        }
+
+        get playback() {
+            return this.driver.playback;
+        }
+
+        /**
+         * @returns {number} Frames of the loaded file, 0 while loading.
+         */
+        get totalFrames() {
+            return this.driver?.totalFrames || 0;
+        }
+
+        get isContinuous() {
+            return this.playback.isContinuous;
+        }
+
+        /**
+         * Re-reads the type and frame points and rests the animation
+         * with them.
+         */
+        configure() {
+            this.driver.reconfigure(this.getPlaybackConfig(), this.engagedBy.size > 0);
+            this.updateAriaRoles();
+        }
+
+        updateAriaRoles() {
+            const label = this.getAttribute('aria-label') || this.fileName.replace(/\.json$/i, '');
+            // Continuous loaders ignore input; idle animations can be hovered mid-rest
+            const isInteractive = this.trigger === 'hover' && !(this.playback.isContinuous && this.playback.isAutoplaying);
+
+            this.setAttribute('role', isInteractive ? 'button' : 'img');
+            this.setAttribute('aria-label', label);
+            if (isInteractive) {
+                this.tabIndex = 0;
+                this.setAttribute('aria-pressed', String(this.interaction.isEngaged));
+            } else {
+                this.removeAttribute('tabindex');
+                this.removeAttribute('aria-pressed');
+            }
+        }
+
+        // --- Player ---
+
+        load() {
+            if (this.isLoaded || !this.src) return;
+            this.isLoaded = true;
+            this.hasFailed = false;
+
+            this.playback.configure(this.getPlaybackConfig());
+            this.driver.idleTimer.interval = this.idleInterval;
+            this.lottieAnimation = lottie.loadAnimation({
+                container: this.container,
+                renderer: this.renderer,
+                loop: this.isContinuous,
+                autoplay: false, // The state machine starts continuous loaders on load
+                path: this.src
+            });
+            this.lottieAnimation.addEventListener('DOMLoaded', this.boundOnDOMLoaded);
+            this.lottieAnimation.addEventListener('enterFrame', this.boundOnEnterFrame);
+            this.lottieAnimation.addEventListener('complete', this.boundOnComplete);
+            this.lottieAnimation.addEventListener('data_failed', this.boundOnDataFailed);
+            this.lottieAnimation.addEventListener('error', this.boundOnPlayerError);
+            this.driver.attach(this.lottieAnimation);
+        }
+
+        /**
+         * Destroys the player; the next load() carries on from the same
+         * frame and state.
+         */
+        unload() {
+            if (!this.isLoaded) return;
+
+            this.driver.detach();
+            this.lottieAnimation?.destroy();
+            this.lottieAnimation = null;
+            this.isLoaded = false;
+            this.toggleAttribute('playing', false);
+        }
+
+        onDOMLoaded() {
+            this.driver.onDOMLoaded();
+            this.playback.configure(this.getPlaybackConfig()); // Markers are readable now
+            this.updateAriaRoles();
+            this.driver.start(this.engagedBy.size > 0);
+            this.pendingCalls.splice(0).forEach(call => call());
+
+            this.dispatchEvent(new CustomEvent('ready', {
+                detail: { animationType: this.playback.animationType, totalFrames: this.totalFrames }
+            }));
+        }
+
+        /**
+         * lottie-web could not fetch or parse the file; it does not say why.
+         */
+        onDataFailed() {
+            const player = this.lottieAnimation;
+            const src = this.src;
+            const describe = EnginiLotties.describeLoadFailure || (() => Promise.resolve('the file could not be loaded'));
+
+            describe(src).then(reason => {
+                // Unloaded, or a new src is loading
+                if (player !== this.lottieAnimation) return;
+                this.fail(src, reason);
+            });
+        }
+
+        /**
+         * @param {object} event - lottie-web's error event. Only a configuration
+         * error before the first frame leaves the element blank.
+         */
+        onPlayerError(event) {
+            if (event?.type !== 'configError' || this.totalFrames > 0) return;
+            this.fail(this.src, `not a valid Lottie file (${event.nativeError?.message || 'configuration error'})`);
+        }
+
+        /**
+         * Drops the calls waiting for the animation and fires "error".
+         * @param {string} src
+         * @param {string} reason
+         */
+        fail(src, reason) {
+            if (this.hasFailed) return;
+            this.hasFailed = true;
+            this.pendingCalls = [];
+
+            this.dispatchEvent(new CustomEvent('error', { detail: { src, reason } }));
+        }
+
+        /**
+         * @param {string} type - Playback event type.
+         * @param {number} [frame] - Defaults to the player's current frame.
+         */
+        send(type, frame) {
+            this.driver.dispatch(type, frame);
+        }
+
+        /**
+         * Hover, focus and touch ('input') and enterLoop() ('api') both
+         * count as hovering; the animation is released when neither does.
+         * @param {string} source
+         * @param {boolean} isEngaged
+         */
+        setEngaged(source, isEngaged) {
+            const wasEngaged = this.engagedBy.size > 0;
+            if (isEngaged) {
+                this.engagedBy.add(source);
+            } else {
+                this.engagedBy.delete(source);
+            }
+
+            const engaged = this.engagedBy.size > 0;
+            if (engaged === wasEngaged || this.totalFrames === 0) return;
+            this.send(engaged ? 'hoverStart' : 'hoverEnd');
+        }
+
+        /**
+         * @param {function(): void} call - Runs now, or once the animation is loaded.
+         */
+        whenLoaded(call) {
+            if (this.totalFrames > 0) {
+                call();
+            } else if (!this.hasFailed) {
+                this.pendingCalls.push(call);
+            }
+        }
+
+        // --- JS API ---
+
+        /**
+         * Plays the animation through once; a continuous loader resumes.
+         * Reduced motion is respected: a continuous loader then stays
+         * paused (use enterLoop() to run it).
+         */
+        play() {
+            this.whenLoaded(() => {
+                if (this.isContinuous) {
+                    this.send('resume');
+                    return;
+                }
+
+                this.send('hoverStart');
+                // Released straight away, a loop plays its outro and freeze plays through
+                if (this.engagedBy.size === 0 && this.playback.animationType !== 'playAndHold') {
+                    this.send('hoverEnd');
+                }
+            });
+        }
+
+        /**
+         * Rests on the first frame, releasing enterLoop() and any hover.
+         */
+        stop() {
+            this.whenLoaded(() => {
+                this.engagedBy.clear();
+                this.interaction.releaseAll();
+                this.send('stop');
+            });
+        }
+
+        /**
+         * Plays into the loop segment and keeps looping it until exitLoop().
+         */
+        enterLoop() {
+            this.whenLoaded(() => this.setEngaged('api', true));
+        }
+
+        /**
+         * Lets a looping animation leave its loop and play its outro.
+         */
+        exitLoop() {
+            this.whenLoaded(() => this.setEngaged('api', false));
+        }
+    }
+
+    if (!customElements.get('engini-lottie')) {
+        customElements.define('engini-lottie', EnginiLottie);
+    }
+
+    EnginiLotties.EnginiLottie = EnginiLottie;
+
+})(window);
@@ -0,0 +1,217 @@
+/**
+ * @file Resolves loop and freeze points for an animation.
+ * Named markers inside the Lottie JSON are the source of truth; the page
+ * config and the file name conventions ("Loop-24-71", "Freeze-29") are
+ * only fallbacks. Disagreements between the sources are reported so the
+ * card (or a Node tool) can surface them.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /**
+     * Marker names (normalized to snake_case) mapped to the point they set.
+     */
+    const MARKER_ALIASES = {
+        loop_start: 'loopStart',
+        loop_in: 'loopStart',
+        loop_end: 'loopEnd',
+        loop_out: 'loopEnd',
+        freeze: 'freeze',
+        freeze_frame: 'freeze',
+        hold: 'freeze'
+    };
+
+    /**
+     * Turns a marker comment into a comparable name. Bodymovin exports the
+     * comment either as plain text ("Loop Start") or as a JSON string
+     * ('{"name":"loop_start"}').
+     *
+     * @param {string} comment
+     * @returns {string}
+     */
+    function normalizeMarkerName(comment) {
+        let name = String(comment == null ? '' : comment).trim();
+        if (name.startsWith('{')) {
+            try {
+                const parsed = JSON.parse(name);
+                name = String(parsed.name || parsed.cm || '');
+            } catch (e) {
+                // Not JSON after all, use the raw comment.
+            }
+        }
+        return name
+            .replace(/([a-z])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+    }
+
+    /**
+     * Reads named loop/freeze markers from Lottie animation data.
+     * Frames are returned relative to the animation's in point, matching
+     * the 0-based frames the card timeline uses. Unnamed markers (e.g. "7")
+     * are ignored.
+     *
+     * @param {object} animationJson - Parsed Lottie JSON.
+     * @returns {{loopStart?: number, loopEnd?: number, freeze?: number}}
+     */
+    function readMarkerPoints(animationJson) {
+        const points = {};
+        const markers = (animationJson && animationJson.markers) || [];
+        const inPoint = (animationJson && animationJson.ip) || 0;
+
+        markers.forEach(marker => {
+            const name = normalizeMarkerName(marker.cm);
+            const frame = Math.round(marker.tm - inPoint);
+
+            if (name === 'loop' && marker.dr > 0) {
+                // A single "loop" marker whose duration spans the segment.
+                points.loopStart = frame;
+                points.loopEnd = Math.round(frame + marker.dr);
+            } else if (MARKER_ALIASES[name]) {
+                points[MARKER_ALIASES[name]] = frame;
+            }
+        });
+
+        return points;
+    }
+
+    /**
+     * Reads loop/freeze points from the file naming convention.
+     *
+     * @param {string} fileName
+     * @returns {{loopStart?: number, loopEnd?: number, freeze?: number}}
+     */
+    function readFileNamePoints(fileName) {
+        const points = {};
+        const loopMatch = String(fileName).match(/Loop-(\d+)-(\d+)/i);
+        const freezeMatch = String(fileName).match(/Freeze-(\d+)/i);
+
+        if (loopMatch) {
+            points.loopStart = parseInt(loopMatch[1], 10);
+            points.loopEnd = parseInt(loopMatch[2], 10);
+        }
+        if (freezeMatch) {
+            points.freeze = parseInt(freezeMatch[1], 10);
+        }
+        return points;
+    }
+
+    /**
+     * Reads loop/freeze points from a page config entry.
+     *
+     * @param {object} config - An animation entry (loopFrames, freezeFrame).
+     * @returns {{loopStart?: number, loopEnd?: number, freeze?: number}}
+     */
+    function readConfigPoints(config) {
+        const points = {};
+        if (config && Array.isArray(config.loopFrames)) {
+            [points.loopStart, points.loopEnd] = config.loopFrames;
+        }
+        if (config && typeof config.freezeFrame === 'number') {
+            points.freeze = config.freezeFrame;
+        }
+        return points;
+    }
+
+    /**
+     * Merges the three sources (markers > config > file name) and lists
+     * every point where the sources disagree.
+     *
+     * @param {object} sources
+     * @param {object} [sources.animationJson] - Parsed Lottie JSON, once loaded.
+     * @param {object} [sources.config] - The page config entry.
+     * @param {string} [sources.fileName]
+     * @returns {{points: object, origins: object, conflicts: Array<string>}}
+     */
+    function resolveFramePoints({ animationJson, config, fileName } = {}) {
+        const ordered = [
+            ['markers', animationJson ? readMarkerPoints(animationJson) : {}],
+            ['config', readConfigPoints(config)],
+            ['file name', fileName ? readFileNamePoints(fileName) : {}]
+        ];
+
+        const points = {};
+        const origins = {};
+        const conflicts = [];
+
+        ['loopStart', 'loopEnd', 'freeze'].forEach(key => {
+            const found = ordered.filter(([, values]) => typeof values[key] === 'number');
+            if (found.length === 0) return;
+
+            const [origin, values] = found[0];
+            points[key] = values[key];
+            origins[key] = origin;
+
+            const disagreeing = found.filter(([, other]) => other[key] !== points[key]);
+            if (disagreeing.length > 0) {
+                const detail = found.map(([name, other]) => `${name} ${other[key]}`).join(', ');
+                conflicts.push(`${key}: ${detail} (using ${origin})`);
+            }
+        });
+
+        return { points, origins, conflicts };
+    }
+
+    /**
+     * Number of frames on the card timeline. Matches lottie-web's
+     * `totalFrames` (op - ip), floored like LottieCard.onDOMLoaded().
+     *
+     * @param {object} animationJson
+     * @returns {number}
+     */
+    function getTotalFrames(animationJson) {
+        return Math.floor((animationJson.op || 0) - (animationJson.ip || 0));
+    }
+
+    /**
+     * Checks points against the assumptions LottieCard.buildTimeline()
+     * makes: the loop and outro must have a length (the intro may be empty,
+     * so a loop can start at frame 0), and a freeze point must be reached
+     * before the animation completes.
+     *
+     * @param {{loopStart?: number, loopEnd?: number, freeze?: number}} points
+     * @param {number} totalFrames
+     * @returns {Array<string>} Problems, empty when the points fit.
+     */
+    function findFramePointProblems(points, totalFrames) {
+        const problems = [];
+        const hasLoopStart = typeof points.loopStart === 'number';
+        const hasLoopEnd = typeof points.loopEnd === 'number';
+
+        if (hasLoopStart !== hasLoopEnd) {
+            problems.push(`loop needs both a start and an end (got ${hasLoopStart ? 'start' : 'end'} only)`);
+        } else if (hasLoopStart) {
+            const { loopStart, loopEnd } = points;
+            if (!(loopStart >= 0 && loopStart < loopEnd && loopEnd < totalFrames)) {
+                problems.push(`loop ${loopStart}-${loopEnd} must satisfy 0 <= start < end < ${totalFrames} (op - ip)`);
+            }
+        }
+
+        if (typeof points.freeze === 'number' && !(points.freeze >= 0 && points.freeze < totalFrames)) {
+            problems.push(`freeze ${points.freeze} must satisfy 0 <= freeze < ${totalFrames} (op - ip)`);
+        }
+
+        return problems;
+    }
+
+    return {
+        getTotalFrames,
+        findFramePointProblems,
+        normalizeMarkerName,
+        readMarkerPoints,
+        readFileNamePoints,
+        readConfigPoints,
+        resolveFramePoints
+    };
+});
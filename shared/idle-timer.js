@@ -0,0 +1,116 @@
+/**
+ * @file Rest timer of "idle" animations. After each play-through the
+ * state machine rests (state.isResting); the timer picks a random delay
+ * within the animation's interval and wakes it when the delay is over.
+ * The countdown pauses while the tab is hidden or the card is off-screen
+ * and carries on where it stopped.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Seconds between two plays
+    const DEFAULT_IDLE_INTERVAL = [4, 9];
+
+    /**
+     * @param {number|number[]} [interval] - Seconds: fixed, or [min, max].
+     * @returns {number[]} [min, max] in seconds.
+     */
+    function normalizeIdleInterval(interval) {
+        if (typeof interval === 'number') return [interval, interval];
+        if (Array.isArray(interval) && interval.length === 2) return [...interval];
+        return [...DEFAULT_IDLE_INTERVAL];
+    }
+
+    class IdleTimer {
+        /**
+         * @param {function(): void} onWake - Called when a rest is over.
+         * @param {object} [options]
+         * @param {number|number[]} [options.interval=[4, 9]] - Seconds: fixed, or [min, max].
+         * @param {function(): number} [options.random=Math.random]
+         */
+        constructor(onWake, { interval, random = Math.random } = {}) {
+            this.onWake = onWake;
+            this.interval = normalizeIdleInterval(interval);
+            this.random = random;
+
+            this.remainingMs = null; // null while not resting
+            this.endsAt = null; // set while counting down
+            this.timeoutId = null;
+        }
+
+        /**
+         * Follows the state machine: starts a rest when it begins resting
+         * and drops it when the rest was interrupted (hover, scrub, reload).
+         *
+         * @param {boolean} isResting - state.isResting.
+         * @param {boolean} isPaused - Tab hidden or card off-screen.
+         */
+        sync(isResting, isPaused) {
+            if (!isResting) {
+                this.clear();
+                return;
+            }
+
+            if (this.remainingMs === null) {
+                const [min, max] = this.interval;
+                this.remainingMs = (min + (max - min) * this.random()) * 1000;
+            }
+
+            if (isPaused) {
+                this.pause();
+            } else {
+                this.run();
+            }
+        }
+
+        run() {
+            if (this.timeoutId !== null) return;
+
+            this.endsAt = Date.now() + this.remainingMs;
+            this.timeoutId = setTimeout(() => {
+                this.clear();
+                this.onWake();
+            }, this.remainingMs);
+        }
+
+        pause() {
+            if (this.timeoutId === null) return;
+
+            clearTimeout(this.timeoutId);
+            this.remainingMs = Math.max(0, this.endsAt - Date.now());
+            this.timeoutId = null;
+            this.endsAt = null;
+        }
+
+        clear() {
+            clearTimeout(this.timeoutId);
+            this.remainingMs = null;
+            this.timeoutId = null;
+            this.endsAt = null;
+        }
+
+        /**
+         * @returns {number|null} Milliseconds until the next play, null when not resting.
+         */
+        get timeLeft() {
+            if (this.remainingMs === null) return null;
+            return this.endsAt === null ? this.remainingMs : Math.max(0, this.endsAt - Date.now());
+        }
+
+        get isPaused() {
+            return this.remainingMs !== null && this.timeoutId === null;
+        }
+    }
+
+    return { DEFAULT_IDLE_INTERVAL, normalizeIdleInterval, IdleTimer };
+});
@@ -0,0 +1,89 @@
+/**
+ * @file Reads the layer list of a Lottie JSON for the card's layer
+ * inspector: name, type, in / out points, parenting and track mattes.
+ *
+ * Only the top-level layers are listed, in the file's order (top of the
+ * After Effects stack first), which is also the order of lottie-web's
+ * renderer.elements. A precomp shows how many layers it holds.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Lottie "ty" values
+    const LAYER_TYPES = {
+        0: 'precomp',
+        1: 'solid',
+        2: 'image',
+        3: 'null',
+        4: 'shape',
+        5: 'text',
+        6: 'audio',
+        13: 'camera',
+        15: 'data'
+    };
+
+    // Lottie "tt" values
+    const MATTE_MODES = {
+        1: 'alpha',
+        2: 'inverted alpha',
+        3: 'luma',
+        4: 'inverted luma'
+    };
+
+    /**
+     * @param {object} animationJson - Parsed Lottie JSON.
+     * @returns {Array<object>} One entry per top-level layer:
+     * { index, ind, name, type, inPoint, outPoint, parent, isHidden,
+     *   isMatteSource, matteMode, matteSource, matteIndex, layerCount }.
+     *   parent and matteSource are layer names and matteIndex the matte's
+     *   index in the list, all null when there is none.
+     */
+    function listLayers(animationJson) {
+        const layers = Array.isArray(animationJson?.layers) ? animationJson.layers : [];
+        const assets = Array.isArray(animationJson?.assets) ? animationJson.assets : [];
+        const byInd = new Map(layers.map(layer => [layer.ind, layer]));
+
+        return layers.map((layer, index) => {
+            // The matte is the layer named by "tp", or else the one right above
+            const matteLayer = layer.tt ? (layer.tp !== undefined ? byInd.get(layer.tp) : layers[index - 1]) : null;
+            const precomp = layer.ty === 0 ? assets.find(asset => asset.id === layer.refId) : null;
+
+            return {
+                index,
+                ind: layer.ind,
+                name: getLayerName(layer, index),
+                type: LAYER_TYPES[layer.ty] || `type ${layer.ty}`,
+                inPoint: layer.ip,
+                outPoint: layer.op,
+                parent: layer.parent !== undefined && byInd.has(layer.parent)
+                    ? getLayerName(byInd.get(layer.parent), layers.indexOf(byInd.get(layer.parent)))
+                    : null,
+                isHidden: layer.hd === true,
+                isMatteSource: layer.td === 1,
+                matteMode: layer.tt ? (MATTE_MODES[layer.tt] || `mode ${layer.tt}`) : null,
+                matteSource: matteLayer ? getLayerName(matteLayer, layers.indexOf(matteLayer)) : null,
+                matteIndex: matteLayer ? layers.indexOf(matteLayer) : null,
+                layerCount: Array.isArray(precomp?.layers) ? precomp.layers.length : null
+            };
+        });
+    }
+
+    /**
+     * @returns {string} The layer's "nm", or a placeholder for unnamed layers.
+     */
+    function getLayerName(layer, index) {
+        return typeof layer.nm === 'string' && layer.nm.trim() !== '' ? layer.nm : `Layer ${layer.ind ?? index + 1}`;
+    }
+
+    return { LAYER_TYPES, MATTE_MODES, listLayers };
+});
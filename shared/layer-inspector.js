@@ -0,0 +1,228 @@
+/**
+ * @file Per-card layer inspector: lists the layers of the loaded animation
+ * (layer-info.js) so a note like "the Face B layer flickers" can be checked
+ * in the portal. Layers can be hidden or soloed in the live SVG render and
+ * the hovered layer's bounding box is outlined on the card.
+ *
+ * Works on lottie-web's renderer.elements, which follow the file's layer
+ * order. Hiding uses CSS visibility so it never fights lottie's own
+ * display toggling at in / out points. The canvas renderer draws no DOM
+ * per layer, so there the panel only lists the layers.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    class LayerInspector {
+        /**
+         * @param {LottieCard} card
+         */
+        constructor(card) {
+            this.card = card;
+            this.panel = card.wrapper.querySelector('.layer-inspector');
+            this.layers = [];
+            this.rows = [];
+            this.hiddenLayers = new Set();
+            this.soloLayer = null;
+            this.highlightedLayer = null;
+            this.isOverriding = false; // Some layer elements carry a visibility style
+
+            if (!this.panel) return;
+
+            this.list = this.panel.querySelector('.layer-list');
+            this.count = this.panel.querySelector('.layer-count');
+            this.note = this.panel.querySelector('.layer-inspector-note');
+
+            this.highlight = document.createElement('div');
+            this.highlight.className = 'layer-highlight';
+            this.highlight.hidden = true;
+            card.wrapper.appendChild(this.highlight);
+
+            // Lists the layers of every (re)loaded file
+            card.wrapper.addEventListener('timelineBuilt', () => this.render());
+            this.panel.addEventListener('toggle', () => this.update());
+        }
+
+        get isSvg() {
+            return this.card.renderer === 'svg';
+        }
+
+        get hasOverrides() {
+            return this.soloLayer !== null || this.hiddenLayers.size > 0;
+        }
+
+        /**
+         * @param {number} index - Layer index in the file.
+         * @returns {boolean} Whether the layer is drawn with the current toggles.
+         */
+        isShown(index) {
+            if (this.soloLayer !== null) {
+                // A soloed layer keeps its track matte
+                return index === this.soloLayer || index === this.layers[this.soloLayer]?.matteIndex;
+            }
+            return !this.hiddenLayers.has(index);
+        }
+
+        /**
+         * @param {number} index
+         * @returns {object|null} lottie-web's element for the layer, once built.
+         */
+        getElement(index) {
+            const element = this.card.lottieAnimation?.renderer?.elements?.[index];
+            return element && typeof element === 'object' ? element : null;
+        }
+
+        render() {
+            if (!this.panel) return;
+
+            const layers = EnginiLotties.listLayers(this.card.lottieAnimation?.animationData);
+
+            // Toggles survive a reload of the same file (theme, palette, renderer)
+            if (layers.length !== this.layers.length) {
+                this.hiddenLayers.clear();
+                this.soloLayer = null;
+                this.highlightedLayer = null;
+            }
+            this.layers = layers;
+
+            this.count.textContent = layers.length;
+            this.note.hidden = this.isSvg;
+
+            this.rows = layers.map(layer => this.renderRow(layer));
+            this.list.replaceChildren(...this.rows.map(row => row.item));
+            this.update();
+        }
+
+        /**
+         * @param {object} layer - A listLayers() entry.
+         * @returns {{item: HTMLElement, visible: HTMLInputElement, solo: HTMLButtonElement}}
+         */
+        renderRow(layer) {
+            const item = document.createElement('li');
+            item.className = 'layer';
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.className = 'layer-visible';
+            visible.setAttribute('aria-label', `Show ${layer.name}`);
+            visible.addEventListener('change', () => {
+                if (visible.checked) {
+                    this.hiddenLayers.delete(layer.index);
+                } else {
+                    this.hiddenLayers.add(layer.index);
+                }
+                this.update();
+            });
+
+            const solo = document.createElement('button');
+            solo.type = 'button';
+            solo.className = 'layer-solo';
+            solo.textContent = 'Solo';
+            solo.title = `Show only ${layer.name}`;
+            solo.addEventListener('click', () => {
+                this.soloLayer = this.soloLayer === layer.index ? null : layer.index;
+                this.update();
+            });
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = layer.name;
+
+            const details = document.createElement('span');
+            details.className = 'layer-details';
+            details.textContent = [
+                layer.layerCount === null ? layer.type : `${layer.type} (${layer.layerCount} layers)`,
+                `${layer.inPoint}-${layer.outPoint}`,
+                layer.parent && `parent: ${layer.parent}`,
+                layer.isMatteSource && 'matte source',
+                layer.matteMode && `${layer.matteMode} matte: ${layer.matteSource || '?'}`,
+                layer.isHidden && 'hidden in AE'
+            ].filter(Boolean).join(' · ');
+
+            item.append(visible, solo, name, details);
+
+            const highlight = (isOn) => {
+                this.highlightedLayer = isOn ? layer.index : null;
+                this.renderHighlight();
+            };
+            item.addEventListener('pointerenter', () => highlight(true));
+            item.addEventListener('pointerleave', () => highlight(false));
+            item.addEventListener('focusin', () => highlight(true));
+            item.addEventListener('focusout', () => highlight(false));
+
+            return { item, visible, solo };
+        }
+
+        /**
+         * Call on every rendered frame: lottie builds layer elements as the
+         * playhead reaches them, so the toggles are re-applied.
+         */
+        update() {
+            if (!this.panel) return;
+
+            if (this.isSvg && (this.hasOverrides || this.isOverriding)) {
+                this.applyVisibility();
+                this.isOverriding = this.hasOverrides;
+            }
+            if (!this.panel.open) {
+                this.highlight.hidden = true;
+                return;
+            }
+
+            // In / out points count from the composition's start, not the player's
+            const player = this.card.lottieAnimation;
+            const frame = this.card.totalFrames > 0 ? player.firstFrame + player.currentFrame : 0;
+            this.rows.forEach(({ item, visible, solo }, index) => {
+                const { inPoint, outPoint } = this.layers[index];
+                item.classList.toggle('out-of-range', frame < inPoint || frame >= outPoint);
+                item.classList.toggle('muted', !this.isShown(index));
+                visible.checked = !this.hiddenLayers.has(index);
+                visible.disabled = !this.isSvg || this.soloLayer !== null;
+                solo.disabled = !this.isSvg;
+                solo.setAttribute('aria-pressed', String(this.soloLayer === index));
+            });
+            this.renderHighlight();
+        }
+
+        applyVisibility() {
+            this.layers.forEach(({ index }) => {
+                const element = this.getElement(index);
+                const target = element?.baseElement || element?.layerElement;
+                if (target) {
+                    target.style.visibility = this.isShown(index) ? '' : 'hidden';
+                }
+            });
+        }
+
+        /**
+         * Outlines the hovered layer's rendered bounds on the card.
+         */
+        renderHighlight() {
+            const target = this.highlightedLayer !== null && this.isSvg
+                ? this.getElement(this.highlightedLayer)?.layerElement
+                : null;
+            const rect = target?.getBoundingClientRect();
+
+            // Nothing drawn: outside its in / out points or empty at this frame
+            if (!rect || (rect.width === 0 && rect.height === 0)) {
+                this.highlight.hidden = true;
+                return;
+            }
+
+            const wrapper = this.card.wrapper;
+            const wrapperRect = wrapper.getBoundingClientRect();
+            Object.assign(this.highlight.style, {
+                left: `${rect.left - wrapperRect.left - wrapper.clientLeft}px`,
+                top: `${rect.top - wrapperRect.top - wrapper.clientTop}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`
+            });
+            this.highlight.hidden = false;
+        }
+    }
+
+    EnginiLotties.LayerInspector = LayerInspector;
+
+})(window);
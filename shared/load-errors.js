@@ -0,0 +1,174 @@
+/**
+ * @file Asset load failures. lottie-web only says that a file could not be
+ * loaded ("data_failed"), so the file is requested again to learn the HTTP
+ * status. Cards show the failed path, the reason and a retry button
+ * (LoadErrorView); a banner at the top of the page lists every asset that
+ * failed to load (setupLoadErrorBanner).
+ *
+ * Cards report through events on their wrapper, which bubble to the page:
+ * "loadFailed" ({ path, reason, title }) and "loadErrorCleared" once a new
+ * load starts.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    /**
+     * @param {string} path - Relative asset path, as given to lottie.
+     * @returns {string} The path the browser requested, e.g.
+     * "/Logo/V1/Lotties/Black/idle.json", so a wrong folder or a stray
+     * space in the name shows.
+     */
+    function resolveAssetPath(path) {
+        try {
+            return decodeURI(new URL(path, document.baseURI).pathname);
+        } catch (error) {
+            return path;
+        }
+    }
+
+    /**
+     * @param {string} path
+     * @returns {Promise<string>} Why the file did not load, e.g. "HTTP 404".
+     */
+    async function describeLoadFailure(path) {
+        try {
+            const response = await fetch(path, { method: 'HEAD', cache: 'no-store' });
+            return response.ok
+                ? `HTTP ${response.status}, but not a valid Lottie file`
+                : `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`;
+        } catch (error) {
+            return `network error (${error.message})`;
+        }
+    }
+
+    /**
+     * The error state of one card (.load-error in the card templates).
+     */
+    class LoadErrorView {
+        /**
+         * @param {HTMLElement} wrapper - The card.
+         * @param {function(): void} onRetry
+         */
+        constructor(wrapper, onRetry) {
+            this.wrapper = wrapper;
+            this.element = wrapper.querySelector('.load-error');
+            this.list = this.element?.querySelector('.load-error-list') || null;
+            this.failures = [];
+
+            this.element?.querySelector('.load-error-retry')?.addEventListener('click', onRetry);
+        }
+
+        get hasFailed() {
+            return this.failures.length > 0;
+        }
+
+        /**
+         * Shows a failed file on the card and reports it to the page.
+         * @param {string} path - Relative asset path.
+         * @param {string} reason - See describeLoadFailure().
+         */
+        add(path, reason) {
+            const failure = { path: resolveAssetPath(path), reason };
+            this.failures.push(failure);
+            this.wrapper.classList.add('load-failed');
+
+            if (this.element) {
+                const item = document.createElement('li');
+                const pathEl = document.createElement('code');
+                pathEl.textContent = failure.path;
+                item.append(pathEl, ` ${reason}`);
+                this.list?.appendChild(item);
+                this.element.hidden = false;
+            }
+
+            this.wrapper.dispatchEvent(new CustomEvent('loadFailed', {
+                detail: { ...failure, title: this.wrapper.querySelector('.lottie-title')?.textContent.trim() || failure.path },
+                bubbles: true,
+                composed: true
+            }));
+        }
+
+        /**
+         * Hides the error state, e.g. when the card loads again.
+         */
+        clear() {
+            if (!this.hasFailed) return;
+
+            this.failures = [];
+            this.wrapper.classList.remove('load-failed');
+            if (this.element) {
+                this.element.hidden = true;
+                this.list?.replaceChildren();
+            }
+
+            this.wrapper.dispatchEvent(new CustomEvent('loadErrorCleared', { bubbles: true, composed: true }));
+        }
+    }
+
+    /**
+     * Adds the page banner listing failed assets, with a way to jump to
+     * each card and to retry them all.
+     *
+     * @param {HTMLElement} mainContainer - #animation-sections-container.
+     * @param {Array<{wrapper: HTMLElement, retryLoad: function(): void}>} cards
+     */
+    function setupLoadErrorBanner(mainContainer, cards) {
+        const failuresByWrapper = new Map();
+
+        const banner = document.createElement('div');
+        banner.className = 'load-errors';
+        banner.setAttribute('role', 'status');
+        banner.hidden = true;
+
+        const heading = document.createElement('strong');
+        const list = document.createElement('ul');
+        const retryAll = document.createElement('button');
+        retryAll.type = 'button';
+        retryAll.className = 'load-errors-retry';
+        retryAll.textContent = 'Retry all';
+        banner.append(heading, list, retryAll);
+        mainContainer.prepend(banner);
+
+        const render = () => {
+            const entries = [...failuresByWrapper].flatMap(([wrapper, failures]) => failures.map(failure => ({ wrapper, ...failure })));
+            banner.hidden = entries.length === 0;
+            heading.textContent = `${entries.length} asset(s) failed to load`;
+
+            list.replaceChildren(...entries.map(({ wrapper, title, path, reason }) => {
+                const item = document.createElement('li');
+                const show = document.createElement('button');
+                show.type = 'button';
+                show.className = 'load-errors-show';
+                show.textContent = title;
+                show.title = 'Scroll to the card';
+                show.addEventListener('click', () => wrapper.scrollIntoView({ block: 'center' }));
+
+                const pathEl = document.createElement('code');
+                pathEl.textContent = path;
+                item.append(show, ' ', pathEl, ` ${reason}`);
+                return item;
+            }));
+        };
+
+        mainContainer.addEventListener('loadFailed', (event) => {
+            const failures = failuresByWrapper.get(event.target) || [];
+            failuresByWrapper.set(event.target, [...failures, event.detail]);
+            render();
+        });
+        mainContainer.addEventListener('loadErrorCleared', (event) => {
+            failuresByWrapper.delete(event.target);
+            render();
+        });
+        retryAll.addEventListener('click', () => {
+            cards.filter(card => failuresByWrapper.has(card.wrapper)).forEach(card => card.retryLoad());
+        });
+    }
+
+    EnginiLotties.describeLoadFailure = describeLoadFailure;
+    EnginiLotties.LoadErrorView = LoadErrorView;
+    EnginiLotties.setupLoadErrorBanner = setupLoadErrorBanner;
+
+})(window);
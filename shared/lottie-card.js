@@ -0,0 +1,1124 @@
+/**
+ * @file Shared LottieCard controller used by every preview page.
+ * Supports every playback type:
+ * 1. playOnce (Hover to play full, resets when finished)
+ * 2. playAndHold (Hover to play, holds last frame, resets on hover out)
+ * 3. loop (Hover to loop a segment, plays the outro on hover out)
+ * 4. freeze (Hover to play to the freeze point, finish on hover out)
+ * 5. continuous (Always playing loop)
+ * 6. idle (Plays once, rests a few seconds and repeats; hover plays it now)
+ * 7. segments (Named segments that play, loop or hold while hovered)
+ *
+ * The playback rules live in PlaybackStateMachine (playback-state.js) and
+ * PlayerDriver (lottie-driver.js) runs them on lottie-web, as it does for
+ * <engini-lottie>; the card renders the state and the timeline. Loop and segments
+ * cards get a timeline generated from their segments (intro / loop / outro
+ * for a loop card).
+ *
+ * "Hover" is any input CardInteraction maps onto it: mouse hover, keyboard
+ * focus or Enter/Space, tap or long-press.
+ *
+ * Every type can be reviewed in slow motion, fast-forward or in reverse
+ * (setSpeed / setDirection), with the SVG or canvas renderer (setRenderer).
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    // Cards with a player. The tab visibility and reduced motion listeners
+    // are added once per page and only reach these, so an unloaded card is
+    // not kept alive by the document.
+    const loadedCards = new Set();
+    let isWatchingPage = false;
+
+    function watchPage() {
+        if (isWatchingPage) return;
+        isWatchingPage = true;
+
+        window.matchMedia?.('(prefers-reduced-motion: reduce)')?.addEventListener('change', (event) => {
+            loadedCards.forEach(card => card.setReducedMotion(event.matches));
+        });
+        document.addEventListener('visibilitychange', () => loadedCards.forEach(card => card.syncIdleTimer()));
+    }
+
+    /**
+     * Manages a single Lottie animation card, including its state,
+     * timeline, and interactions.
+     */
+    class LottieCard {
+        /**
+         * @param {HTMLElement} wrapper - The card's main wrapper element (from the template).
+         * @param {object} animationData - The configuration object for this animation.
+         * @param {object} [options]
+         * @param {string} [options.assetRoot='Lotties'] - Folder holding the Lottie JSON files.
+         * @param {{dark: string, light: string}|null} [options.themeFolders] - Sub folders
+         * per theme, or null when the page has a single flat asset folder.
+         * @param {string} [options.slug] - Stable id used in deep links (card-links.js).
+         * @param {string} [options.theme='dark'] - Initial theme, "dark" or "light".
+         * @param {object} [options.palettes] - Named palettes offered on the card (recolor.js).
+         * @param {boolean} [options.lazy=false] - Wait for load() instead of creating
+         * the player right away.
+         * @param {string} [options.renderer='svg'] - Page default; the animation's own
+         * "renderer" wins.
+         */
+        constructor(wrapper, animationData, options = {}) {
+            this.wrapper = wrapper;
+            this.animationData = animationData;
+            this.assetRoot = options.assetRoot || 'Lotties';
+            this.themeFolders = options.themeFolders || null;
+            this.slug = options.slug || null;
+            this.palettes = options.palettes || null;
+            this.lottieContainer = wrapper.querySelector('.lottie-animation');
+
+            this.lottieAnimation = null;
+            this.isScrubbing = false;
+            this.isLightMode = options.theme === 'light' && Boolean(this.themeFolders);
+            this.pendingFrame = null;
+            this.speed = 1;
+            this.direction = 1; // -1 plays in reverse
+            this.paletteName = null;
+            this.paletteWarnings = [];
+            this.sourceJsonByPath = new Map();
+            this.loadId = 0;
+            this.isLoaded = false; // A player exists or is being created
+            this.isOffscreen = false;
+            this.renderer = this.animationData.renderer || options.renderer || 'svg';
+
+            this.reducedMotionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+            this.prefersReducedMotion = Boolean(this.reducedMotionQuery?.matches);
+
+            // Bind lottie handlers ONCE so add/removeEventListener use the same reference.
+            this.boundOnEnterFrame = this.onEnterFrame.bind(this);
+            this.boundOnDOMLoaded = this.onDOMLoaded.bind(this);
+            this.boundOnComplete = this.onComplete.bind(this);
+            this.boundOnDataFailed = this.onDataFailed.bind(this);
+            this.boundOnPlayerError = this.onPlayerError.bind(this);
+
+            this.parseAnimationProps();
+            this.countdownInterval = null;
+            this.cacheDomElements();
+            this.perfOverlay = new EnginiLotties.PerfOverlay(this.wrapper, this.lottieContainer);
+            this.layerInspector = new EnginiLotties.LayerInspector(this);
+            this.loadErrors = new EnginiLotties.LoadErrorView(this.wrapper, () => this.retryLoad());
+            this.attachEventListeners();
+            this.renderTheme();
+            if (!options.lazy) {
+                this.load();
+            }
+        }
+
+        /**
+         * Resolves the playback type and its frames before the animation
+         * data is available (see resolvePlayback(), lottie-driver.js): the
+         * config's type, else the file name (e.g. "Loop-25-62",
+         * "Freeze-29") until markers are read.
+         */
+        parseAnimationProps() {
+            const playback = this.resolvePlayback();
+            playback.warnings.forEach(warning => console.warn(`${this.animationData.fileName}: ${warning}.`));
+
+            this.setAnimationType(playback.animationType);
+            this.applyFramePoints(playback);
+            this.driver = new EnginiLotties.PlayerDriver(this.getPlaybackConfig(), {
+                idleInterval: this.animationData.idleInterval,
+                isPaused: () => this.isOffscreen || document.hidden,
+                onCommands: () => this.onCommands()
+            });
+        }
+
+        /**
+         * @param {object} [animationJson] - The loaded file, for its markers.
+         * @returns {object} See resolvePlayback().
+         */
+        resolvePlayback(animationJson) {
+            return EnginiLotties.resolvePlayback({
+                animationType: this.animationData.animationType,
+                animationJson,
+                config: this.animationData,
+                fileName: this.animationData.fileName,
+                segments: this.animationData.segments
+            });
+        }
+
+        get playback() {
+            return this.driver.playback;
+        }
+
+        get idleTimer() {
+            return this.driver.idleTimer;
+        }
+
+        /**
+         * @returns {number} Frames of the loaded file, 0 while loading.
+         */
+        get totalFrames() {
+            return this.driver?.totalFrames || 0;
+        }
+
+        /**
+         * @returns {object} The state machine config for the current props.
+         */
+        getPlaybackConfig() {
+            return {
+                animationType: this.animationType,
+                totalFrames: this.totalFrames,
+                loopStartFrame: this.loopStartFrame,
+                loopEndFrame: this.loopEndFrame,
+                freezeFrame: this.freezeFrame,
+                segments: this.animationData.segments,
+                direction: this.direction,
+                reducedMotion: this.prefersReducedMotion
+            };
+        }
+
+        /**
+         * Switches the playback type and the timeline the card displays.
+         * @param {string} animationType
+         */
+        setAnimationType(animationType) {
+            this.animationType = animationType;
+            this.isLooping = animationType === 'loop';
+            this.isSegmented = animationType === 'segments';
+            this.isContinuous = animationType === 'continuous';
+            this.wrapper.dataset.timelineType = this.isLooping || this.isSegmented ? 'segments' : 'simple';
+            this.updateAriaRoles();
+        }
+
+        /**
+         * The preview area is a toggle button, except for loaders that play
+         * on their own and ignore input.
+         */
+        updateAriaRoles() {
+            const title = this.wrapper.querySelector('.lottie-title')?.textContent
+                || this.animationData.displayName
+                || this.animationData.fileName;
+
+            this.wrapper.setAttribute('role', 'group');
+            this.wrapper.setAttribute('aria-label', title);
+
+            if (this.isContinuous && !this.prefersReducedMotion) {
+                this.lottieContainer.setAttribute('role', 'img');
+                this.lottieContainer.setAttribute('aria-label', `${title} (looping animation)`);
+                this.lottieContainer.removeAttribute('tabindex');
+                this.lottieContainer.removeAttribute('aria-pressed');
+            } else {
+                this.lottieContainer.setAttribute('role', 'button');
+                this.lottieContainer.setAttribute('aria-label', `Preview ${title}`);
+                this.lottieContainer.tabIndex = 0;
+                this.lottieContainer.setAttribute('aria-pressed', String(Boolean(this.interaction?.isEngaged)));
+            }
+        }
+
+        /**
+         * @param {{loopStartFrame: number, loopEndFrame: number, freezeFrame: number}} playback
+         */
+        applyFramePoints({ loopStartFrame, loopEndFrame, freezeFrame }) {
+            this.loopStartFrame = loopStartFrame;
+            this.loopEndFrame = loopEndFrame;
+            this.freezeFrame = freezeFrame;
+        }
+
+        /**
+         * Re-resolves loop/freeze points once the animation data is loaded,
+         * so named markers (loop_start, loop_end, freeze) take precedence.
+         * Cards without an explicit type pick it up from the markers.
+         */
+        readMarkers() {
+            const playback = this.resolvePlayback(this.lottieAnimation.animationData);
+
+            if (playback.animationType !== this.animationType) {
+                this.setAnimationType(playback.animationType);
+                this.cacheDomElements();
+            }
+
+            this.applyFramePoints(playback);
+            this.playback.configure(this.getPlaybackConfig());
+
+            const relevantPoints = this.isLooping
+                ? { loopStart: this.loopStartFrame, loopEnd: this.loopEndFrame }
+                : this.animationType === 'freeze' ? { freeze: this.freezeFrame } : {};
+            const segmentProblems = this.playback.segments
+                .filter(segment => segment.start >= this.totalFrames)
+                .map(segment => `segment "${segment.name}" starts at ${segment.start}, after the last frame (${this.totalFrames - 1})`);
+            this.showWarnings([
+                ...playback.conflicts,
+                ...EnginiLotties.findFramePointProblems(relevantPoints, this.totalFrames),
+                ...segmentProblems,
+                ...this.paletteWarnings
+            ]);
+        }
+
+        /**
+         * Lists frame point disagreements, out-of-range points and palette
+         * problems on the card (or clears them).
+         * @param {Array<string>} warnings
+         */
+        showWarnings(warnings) {
+            let warningEl = this.wrapper.querySelector('.card-warning');
+
+            if (warnings.length === 0) {
+                warningEl?.remove();
+                return;
+            }
+
+            console.warn(`${this.animationData.fileName}: card warnings.`, warnings);
+
+            if (!warningEl) {
+                warningEl = document.createElement('div');
+                warningEl.className = 'card-warning';
+                this.lottieContainer.before(warningEl);
+            }
+            warningEl.textContent = `\u26A0 ${warnings.join('; ')}`;
+        }
+
+        /**
+         * Finds and stores references to all UI elements within the card.
+         */
+        cacheDomElements() {
+            const timeline = this.wrapper.querySelector(this.isLooping || this.isSegmented ? '.timeline-segments' : '.timeline-simple')
+                || this.wrapper;
+            const find = (selector) => timeline.querySelector(selector);
+
+            this.ui = {
+                frameCounter: this.wrapper.querySelector('.frame-counter'),
+                timelineContainer: find('.timeline-container'),
+                playheadMarker: find('.playhead-marker'),
+                themeToggle: this.wrapper.querySelector('.theme-toggle'),
+                copyLinkButton: this.wrapper.querySelector('.copy-link'),
+                paletteSelect: this.wrapper.querySelector('.palette-select'),
+                speedSelect: this.wrapper.querySelector('.speed-select'),
+                reverseToggle: this.wrapper.querySelector('.reverse-toggle'),
+                rendererSelect: this.wrapper.querySelector('.renderer-select'),
+                // Simple (non-loop) timeline
+                progressFull: find('.progress-full'),
+                idleCountdown: find('.idle-countdown'),
+                frameNums: {
+                    start: find('.frame-num-start'),
+                    end: find('.frame-num-end')
+                },
+                // Segmented timeline, generated by buildTimeline()
+                timelineLabels: find('.timeline-labels'),
+                timelineFrameNumbers: find('.timeline-framenumbers'),
+                timelineSegments: []
+            };
+        }
+
+        /**
+         * Sets up the initial state of the timeline (widths, frame numbers).
+         */
+        buildTimeline() {
+            if (!this.lottieAnimation || this.totalFrames === 0) return;
+
+            if (this.ui.timelineContainer) {
+                this.ui.timelineContainer.setAttribute('aria-valuemin', 0);
+                this.ui.timelineContainer.setAttribute('aria-valuemax', this.totalFrames - 1);
+            }
+
+            if (this.isLooping || this.isSegmented) {
+                this.buildSegmentedTimeline();
+            } else {
+                // For Continuous, Freeze, PlayOnce and PlayAndHold
+                const { frameNums } = this.ui;
+                if (frameNums.start) frameNums.start.textContent = 0;
+                if (frameNums.end) frameNums.end.textContent = this.totalFrames;
+            }
+
+            // Lets add-ons (e.g. annotation markers) lay themselves out on the new frame count
+            this.wrapper.dispatchEvent(new CustomEvent('timelineBuilt', {
+                detail: { totalFrames: this.totalFrames },
+                bubbles: true,
+                composed: true
+            }));
+        }
+
+        /**
+         * @returns {Array<{key: string, name: string, start: number, end: number, behavior: string}>}
+         * The segments on the timeline; a loop card has an intro, a loop and an outro.
+         */
+        getTimelineSegments() {
+            const segments = this.isSegmented
+                ? this.playback.segments.map(segment => ({ ...segment, key: segment.behavior }))
+                : [
+                    { key: 'intro', name: 'Intro', start: 0, end: this.loopStartFrame, behavior: 'play' },
+                    { key: 'loop', name: 'Loop', start: this.loopStartFrame, end: this.loopEndFrame, behavior: 'loop' },
+                    { key: 'outro', name: 'Outro', start: this.loopEndFrame, end: this.totalFrames, behavior: 'play' }
+                ];
+
+            return segments
+                .map(segment => ({ ...segment, end: Math.min(segment.end, this.totalFrames) }))
+                .filter(segment => segment.end > segment.start);
+        }
+
+        /**
+         * Creates a bar, label and frame numbers for every segment.
+         * Segments are colored by behavior (loop cards: intro / loop / outro).
+         */
+        buildSegmentedTimeline() {
+            const { timelineContainer, timelineLabels, timelineFrameNumbers } = this.ui;
+            if (!timelineContainer) return;
+
+            const toPercent = (frame) => `${(frame / this.totalFrames) * 100}%`;
+            const create = (tagName, className, parent, before = null) => {
+                const element = document.createElement(tagName);
+                element.className = className;
+                parent?.insertBefore(element, before);
+                return element;
+            };
+
+            // Annotation markers and the playhead stay
+            timelineContainer.querySelectorAll('.timeline-segment, .timeline-marker').forEach(element => element.remove());
+            timelineLabels?.replaceChildren();
+            timelineFrameNumbers?.replaceChildren();
+
+            const playhead = timelineContainer.querySelector('.playhead-marker');
+            const segments = this.getTimelineSegments();
+            const boundaries = [...segments.map(segment => segment.start), this.totalFrames].map((frame, index, all) => {
+                const frameNum = create('span', 'timeline-framenumber', timelineFrameNumbers);
+                frameNum.textContent = frame;
+                if (index === all.length - 1) {
+                    frameNum.style.right = '0';
+                } else {
+                    frameNum.style.left = toPercent(frame);
+                }
+                return frameNum;
+            });
+
+            this.ui.timelineSegments = segments.map((segment, index) => {
+                const element = create('div', `timeline-segment segment-${segment.key}`, timelineContainer, playhead);
+                element.style.width = toPercent(segment.end - segment.start);
+                element.title = `${segment.name}: frames ${segment.start}-${segment.end} (${segment.behavior})`;
+                const progress = create('div', `timeline-progress-fill progress-${segment.key}`, element);
+
+                if (index > 0) {
+                    create('div', 'timeline-marker', timelineContainer, playhead).style.left = toPercent(segment.start);
+                }
+
+                // First and last labels sit on the edges, the others centered on their segment
+                const label = create('span', 'timeline-label', timelineLabels);
+                label.textContent = segment.name;
+                if (index === 0) {
+                    label.style.left = '0';
+                } else if (index === segments.length - 1) {
+                    label.style.right = '0';
+                } else {
+                    label.style.left = toPercent((segment.start + segment.end) / 2);
+                    label.style.transform = 'translateX(-50%)';
+                }
+
+                return { segment, element, progress, label, frameNums: [boundaries[index], boundaries[index + 1]] };
+            });
+        }
+
+        /**
+         * Attaches all necessary event listeners for interaction.
+         */
+        attachEventListeners() {
+            // Hover, touch and keyboard all map to hover start / end.
+            // Continuous animations ignore them in the state machine.
+            this.interaction = new EnginiLotties.CardInteraction(this.lottieContainer, {
+                onStart: this.onHoverStart.bind(this),
+                onEnd: this.onHoverEnd.bind(this)
+            });
+
+            watchPage();
+
+            if (this.ui.themeToggle) {
+                this.ui.themeToggle.addEventListener('change', this.onThemeChange.bind(this));
+            }
+
+            if (this.ui.speedSelect) {
+                this.ui.speedSelect.addEventListener('change', () => this.setSpeed(Number(this.ui.speedSelect.value)));
+            }
+
+            if (this.ui.reverseToggle) {
+                this.ui.reverseToggle.addEventListener('click', () => this.setDirection(-this.direction));
+            }
+
+            if (this.ui.rendererSelect) {
+                this.ui.rendererSelect.value = this.renderer;
+                this.ui.rendererSelect.addEventListener('change', () => this.setRenderer(this.ui.rendererSelect.value));
+            }
+
+            if (this.ui.paletteSelect) {
+                this.buildPaletteSelect();
+                this.ui.paletteSelect.addEventListener('change', () => this.setPalette(this.ui.paletteSelect.value || null));
+            }
+
+            // Pages without theme folders have a single look
+            const toggleContainer = this.wrapper.querySelector('.toggle-container');
+            if (toggleContainer) {
+                toggleContainer.hidden = !this.themeFolders;
+            }
+
+            if (this.ui.copyLinkButton) {
+                this.ui.copyLinkButton.hidden = !this.slug;
+                this.copyLinkLabel = this.ui.copyLinkButton.textContent;
+                this.ui.copyLinkButton.addEventListener('click', this.onCopyLink.bind(this));
+            }
+
+            // Both timelines are wired, the CSS decides which one is visible.
+            this.wrapper.querySelectorAll('.timeline-container').forEach(container => {
+                container.tabIndex = 0;
+                container.setAttribute('role', 'slider');
+                container.setAttribute('aria-label', 'Scrub timeline');
+                container.addEventListener('pointerdown', this.onScrubStart.bind(this));
+                container.addEventListener('pointermove', this.onScrubMove.bind(this));
+                container.addEventListener('pointerup', this.onScrubEnd.bind(this));
+                container.addEventListener('pointercancel', this.onScrubEnd.bind(this));
+                container.addEventListener('keydown', this.onTimelineKeyDown.bind(this));
+                container.addEventListener('blur', this.onTimelineBlur.bind(this));
+            });
+        }
+
+        /**
+         * Builds the asset path for the given theme.
+         * @param {boolean} isLight
+         * @returns {string}
+         */
+        getAnimationPath(isLight) {
+            if (!this.themeFolders) {
+                return `${this.assetRoot}/${this.animationData.fileName}`;
+            }
+            const themeFolder = isLight ? this.themeFolders.light : this.themeFolders.dark;
+            return `${this.assetRoot}/${themeFolder}/${this.animationData.fileName}`;
+        }
+
+        /**
+         * Creates the player of a lazy card (or one unloaded before).
+         */
+        load() {
+            if (this.isLoaded) return;
+
+            // The setting may have changed while the card had no player
+            const isReduced = Boolean(this.reducedMotionQuery?.matches);
+            if (isReduced !== this.prefersReducedMotion) {
+                this.setReducedMotion(isReduced);
+            }
+            this.loadAnimationForTheme(this.isLightMode);
+        }
+
+        /**
+         * Destroys the player to free its SVG and memory. The frame and
+         * playback state come back with the next load().
+         */
+        unload() {
+            if (!this.isLoaded) return;
+
+            this.loadId++; // Drops a recolor still in flight
+            this.destroyPlayer();
+            this.isLoaded = false;
+            loadedCards.delete(this);
+        }
+
+        /**
+         * Off-screen cards keep their playback state but render no frames;
+         * a loader carries on where it was once scrolled back into view.
+         * @param {boolean} isOffscreen
+         */
+        setOffscreen(isOffscreen) {
+            if (isOffscreen === this.isOffscreen) return;
+
+            this.isOffscreen = isOffscreen;
+            if (!this.lottieAnimation) return;
+
+            if (isOffscreen) {
+                this.lottieAnimation.pause();
+            } else if (this.totalFrames > 0 && this.playback.state.isPlaying) {
+                this.lottieAnimation.play();
+            }
+            this.syncIdleTimer();
+        }
+
+        /**
+         * Destroys the player; a loaded card's frame and playback state come
+         * back once the next player is loaded.
+         */
+        destroyPlayer() {
+            this.driver.detach();
+            if (this.lottieAnimation) {
+                this.lottieAnimation.destroy();
+                this.lottieAnimation = null;
+            }
+
+            this.wrapper.classList.remove('playing', 'frozen-state', 'scrubbed');
+            this.syncIdleTimer();
+        }
+
+        /**
+         * Loads or re-loads the Lottie animation based on the theme. With a
+         * palette selected the JSON is fetched and recolored first.
+         * @param {boolean} isLight
+         */
+        loadAnimationForTheme(isLight) {
+            this.destroyPlayer();
+            this.loadErrors.clear();
+            this.isLoaded = true;
+            loadedCards.add(this);
+
+            const path = this.getAnimationPath(isLight);
+            const loadId = ++this.loadId;
+            this.paletteWarnings = [];
+
+            if (!this.paletteName) {
+                this.createPlayer({ path });
+                return;
+            }
+
+            this.getRecoloredAnimation(path).then(animationData => {
+                // A newer theme or palette switch wins
+                if (loadId !== this.loadId) return;
+                this.createPlayer(animationData ? { animationData } : { path });
+            });
+        }
+
+        /**
+         * @param {object} source - { path } or { animationData } for lottie.loadAnimation.
+         */
+        createPlayer(source) {
+            this.lottieAnimation = lottie.loadAnimation({
+                container: this.lottieContainer,
+                renderer: this.renderer,
+                loop: this.isContinuous,
+                autoplay: this.isContinuous && !this.prefersReducedMotion && !this.isOffscreen,
+                ...source
+            });
+            this.lottieAnimation.setSpeed(this.speed);
+            this.lottieAnimation.setDirection(this.direction);
+            this.driver.attach(this.lottieAnimation);
+            this.perfOverlay.reset(this.renderer);
+
+            this.lottieAnimation.addEventListener('DOMLoaded', this.boundOnDOMLoaded);
+            this.lottieAnimation.addEventListener('enterFrame', this.boundOnEnterFrame);
+            this.lottieAnimation.addEventListener('complete', this.boundOnComplete);
+            this.lottieAnimation.addEventListener('data_failed', this.boundOnDataFailed);
+            this.lottieAnimation.addEventListener('error', this.boundOnPlayerError);
+        }
+
+        /**
+         * lottie-web could not fetch or parse the file; it does not say why,
+         * so the file is requested again for its HTTP status.
+         */
+        onDataFailed() {
+            const path = this.getAnimationPath(this.isLightMode);
+            const loadId = this.loadId;
+
+            EnginiLotties.describeLoadFailure(path).then(reason => {
+                // A retry or theme switch started a newer load
+                if (loadId !== this.loadId) return;
+                this.showLoadFailure(path, reason);
+            });
+        }
+
+        /**
+         * @param {object} event - lottie-web's error event. Only a configuration
+         * error before the first frame leaves the card blank; render errors
+         * are left to lottie.
+         */
+        onPlayerError(event) {
+            if (event?.type !== 'configError' || this.totalFrames > 0) return;
+            this.showLoadFailure(
+                this.getAnimationPath(this.isLightMode),
+                `not a valid Lottie file (${event.nativeError?.message || 'configuration error'})`
+            );
+        }
+
+        /**
+         * @param {string} path
+         * @param {string} reason - See describeLoadFailure().
+         */
+        showLoadFailure(path, reason) {
+            this.loadErrors.add(path, reason);
+            if (this.ui.frameCounter) {
+                this.ui.frameCounter.textContent = 'Not loaded';
+            }
+        }
+
+        /**
+         * Loads the file again, e.g. after a missing file was added.
+         */
+        retryLoad() {
+            this.loadAnimationForTheme(this.isLightMode);
+        }
+
+        /**
+         * Fetches the source JSON once per path and applies the selected
+         * palette to a copy.
+         *
+         * @param {string} path
+         * @returns {Promise<object|null>} Null when recoloring failed; the
+         * reason is added to the card warnings.
+         */
+        async getRecoloredAnimation(path) {
+            const paletteName = this.paletteName;
+
+            try {
+                if (!this.sourceJsonByPath.has(path)) {
+                    this.sourceJsonByPath.set(path, fetch(path).then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                        return response.json();
+                    }));
+                }
+                const sourceJson = await this.sourceJsonByPath.get(path);
+
+                const { animationData, replacedCount } = EnginiLotties.recolorAnimation(sourceJson, this.palettes[paletteName]);
+                if (replacedCount === 0) {
+                    this.paletteWarnings = [`palette "${paletteName}" matches no color in this file`];
+                }
+                return animationData;
+            } catch (error) {
+                this.sourceJsonByPath.delete(path);
+                this.paletteWarnings = [`palette "${paletteName}" not applied (${error.message})`];
+                return null;
+            }
+        }
+
+        /**
+         * Reloads the player (new theme or palette), keeping the frame and
+         * playback state.
+         */
+        reloadAnimation() {
+            // Not loaded yet: load() picks up the new theme or palette
+            if (!this.isLoaded) return;
+
+            this.loadAnimationForTheme(this.isLightMode);
+        }
+
+        // --- Speed and direction ---
+
+        /**
+         * @param {number} speed - Playback rate, e.g. 0.1 for slow motion or 2 for fast-forward.
+         */
+        setSpeed(speed) {
+            if (!(speed > 0)) {
+                throw new Error(`Invalid playback speed "${speed}"`);
+            }
+
+            this.speed = speed;
+            this.lottieAnimation?.setSpeed(speed);
+            if (this.ui.speedSelect) {
+                this.ui.speedSelect.value = String(speed);
+            }
+        }
+
+        /**
+         * Plays forward (1) or in reverse (-1). The card goes back to its
+         * resting frame, which is the last frame in reverse.
+         * @param {number} direction
+         */
+        setDirection(direction) {
+            if (direction !== 1 && direction !== -1) {
+                throw new Error(`Invalid playback direction "${direction}"`);
+            }
+            if (direction === this.direction) return;
+
+            this.direction = direction;
+            this.wrapper.classList.toggle('reversed', direction === -1);
+            if (this.ui.reverseToggle) {
+                this.ui.reverseToggle.setAttribute('aria-pressed', String(direction === -1));
+            }
+
+            if (this.lottieAnimation) {
+                this.lottieAnimation.setDirection(direction);
+            }
+            this.driver.reconfigure(this.getPlaybackConfig(), false);
+        }
+
+        /**
+         * Follows the prefers-reduced-motion setting: continuous loaders
+         * stop and only play while hovered, focused or tapped.
+         * @param {boolean} isReduced
+         */
+        setReducedMotion(isReduced) {
+            this.prefersReducedMotion = isReduced;
+            this.updateAriaRoles();
+            this.driver.reconfigure(this.getPlaybackConfig(), this.interaction.isEngaged);
+        }
+
+        // --- Renderer ---
+
+        /**
+         * Recreates the player with another lottie renderer, keeping the
+         * frame and playback state.
+         * @param {string} renderer - "svg" or "canvas".
+         */
+        setRenderer(renderer) {
+            if (!EnginiLotties.RENDERERS.includes(renderer)) {
+                throw new Error(`Unknown renderer "${renderer}"`);
+            }
+            if (renderer === this.renderer) return;
+
+            this.renderer = renderer;
+            if (this.ui.rendererSelect) {
+                this.ui.rendererSelect.value = renderer;
+            }
+            this.reloadAnimation();
+        }
+
+        /**
+         * Shows or hides the FPS / dropped frames / DOM nodes overlay.
+         * @param {boolean} isVisible
+         */
+        setPerfOverlay(isVisible) {
+            if (isVisible) {
+                this.perfOverlay.show();
+            } else {
+                this.perfOverlay.hide();
+            }
+        }
+
+        // --- Palettes ---
+
+        buildPaletteSelect() {
+            const names = this.palettes ? Object.keys(this.palettes) : [];
+            const picker = this.ui.paletteSelect.closest('.palette-picker') || this.ui.paletteSelect;
+            picker.hidden = names.length === 0;
+
+            this.ui.paletteSelect.replaceChildren(new Option('Original', ''), ...names.map(name => new Option(name, name)));
+        }
+
+        /**
+         * Previews the card in one of its section's palettes.
+         * @param {string|null} name - Palette name, or null for the original colors.
+         */
+        setPalette(name) {
+            if (name === this.paletteName) return;
+            if (name !== null && !(this.palettes && name in this.palettes)) {
+                throw new Error(`Unknown palette "${name}"`);
+            }
+
+            this.paletteName = name;
+            if (this.ui.paletteSelect) {
+                this.ui.paletteSelect.value = name || '';
+            }
+            this.reloadAnimation();
+        }
+
+        // --- Event Handlers ---
+
+        /**
+         * Feeds an event to the playback state machine; the driver runs the
+         * commands it returns on the lottie player (see onCommands()).
+         *
+         * @param {string} type - Playback event type.
+         * @param {number} [frame] - Defaults to the player's current frame.
+         */
+        dispatch(type, frame) {
+            this.driver.dispatch(type, frame);
+        }
+
+        /**
+         * Re-renders the card after the driver ran player commands.
+         */
+        onCommands() {
+            // The state machine may say "playing"; off-screen it waits for setOffscreen(false)
+            if (this.isOffscreen) {
+                this.lottieAnimation.pause();
+            }
+
+            this.renderState();
+        }
+
+        /**
+         * Mirrors the state machine on the card classes and the timeline.
+         */
+        renderState() {
+            const { state } = this.playback;
+
+            this.wrapper.classList.toggle('playing', this.playback.isHighlighted);
+            this.wrapper.classList.toggle('frozen-state', state.isFrozen);
+            this.wrapper.classList.toggle('scrubbed', state.isScrubbed);
+
+            const frame = state.isHolding
+                ? this.playback.endFrame
+                : Math.floor(this.lottieAnimation.currentFrame);
+            this.updateTimelineUI(frame, this.playback.isTimelineActive);
+            this.syncIdleTimer();
+        }
+
+        // --- Idle ---
+
+        /**
+         * Runs the rest timer of an idle card while the state machine
+         * rests, paused in a hidden tab or off-screen, and shows the
+         * countdown on the timeline.
+         */
+        syncIdleTimer() {
+            this.driver.syncIdleTimer();
+            const isResting = this.totalFrames > 0 && this.playback.state.isResting;
+
+            const isCountingDown = isResting && !this.idleTimer.isPaused;
+            if (isCountingDown && this.countdownInterval === null) {
+                this.countdownInterval = setInterval(() => this.renderIdleCountdown(), 100);
+            } else if (!isCountingDown && this.countdownInterval !== null) {
+                clearInterval(this.countdownInterval);
+                this.countdownInterval = null;
+            }
+            this.renderIdleCountdown();
+        }
+
+        renderIdleCountdown() {
+            const countdown = this.ui.idleCountdown;
+            if (!countdown) return;
+
+            const timeLeft = this.idleTimer.timeLeft;
+            countdown.hidden = timeLeft === null;
+            if (timeLeft === null) return;
+
+            const seconds = (timeLeft / 1000).toFixed(1);
+            countdown.textContent = this.idleTimer.isPaused ? `Paused, next play in ${seconds}s` : `Next play in ${seconds}s`;
+        }
+
+        onDOMLoaded() {
+            this.driver.onDOMLoaded();
+            this.readMarkers();
+            this.buildTimeline();
+            // Back on the frame and state the card had before a theme switch,
+            // or hovered, focused or tapped while loading
+            this.driver.start(this.interaction.isEngaged);
+            this.applyPendingFrame();
+        }
+
+        onEnterFrame() {
+            this.perfOverlay.recordFrame();
+            this.layerInspector.update();
+            this.driver.onEnterFrame();
+        }
+
+        onComplete() {
+            this.dispatch('complete');
+        }
+
+        onHoverStart() {
+            // Reloading: the restored state must know about the pointer
+            if (this.driver.holdHover(true)) return;
+            this.dispatch('hoverStart');
+        }
+
+        onHoverEnd() {
+            if (this.driver.holdHover(false)) return;
+            this.dispatch('hoverEnd');
+        }
+
+        // --- Scrubbing ---
+
+        /**
+         * Parks the playhead on a frame. Playback state is cleared so the
+         * next hover starts fresh from frame 0, like after any other stop.
+         *
+         * @param {number} frame
+         */
+        scrubToFrame(frame) {
+            if (!this.lottieAnimation || this.totalFrames === 0) return;
+
+            const clampedFrame = Math.min(this.totalFrames - 1, Math.max(0, Math.round(frame)));
+            this.dispatch('scrub', clampedFrame);
+        }
+
+        /**
+         * Maps a pointer position on a timeline container to a frame.
+         * @param {PointerEvent} event
+         * @returns {number}
+         */
+        getFrameFromPointer(event) {
+            const rect = event.currentTarget.getBoundingClientRect();
+            const ratio = rect.width > 0 ? (event.clientX - rect.left) / rect.width : 0;
+            return ratio * this.totalFrames;
+        }
+
+        onScrubStart(event) {
+            if (event.button !== 0 || this.totalFrames === 0) return;
+
+            this.isScrubbing = true;
+            event.currentTarget.setPointerCapture?.(event.pointerId);
+            event.currentTarget.focus();
+            this.scrubToFrame(this.getFrameFromPointer(event));
+            event.preventDefault();
+        }
+
+        onScrubMove(event) {
+            if (!this.isScrubbing) return;
+            this.scrubToFrame(this.getFrameFromPointer(event));
+        }
+
+        onScrubEnd(event) {
+            if (!this.isScrubbing) return;
+
+            this.isScrubbing = false;
+            event.currentTarget.releasePointerCapture?.(event.pointerId);
+
+            // Loaders never stop, they carry on from the scrubbed frame.
+            this.dispatch('resume');
+        }
+
+        onTimelineKeyDown(event) {
+            if (this.totalFrames === 0) return;
+
+            const currentFrame = Math.floor(this.lottieAnimation.currentFrame);
+            const step = event.shiftKey ? 10 : 1;
+            const targets = {
+                ArrowLeft: currentFrame - step,
+                ArrowDown: currentFrame - step,
+                ArrowRight: currentFrame + step,
+                ArrowUp: currentFrame + step,
+                Home: 0,
+                End: this.totalFrames - 1
+            };
+
+            if (!(event.key in targets)) return;
+
+            event.preventDefault();
+            this.scrubToFrame(targets[event.key]);
+        }
+
+        onTimelineBlur() {
+            if (this.totalFrames === 0) return;
+            this.dispatch('resume');
+        }
+
+        // --- Deep links ---
+
+        /**
+         * Opens the card on a linked moment: switches the theme if needed and
+         * parks the playhead once the (re)loaded animation is ready.
+         *
+         * @param {{frame: number|null, theme: string|null}} link - See parseCardLink().
+         */
+        showLinkedMoment({ frame = null, theme = null }) {
+            this.pendingFrame = frame;
+
+            if (theme !== null) {
+                this.setTheme(theme === 'light');
+            }
+
+            // Otherwise applied once the reload finishes
+            if (this.totalFrames > 0) {
+                this.applyPendingFrame();
+            }
+        }
+
+        applyPendingFrame() {
+            if (this.pendingFrame === null) return;
+
+            const frame = this.pendingFrame;
+            this.pendingFrame = null;
+            this.scrubToFrame(frame);
+        }
+
+        /**
+         * @returns {string} Absolute URL of this card at its current frame and theme.
+         */
+        getLinkUrl() {
+            const hash = EnginiLotties.formatCardLink({
+                card: this.slug,
+                frame: this.lottieAnimation ? Math.floor(this.lottieAnimation.currentFrame) : null,
+                theme: this.themeFolders ? (this.isLightMode ? 'light' : 'dark') : null
+            });
+            return `${location.href.split('#')[0]}${hash}`;
+        }
+
+        onCopyLink() {
+            const url = this.getLinkUrl();
+            const button = this.ui.copyLinkButton;
+
+            const copied = navigator.clipboard
+                ? navigator.clipboard.writeText(url)
+                : Promise.reject(new Error('Clipboard API unavailable'));
+
+            copied.then(() => {
+                button.textContent = 'Copied';
+                clearTimeout(this.copyLinkTimer);
+                this.copyLinkTimer = setTimeout(() => { button.textContent = this.copyLinkLabel; }, 1500);
+            }).catch(() => {
+                // Insecure contexts have no clipboard access; let the reviewer copy by hand.
+                window.prompt('Copy this link:', url);
+            });
+        }
+
+        onThemeChange() {
+            this.setTheme(this.ui.themeToggle.checked);
+        }
+
+        /**
+         * Switches between the dark and light asset folders. The frame and
+         * playback state (hovered, looping, frozen...) survive the reload.
+         *
+         * @param {boolean} isLight
+         */
+        setTheme(isLight) {
+            if (!this.themeFolders || isLight === this.isLightMode) return;
+
+            this.isLightMode = isLight;
+            this.renderTheme();
+            this.reloadAnimation();
+        }
+
+        renderTheme() {
+            this.wrapper.classList.toggle('light-mode', this.isLightMode);
+            if (this.ui.themeToggle) {
+                this.ui.themeToggle.checked = this.isLightMode;
+            }
+
+            // Dispatch event to update section description
+            this.wrapper.dispatchEvent(new CustomEvent('themeChange', {
+                detail: { isLight: this.isLightMode },
+                bubbles: true,
+                composed: true
+            }));
+        }
+
+        // --- UI Update Methods ---
+
+        updateTimelineUI(currentFrame, isPlaying) {
+            if (this.ui.frameCounter) {
+                this.ui.frameCounter.textContent = `Frame: ${currentFrame}`;
+            }
+
+            if (this.totalFrames === 0) return;
+
+            if (this.ui.timelineContainer) {
+                this.ui.timelineContainer.setAttribute('aria-valuenow', currentFrame);
+            }
+
+            const totalProgressPercent = (currentFrame / this.totalFrames) * 100;
+
+            // Reverse fills each bar from its right edge (see .reversed in lottie-card.css)
+            const toFill = (percent) => {
+                const clamped = Math.min(100, Math.max(0, percent));
+                return `${this.direction === -1 ? 100 - clamped : clamped}%`;
+            };
+
+            if (this.ui.playheadMarker) {
+                this.ui.playheadMarker.style.left = `${totalProgressPercent}%`;
+                this.ui.playheadMarker.style.opacity = isPlaying ? '1' : '0';
+            }
+
+            if (this.isLooping || this.isSegmented) {
+                const timelineSegments = this.ui.timelineSegments;
+
+                timelineSegments.forEach(({ segment, progress }) => {
+                    progress.style.width = toFill(((currentFrame - segment.start) / (segment.end - segment.start)) * 100);
+                });
+
+                // Highlight the segment under the playhead
+                const active = isPlaying
+                    ? timelineSegments.filter(({ segment }) => currentFrame >= segment.start).at(-1)
+                    : null;
+                timelineSegments.forEach(entry => {
+                    const isActive = entry === active;
+                    entry.element.classList.toggle('active', isActive);
+                    entry.label.classList.toggle('active', isActive);
+                });
+                timelineSegments.flatMap(entry => entry.frameNums).forEach(frameNum => frameNum.classList.remove('active'));
+                active?.frameNums.forEach(frameNum => frameNum.classList.add('active'));
+            } else if (this.ui.progressFull) {
+                // Simple progress bar
+                this.ui.progressFull.style.width = toFill(totalProgressPercent);
+            }
+        }
+    }
+
+    EnginiLotties.LottieCard = LottieCard;
+
+})(window);
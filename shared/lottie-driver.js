@@ -0,0 +1,237 @@
+/**
+ * @file Drives one lottie-web player with the playback rules, shared by the
+ * portal's LottieCard and the production <engini-lottie> element so both
+ * play a file exactly alike.
+ *
+ * - resolvePlayback() picks the playback type and frame points: an
+ *   explicit type, else the file's markers, else the file name
+ *   ("Loop-24-71", "Freeze-29").
+ * - PlayerDriver feeds events to a PlaybackStateMachine, runs the commands
+ *   it answers on the player, keeps the state across a reload (theme,
+ *   renderer) and runs the rest timer of idle animations.
+ *
+ * Works both as a browser script (window.EnginiLotties, after manifest.js,
+ * frame-points.js, playback-state.js and idle-timer.js) and as a Node module.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory({
+            ...require('./manifest.js'),
+            ...require('./frame-points.js'),
+            ...require('./playback-state.js'),
+            ...require('./idle-timer.js')
+        });
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, factory(root.EnginiLotties || {}));
+    }
+})(typeof self !== 'undefined' ? self : this, function (EnginiLotties) {
+    'use strict';
+
+    /**
+     * @param {object} source
+     * @param {string} [source.animationType] - Explicit type (manifest or attribute).
+     * @param {object} [source.animationJson] - The loaded file; markers are read once it is given.
+     * @param {object} [source.config] - loopFrames / freezeFrame settings.
+     * @param {string} source.fileName
+     * @param {Array<object>} [source.segments] - Required by the segments type.
+     * @returns {{animationType: string, points: object, conflicts: string[], warnings: string[],
+     *     loopStartFrame: number, loopEndFrame: number, freezeFrame: number}}
+     *     warnings list the explicit types that could not be used.
+     */
+    function resolvePlayback({ animationType: explicitType, animationJson, config, fileName, segments }) {
+        const { points, conflicts } = EnginiLotties.resolveFramePoints({ animationJson, config, fileName });
+        const warnings = [];
+
+        let animationType = explicitType || null;
+        if (animationType && !EnginiLotties.ANIMATION_TYPES.includes(animationType)) {
+            warnings.push(`unknown type "${animationType}", using playOnce`);
+            animationType = 'playOnce';
+        }
+        if (animationType === 'segments' && !(Array.isArray(segments) && segments.length > 0)) {
+            warnings.push('type "segments" needs segments, using playOnce');
+            animationType = 'playOnce';
+        }
+
+        if (!animationType) {
+            const lowerName = String(fileName).toLowerCase();
+            if (typeof points.loopStart === 'number' && typeof points.loopEnd === 'number') {
+                animationType = 'loop';
+            } else if (typeof points.freeze === 'number') {
+                animationType = 'freeze';
+            } else if (lowerName.includes('loop')) {
+                animationType = 'loop';
+            } else if (lowerName.includes('freeze')) {
+                animationType = 'freeze';
+            } else {
+                animationType = 'playOnce';
+            }
+        }
+
+        const isLooping = animationType === 'loop';
+        return {
+            animationType,
+            points,
+            conflicts,
+            warnings,
+            loopStartFrame: isLooping ? (points.loopStart || 0) : 0,
+            loopEndFrame: isLooping ? (points.loopEnd || 0) : 0,
+            freezeFrame: animationType === 'freeze' ? (points.freeze || 0) : 0
+        };
+    }
+
+    class PlayerDriver {
+        /**
+         * @param {object} config - PlaybackStateMachine config.
+         * @param {object} [options]
+         * @param {number|number[]} [options.idleInterval] - Rest of an idle animation, in seconds.
+         * @param {function(): boolean} [options.isPaused] - Pauses the rest (hidden tab, off-screen).
+         * @param {function(): void} [options.onCommands] - Runs after every batch of commands.
+         */
+        constructor(config, { idleInterval, isPaused = () => false, onCommands = () => {} } = {}) {
+            this.playback = new EnginiLotties.PlaybackStateMachine(config);
+            this.idleTimer = new EnginiLotties.IdleTimer(() => this.dispatch('wake'), { interval: idleInterval });
+            this.isPaused = isPaused;
+            this.onCommands = onCommands;
+
+            this.player = null;
+            this.totalFrames = 0; // 0 until the player is loaded
+            this.pendingSnapshot = null;
+            this.isRunningCommands = false;
+        }
+
+        get isLoaded() {
+            return this.totalFrames > 0;
+        }
+
+        get currentFrame() {
+            return Math.floor(this.player?.currentFrame || 0);
+        }
+
+        /**
+         * @param {object} player - A new lottie player, still loading.
+         */
+        attach(player) {
+            this.player = player;
+            this.totalFrames = 0;
+        }
+
+        /**
+         * Call from the player's DOMLoaded, before the playback config is
+         * built from totalFrames.
+         */
+        onDOMLoaded() {
+            this.totalFrames = Math.floor(this.player.totalFrames);
+        }
+
+        /**
+         * Lets go of the player before it is destroyed. The frame and state
+         * come back with the next start().
+         */
+        detach() {
+            if (this.isLoaded) {
+                this.pendingSnapshot = this.playback.snapshot(this.currentFrame);
+            }
+            this.player = null;
+            this.totalFrames = 0;
+            this.syncIdleTimer();
+        }
+
+        /**
+         * Call once the playback config has the file's frames: rests, or
+         * restores the state from before detach().
+         * @param {boolean} isEngaged - Hovered (or otherwise engaged) while loading.
+         */
+        start(isEngaged) {
+            this.dispatch('load', 0);
+
+            if (this.pendingSnapshot) {
+                this.runCommands(this.playback.restore(this.pendingSnapshot));
+                this.pendingSnapshot = null;
+            } else if (isEngaged) {
+                this.dispatch('hoverStart');
+            }
+        }
+
+        /**
+         * Applies a new config (type, frames, direction, reduced motion)
+         * and rests with it.
+         * @param {object} config
+         * @param {boolean} isEngaged
+         */
+        reconfigure(config, isEngaged) {
+            this.playback.configure(config);
+            if (!this.isLoaded) return;
+
+            this.dispatch('load');
+            if (isEngaged) this.dispatch('hoverStart');
+        }
+
+        /**
+         * Hover changes while the player reloads go into the saved state.
+         * @param {boolean} isHovering
+         * @returns {boolean} False when the player is loaded and the event
+         * has to be dispatched.
+         */
+        holdHover(isHovering) {
+            if (this.isLoaded) return false;
+            if (this.pendingSnapshot) this.pendingSnapshot.state.isHovering = isHovering;
+            return true;
+        }
+
+        /**
+         * Call from the player's enterFrame.
+         */
+        onEnterFrame() {
+            if (!this.isLoaded || this.isRunningCommands) return;
+            this.dispatch('enterFrame');
+        }
+
+        /**
+         * @param {string} type - Playback event type.
+         * @param {number} [frame] - Defaults to the player's current frame.
+         */
+        dispatch(type, frame = this.currentFrame) {
+            this.runCommands(this.playback.dispatch({ type, frame }));
+        }
+
+        /**
+         * @param {Array<object>} commands - From the state machine.
+         */
+        runCommands(commands) {
+            // goTo* re-triggers enterFrame synchronously; ignore those echoes.
+            this.isRunningCommands = true;
+            commands.forEach(command => {
+                switch (command.type) {
+                    case 'goToAndPlay':
+                        this.player.goToAndPlay(command.frame, true);
+                        break;
+                    case 'goToAndStop':
+                        this.player.goToAndStop(command.frame, true);
+                        break;
+                    case 'play':
+                        this.player.play();
+                        break;
+                    case 'pause':
+                        this.player.pause();
+                        break;
+                    default:
+                        throw new Error(`Unknown player command "${command.type}"`);
+                }
+            });
+            this.isRunningCommands = false;
+
+            this.syncIdleTimer();
+            this.onCommands();
+        }
+
+        /**
+         * Counts down an idle animation's rest while the machine rests.
+         */
+        syncIdleTimer() {
+            this.idleTimer.sync(this.isLoaded && this.playback.state.isResting, this.isPaused());
+        }
+    }
+
+    return { resolvePlayback, PlayerDriver };
+});
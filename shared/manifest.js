@@ -0,0 +1,431 @@
+/**
+ * @file Schema validation for a project's manifest.json.
+ *
+ * Each project folder (Logo/V1, Logo/V2, Hexagons) has a manifest.json
+ * listing its sections and animations, so adding an animation never means
+ * editing JavaScript:
+ *
+ *     {
+ *         "themeFolders": { "dark": "White", "light": "Black" },  // or null
+ *         "renderer": "svg",                                       // optional
+ *         "sections": [
+ *             { "id": "shapes-grid", "title": "Shapes", "description": "...",
+ *               "palettes": { "Blue": { "--purple": "--blue" } },   // optional
+ *               "animations": [ { "fileName": "Shapes Explosion.json", ... } ],
+ *               "sequences": [ { "title": "Logo flow", ... } ] }          // optional
+ *         ]
+ *     }
+ *
+ * "sequences" chain several files of the section's folder into one state
+ * flow, shown as a sequencer card (see sequence-state.js for the format).
+ * A section needs "animations", "sequences" or both.
+ *
+ * "palettes" offers named recolorings (see recolor.js) on every card of
+ * the section, previewed live from the single exported file.
+ *
+ * "renderer" is the lottie-web renderer cards start with, "svg" (default)
+ * or "canvas"; reviewers can still switch per card or for the whole page.
+ *
+ * Each animation object has the following properties:
+ *
+ * @param {string} fileName - The exact .json file name in the Lotties folder.
+ * @param {string} [displayName] - (Optional) A friendly name for the UI.
+ * @param {string} [animationType] - Defines the playback behavior. Detected
+ * from markers or the file name when omitted.
+ * - "playOnce": Plays once on hover, resets on hover out.
+ * - "playAndHold": Plays once on hover, holds the last frame. Resets on hover out.
+ * - "loop": Has an intro, loop, and outro.
+ * - "freeze": Plays to the freeze point on hover, finishes on hover out.
+ * - "continuous": Always playing loop, ignores hover.
+ * - "idle": Plays once, rests for a few seconds and repeats, like on the
+ *   website. Hover plays it right away.
+ * - "segments": Plays the named "segments" in order (see below).
+ * @param {number[]} [loopFrames] - (Fallback for "loop" type)
+ * An array [startFrame, endFrame] defining the loop segment. The
+ * "loop_start"/"loop_end" markers in the JSON take precedence.
+ * @param {number} [freezeFrame] - (Fallback for "freeze" type, after a "freeze" marker)
+ * @param {number|number[]} [idleInterval] - (For "idle" type) Seconds between
+ * two plays, fixed or a random [min, max]. Defaults to [4, 9].
+ * @param {object[]} [segments] - (For "segments" type) Ordered states such as
+ * { "name": "Loading", "start": 30, "behavior": "loop" }. The first starts
+ * at frame 0 and each ends where the next starts. While hovered, "play"
+ * plays through, "loop" repeats the segment and "hold" stops on its end.
+ * @param {string} [feedback] - (Optional) Review note shown under the title.
+ * @param {string} [renderer] - (Optional) "svg" or "canvas" for this card,
+ * overriding the page's renderer.
+ *
+ * Works as a browser script (window.EnginiLotties), inside the service
+ * worker (self.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const ANIMATION_TYPES = ['playOnce', 'playAndHold', 'loop', 'freeze', 'continuous', 'idle', 'segments'];
+
+    const SEGMENT_BEHAVIORS = ['play', 'loop', 'hold'];
+
+    const SEQUENCE_BEHAVIORS = ['play', 'loop'];
+    // Sequencer buttons every sequence has, so no state may use them as "on" events
+    const SEQUENCE_CONTROL_EVENTS = ['start', 'reset'];
+
+    const RENDERERS = ['svg', 'canvas'];
+
+    const MANIFEST_KEYS = ['themeFolders', 'renderer', 'sections'];
+    const SECTION_KEYS = ['id', 'title', 'description', 'palettes', 'animations', 'sequences'];
+    const ANIMATION_KEYS = ['fileName', 'displayName', 'animationType', 'loopFrames', 'freezeFrame', 'idleInterval', 'segments', 'feedback', 'renderer'];
+    const SEGMENT_KEYS = ['name', 'start', 'behavior'];
+    const SEQUENCE_KEYS = ['title', 'initial', 'states'];
+    const SEQUENCE_STATE_KEYS = ['fileName', 'displayName', 'behavior', 'next', 'on'];
+
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isFrame = (value) => Number.isInteger(value) && value >= 0;
+    const isPaletteColor = (value) => typeof value === 'string' && /^(#([0-9a-f]{3}|[0-9a-f]{6})|--[a-z0-9-]+)$/i.test(value);
+
+    /**
+     * Reports properties that are not part of the schema (usually typos).
+     */
+    function checkUnknownKeys(object, allowed, path, errors) {
+        Object.keys(object).forEach(key => {
+            if (!allowed.includes(key)) {
+                errors.push({ path: `${path}.${key}`, message: `unknown property (expected one of ${allowed.join(', ')})` });
+            }
+        });
+    }
+
+    /**
+     * Validates a single animation entry.
+     *
+     * @param {object} animation
+     * @param {string} path - Location used in error messages.
+     * @returns {Array<{path: string, message: string}>}
+     */
+    function validateAnimation(animation, path) {
+        const errors = [];
+
+        if (!isObject(animation)) {
+            return [{ path, message: 'must be an object' }];
+        }
+
+        checkUnknownKeys(animation, ANIMATION_KEYS, path, errors);
+
+        if (typeof animation.fileName !== 'string' || !animation.fileName.endsWith('.json')) {
+            errors.push({ path: `${path}.fileName`, message: 'must be a .json file name' });
+        }
+
+        ['displayName', 'feedback'].forEach(key => {
+            if (key in animation && typeof animation[key] !== 'string') {
+                errors.push({ path: `${path}.${key}`, message: 'must be a string' });
+            }
+        });
+
+        if ('animationType' in animation && !ANIMATION_TYPES.includes(animation.animationType)) {
+            errors.push({
+                path: `${path}.animationType`,
+                message: `unknown value "${animation.animationType}" (expected one of ${ANIMATION_TYPES.join(', ')})`
+            });
+        }
+
+        if ('renderer' in animation && !RENDERERS.includes(animation.renderer)) {
+            errors.push({ path: `${path}.renderer`, message: `unknown value "${animation.renderer}" (expected one of ${RENDERERS.join(', ')})` });
+        }
+
+        if ('loopFrames' in animation) {
+            const frames = animation.loopFrames;
+            if (!Array.isArray(frames) || frames.length !== 2 || !frames.every(isFrame) || frames[0] >= frames[1]) {
+                errors.push({ path: `${path}.loopFrames`, message: 'must be [startFrame, endFrame] with startFrame < endFrame' });
+            }
+        }
+
+        if ('freezeFrame' in animation && !isFrame(animation.freezeFrame)) {
+            errors.push({ path: `${path}.freezeFrame`, message: 'must be a non-negative integer frame' });
+        }
+
+        if ('idleInterval' in animation) {
+            const interval = animation.idleInterval;
+            const isSeconds = (value) => typeof value === 'number' && value > 0;
+            const isValid = Array.isArray(interval)
+                ? interval.length === 2 && interval.every(isSeconds) && interval[0] <= interval[1]
+                : isSeconds(interval);
+            if (!isValid) {
+                errors.push({ path: `${path}.idleInterval`, message: 'must be seconds (> 0) or [minSeconds, maxSeconds]' });
+            }
+        }
+
+        if (animation.animationType === 'segments' && !('segments' in animation)) {
+            errors.push({ path: `${path}.segments`, message: 'is required for animationType "segments"' });
+        } else if ('segments' in animation) {
+            if (animation.animationType !== 'segments') {
+                errors.push({ path: `${path}.segments`, message: 'only applies to animationType "segments"' });
+            }
+            validateSegments(animation.segments, `${path}.segments`, errors);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Segments are [{ "name", "start", "behavior" }], starting at frame 0
+     * in frame order.
+     */
+    function validateSegments(segments, path, errors) {
+        if (!Array.isArray(segments) || segments.length === 0) {
+            errors.push({ path, message: 'must be a non-empty array of segments' });
+            return;
+        }
+
+        segments.forEach((segment, index) => {
+            const segmentPath = `${path}[${index}]`;
+            if (!isObject(segment)) {
+                errors.push({ path: segmentPath, message: 'must be an object' });
+                return;
+            }
+
+            checkUnknownKeys(segment, SEGMENT_KEYS, segmentPath, errors);
+
+            if (typeof segment.name !== 'string' || segment.name === '') {
+                errors.push({ path: `${segmentPath}.name`, message: 'must be a non-empty string' });
+            }
+            if (!SEGMENT_BEHAVIORS.includes(segment.behavior)) {
+                errors.push({ path: `${segmentPath}.behavior`, message: `unknown value "${segment.behavior}" (expected one of ${SEGMENT_BEHAVIORS.join(', ')})` });
+            }
+
+            const previous = segments[index - 1];
+            if (!isFrame(segment.start)) {
+                errors.push({ path: `${segmentPath}.start`, message: 'must be a non-negative integer frame' });
+            } else if (index === 0 && segment.start !== 0) {
+                errors.push({ path: `${segmentPath}.start`, message: 'the first segment must start at frame 0' });
+            } else if (isObject(previous) && isFrame(previous.start) && segment.start <= previous.start) {
+                errors.push({ path: `${segmentPath}.start`, message: `must be after the previous segment's start (${previous.start})` });
+            }
+        });
+    }
+
+    /**
+     * Palettes are { "<name>": { "<source color>": "<target color>" } }.
+     * Brand tokens ("--purple") are checked by recolor.js when applied.
+     */
+    function validatePalettes(palettes, path, errors) {
+        if (!isObject(palettes)) {
+            errors.push({ path, message: 'must be an object of named palettes' });
+            return;
+        }
+
+        Object.entries(palettes).forEach(([name, palette]) => {
+            if (!isObject(palette) || Object.keys(palette).length === 0) {
+                errors.push({ path: `${path}.${name}`, message: 'must map at least one source color to a target color' });
+                return;
+            }
+            Object.entries(palette).forEach(([source, target]) => {
+                if (!isPaletteColor(source) || !isPaletteColor(target)) {
+                    errors.push({ path: `${path}.${name}`, message: `"${source}": "${target}" is not a #RGB/#RRGGBB color or --brand token pair` });
+                }
+            });
+        });
+    }
+
+    /**
+     * Validates a parsed manifest.json.
+     *
+     * @param {object} manifest
+     * @returns {Array<{path: string, message: string}>} Empty when valid.
+     */
+    function validateManifest(manifest) {
+        const errors = [];
+
+        if (!isObject(manifest)) {
+            return [{ path: 'manifest', message: 'must be a JSON object' }];
+        }
+
+        checkUnknownKeys(manifest, MANIFEST_KEYS, 'manifest', errors);
+
+        const { themeFolders } = manifest;
+        if (themeFolders !== undefined && themeFolders !== null) {
+            if (!isObject(themeFolders) || typeof themeFolders.dark !== 'string' || typeof themeFolders.light !== 'string') {
+                errors.push({ path: 'manifest.themeFolders', message: 'must be null or { "dark": "<folder>", "light": "<folder>" }' });
+            }
+        }
+
+        if ('renderer' in manifest && !RENDERERS.includes(manifest.renderer)) {
+            errors.push({ path: 'manifest.renderer', message: `unknown value "${manifest.renderer}" (expected one of ${RENDERERS.join(', ')})` });
+        }
+
+        if (!Array.isArray(manifest.sections)) {
+            errors.push({ path: 'manifest.sections', message: 'must be an array' });
+            return errors;
+        }
+
+        const seenIds = new Set();
+        manifest.sections.forEach((section, sectionIndex) => {
+            const path = `sections[${sectionIndex}]`;
+
+            if (!isObject(section)) {
+                errors.push({ path, message: 'must be an object' });
+                return;
+            }
+
+            checkUnknownKeys(section, SECTION_KEYS, path, errors);
+
+            if (typeof section.id !== 'string' || section.id === '') {
+                errors.push({ path: `${path}.id`, message: 'must be a non-empty string' });
+            } else if (seenIds.has(section.id)) {
+                errors.push({ path: `${path}.id`, message: `duplicate section id "${section.id}"` });
+            }
+            seenIds.add(section.id);
+
+            if (typeof section.title !== 'string') {
+                errors.push({ path: `${path}.title`, message: 'must be a string' });
+            }
+
+            if ('palettes' in section) {
+                validatePalettes(section.palettes, `${path}.palettes`, errors);
+            }
+
+            if ('sequences' in section) {
+                if (!Array.isArray(section.sequences)) {
+                    errors.push({ path: `${path}.sequences`, message: 'must be an array' });
+                } else {
+                    section.sequences.forEach((sequence, sequenceIndex) => {
+                        errors.push(...validateSequence(sequence, `${path}.sequences[${sequenceIndex}]`));
+                    });
+                }
+            }
+
+            if (!Array.isArray(section.animations)) {
+                if ('animations' in section || !('sequences' in section)) {
+                    errors.push({ path: `${path}.animations`, message: 'must be an array' });
+                }
+                return;
+            }
+
+            section.animations.forEach((animation, animationIndex) => {
+                errors.push(...validateAnimation(animation, `${path}.animations[${animationIndex}]`));
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validates a sequence: a graph of named states, each playing one file.
+     *
+     * @param {object} sequence
+     * @param {string} path - Location used in error messages.
+     * @returns {Array<{path: string, message: string}>}
+     */
+    function validateSequence(sequence, path) {
+        if (!isObject(sequence)) {
+            return [{ path, message: 'must be an object' }];
+        }
+
+        const errors = [];
+        checkUnknownKeys(sequence, SEQUENCE_KEYS, path, errors);
+
+        if (typeof sequence.title !== 'string' || sequence.title === '') {
+            errors.push({ path: `${path}.title`, message: 'must be a non-empty string' });
+        }
+
+        if (!isObject(sequence.states) || Object.keys(sequence.states).length === 0) {
+            errors.push({ path: `${path}.states`, message: 'must be an object of named states' });
+            return errors;
+        }
+
+        const names = Object.keys(sequence.states);
+        const isStateName = (value) => typeof value === 'string' && names.includes(value);
+
+        if (!isStateName(sequence.initial)) {
+            errors.push({ path: `${path}.initial`, message: `must name one of the states (${names.join(', ')})` });
+        }
+
+        Object.entries(sequence.states).forEach(([name, state]) => {
+            const statePath = `${path}.states.${name}`;
+            if (!isObject(state)) {
+                errors.push({ path: statePath, message: 'must be an object' });
+                return;
+            }
+
+            checkUnknownKeys(state, SEQUENCE_STATE_KEYS, statePath, errors);
+
+            if (typeof state.fileName !== 'string' || !state.fileName.endsWith('.json')) {
+                errors.push({ path: `${statePath}.fileName`, message: 'must be a .json file name' });
+            }
+            if ('displayName' in state && typeof state.displayName !== 'string') {
+                errors.push({ path: `${statePath}.displayName`, message: 'must be a string' });
+            }
+            if (!SEQUENCE_BEHAVIORS.includes(state.behavior)) {
+                errors.push({ path: `${statePath}.behavior`, message: `unknown value "${state.behavior}" (expected one of ${SEQUENCE_BEHAVIORS.join(', ')})` });
+            }
+
+            if ('next' in state) {
+                if (state.behavior === 'loop') {
+                    errors.push({ path: `${statePath}.next`, message: 'a loop state is only left through its "on" events' });
+                } else if (!isStateName(state.next)) {
+                    errors.push({ path: `${statePath}.next`, message: `must name one of the states (${names.join(', ')})` });
+                }
+            }
+
+            if ('on' in state) {
+                if (!isObject(state.on)) {
+                    errors.push({ path: `${statePath}.on`, message: 'must map event names to states' });
+                } else {
+                    Object.entries(state.on).forEach(([event, target]) => {
+                        if (SEQUENCE_CONTROL_EVENTS.includes(event)) {
+                            errors.push({ path: `${statePath}.on.${event}`, message: `"${event}" is reserved for the sequencer's own button` });
+                        } else if (!isStateName(target)) {
+                            errors.push({ path: `${statePath}.on.${event}`, message: `must name one of the states (${names.join(', ')})` });
+                        }
+                    });
+                }
+            } else if (state.behavior === 'loop') {
+                errors.push({ path: `${statePath}.on`, message: 'a loop state needs at least one event to leave it' });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Lists the Lottie files a manifest refers to, once per theme folder.
+     *
+     * @param {object} manifest - A validated manifest.
+     * @param {string} [assetRoot='Lotties'] - Relative to the manifest.
+     * @returns {string[]} Paths such as "Lotties/White/Idle.json".
+     */
+    function listAssetPaths(manifest, assetRoot = 'Lotties') {
+        const folders = manifest.themeFolders
+            ? [`${assetRoot}/${manifest.themeFolders.dark}`, `${assetRoot}/${manifest.themeFolders.light}`]
+            : [assetRoot];
+        const paths = new Set();
+
+        (manifest.sections || []).forEach(section => {
+            const fileNames = [
+                ...(section.animations || []).map(animation => animation.fileName),
+                ...(section.sequences || []).flatMap(sequence => Object.values(sequence.states).map(state => state.fileName))
+            ];
+            fileNames.forEach(fileName => {
+                folders.forEach(folder => paths.add(`${folder}/${fileName}`));
+            });
+        });
+
+        return [...paths];
+    }
+
+    return {
+        ANIMATION_TYPES,
+        SEGMENT_BEHAVIORS,
+        SEQUENCE_BEHAVIORS,
+        SEQUENCE_CONTROL_EVENTS,
+        RENDERERS,
+        validateAnimation,
+        validateSequence,
+        validateManifest,
+        listAssetPaths
+    };
+});
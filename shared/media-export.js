@@ -0,0 +1,369 @@
+/**
+ * @file DOM-free building blocks of the card export (card-export.js):
+ * which frames to render, a GIF encoder and a ZIP writer for PNG
+ * sequences. Kept free of canvas and lottie so they can be tested in Node
+ * (see tests/media-export.test.js).
+ *
+ * The GIF encoder uses one global palette of up to 256 colors built from
+ * sample frames. Lottie exports are mostly flat colors, so the most
+ * frequent colors (on a 5-bit-per-channel grid) cover them, with the
+ * anti-aliased edges mapped to their nearest entry.
+ *
+ * The ZIP writer stores files uncompressed (PNG data is compressed already).
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const EXPORT_FORMATS = ['gif', 'webm', 'png'];
+
+    /**
+     * Lists the frames to render, in order. A loop segment plays like a
+     * hovered card: intro and first pass, `loopCount - 1` more passes, then
+     * the outro. Every pass shows the loop end frame before jumping back.
+     *
+     * @param {object} options
+     * @param {number} options.totalFrames
+     * @param {number} [options.loopStartFrame=0]
+     * @param {number} [options.loopEndFrame=0] - No loop segment when not after the start.
+     * @param {number} [options.loopCount=1] - Loop passes, at least 1.
+     * @param {number} [options.rangeStart=0] - First frame kept (inclusive).
+     * @param {number} [options.rangeEnd=totalFrames - 1] - Last frame kept (inclusive).
+     * @returns {number[]}
+     */
+    function buildExportFrames({ totalFrames, loopStartFrame = 0, loopEndFrame = 0, loopCount = 1, rangeStart = 0, rangeEnd = totalFrames - 1 }) {
+        const frames = [];
+        const pushFrames = (from, to) => {
+            for (let frame = from; frame < to; frame++) frames.push(frame);
+        };
+
+        if (loopEndFrame > loopStartFrame) {
+            pushFrames(0, loopEndFrame + 1);
+            for (let pass = 1; pass < loopCount; pass++) {
+                pushFrames(loopStartFrame, loopEndFrame + 1);
+            }
+            pushFrames(loopEndFrame + 1, totalFrames);
+        } else {
+            pushFrames(0, totalFrames);
+        }
+
+        return frames.filter(frame => frame >= rangeStart && frame <= rangeEnd);
+    }
+
+    /**
+     * Per-frame GIF delays in centiseconds. Rounding is spread over the
+     * frames so the total duration stays right (30 fps: 3, 4, 3, 3, 4...).
+     *
+     * @param {number} frameCount
+     * @param {number} frameRate - Frames per second.
+     * @returns {number[]}
+     */
+    function getGifDelays(frameCount, frameRate) {
+        const delays = [];
+        for (let index = 0; index < frameCount; index++) {
+            delays.push(Math.round((index + 1) * 100 / frameRate) - Math.round(index * 100 / frameRate));
+        }
+        return delays;
+    }
+
+    // --- GIF ---
+
+    const toColorKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+    /**
+     * Picks up to 256 colors from RGBA sample frames (alpha is ignored,
+     * frames are expected to be composited on an opaque background).
+     *
+     * @param {Array<Uint8ClampedArray|Uint8Array>} samples
+     * @returns {Array<number[]>} [r, g, b] entries.
+     */
+    function buildGifPalette(samples) {
+        const buckets = new Map();
+
+        samples.forEach(pixels => {
+            for (let offset = 0; offset < pixels.length; offset += 4) {
+                const key = toColorKey(pixels[offset], pixels[offset + 1], pixels[offset + 2]);
+                let bucket = buckets.get(key);
+                if (!bucket) {
+                    bucket = { count: 0, r: 0, g: 0, b: 0 };
+                    buckets.set(key, bucket);
+                }
+                bucket.count++;
+                bucket.r += pixels[offset];
+                bucket.g += pixels[offset + 1];
+                bucket.b += pixels[offset + 2];
+            }
+        });
+
+        const palette = [...buckets.values()]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, 256)
+            .map(({ count, r, g, b }) => [Math.round(r / count), Math.round(g / count), Math.round(b / count)]);
+
+        return palette.length > 0 ? palette : [[0, 0, 0]];
+    }
+
+    /**
+     * Streams frames into a looping GIF89a.
+     */
+    class GifEncoder {
+        /**
+         * @param {number} width
+         * @param {number} height
+         * @param {Array<number[]>} palette - From buildGifPalette().
+         * @param {object} [options]
+         * @param {number} [options.repeat=0] - Times to repeat, 0 loops forever.
+         */
+        constructor(width, height, palette, { repeat = 0 } = {}) {
+            this.width = width;
+            this.height = height;
+            this.palette = palette;
+            this.nearestByKey = new Int16Array(1 << 15).fill(-1);
+            this.bytes = [];
+
+            const ascii = (text) => [...text].map(char => char.charCodeAt(0));
+            const word = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+            // Header and logical screen with a 256-entry global color table
+            this.bytes.push(...ascii('GIF89a'), ...word(width), ...word(height), 0xF7, 0, 0);
+            for (let index = 0; index < 256; index++) {
+                this.bytes.push(...(palette[index] || [0, 0, 0]));
+            }
+
+            // NETSCAPE2.0 application extension: loop count
+            this.bytes.push(0x21, 0xFF, 0x0B, ...ascii('NETSCAPE2.0'), 0x03, 0x01, ...word(repeat), 0x00);
+        }
+
+        /**
+         * @param {number} r
+         * @param {number} g
+         * @param {number} b
+         * @returns {number} Index of the closest palette color.
+         */
+        findNearest(r, g, b) {
+            const key = toColorKey(r, g, b);
+            if (this.nearestByKey[key] !== -1) return this.nearestByKey[key];
+
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            this.palette.forEach(([pr, pg, pb], index) => {
+                const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+                if (distance < nearestDistance) {
+                    nearest = index;
+                    nearestDistance = distance;
+                }
+            });
+
+            this.nearestByKey[key] = nearest;
+            return nearest;
+        }
+
+        /**
+         * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA, width * height * 4.
+         * @param {number} delay - Centiseconds.
+         */
+        addFrame(pixels, delay) {
+            const indices = new Uint8Array(this.width * this.height);
+            for (let index = 0; index < indices.length; index++) {
+                const offset = index * 4;
+                indices[index] = this.findNearest(pixels[offset], pixels[offset + 1], pixels[offset + 2]);
+            }
+
+            const word = (value) => [value & 0xFF, (value >> 8) & 0xFF];
+
+            // Graphic control extension (delay), image descriptor, image data
+            this.bytes.push(0x21, 0xF9, 0x04, 0x04, ...word(delay), 0x00, 0x00);
+            this.bytes.push(0x2C, 0, 0, 0, 0, ...word(this.width), ...word(this.height), 0x00);
+            this.bytes.push(8);
+
+            const data = encodeLzw(indices, 8);
+            for (let offset = 0; offset < data.length; offset += 255) {
+                const block = data.subarray(offset, offset + 255);
+                this.bytes.push(block.length);
+                for (let index = 0; index < block.length; index++) this.bytes.push(block[index]);
+            }
+            this.bytes.push(0x00);
+        }
+
+        /**
+         * @returns {Uint8Array} The complete file.
+         */
+        finish() {
+            this.bytes.push(0x3B);
+            return Uint8Array.from(this.bytes);
+        }
+    }
+
+    /**
+     * GIF flavoured LZW: variable code size up to 12 bits, codes packed
+     * least significant bit first.
+     *
+     * @param {Uint8Array} indices
+     * @param {number} minCodeSize
+     * @returns {Uint8Array}
+     */
+    function encodeLzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = [];
+        let codeSize = minCodeSize + 1;
+        let nextCode = endCode + 1;
+        let table = new Map();
+        let bitBuffer = 0;
+        let bitCount = 0;
+
+        const emit = (code) => {
+            bitBuffer |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                output.push(bitBuffer & 0xFF);
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        emit(clearCode);
+        let prefix = indices[0];
+
+        for (let index = 1; index < indices.length; index++) {
+            const key = (prefix << 8) | indices[index];
+            if (table.has(key)) {
+                prefix = table.get(key);
+                continue;
+            }
+
+            emit(prefix);
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            prefix = indices[index];
+        }
+
+        emit(prefix);
+        emit(endCode);
+        if (bitCount > 0) output.push(bitBuffer & 0xFF);
+
+        return Uint8Array.from(output);
+    }
+
+    // --- ZIP ---
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    /**
+     * @param {Uint8Array} data
+     * @returns {number} CRC-32 as used by ZIP and PNG.
+     */
+    function crc32(data) {
+        let crc = 0xFFFFFFFF;
+        for (let index = 0; index < data.length; index++) {
+            crc = CRC_TABLE[(crc ^ data[index]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Writes an uncompressed ZIP archive.
+     *
+     * @param {Array<{name: string, data: Uint8Array}>} files
+     * @param {Date} [date=new Date()] - Modification time of every entry.
+     * @returns {Uint8Array}
+     */
+    function createZip(files, date = new Date()) {
+        const encoder = new TextEncoder();
+        const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+        const dosDate = ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+        const chunks = [];
+        const centralChunks = [];
+        let offset = 0;
+
+        files.forEach(({ name, data }) => {
+            const nameBytes = encoder.encode(name);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(6, 0x0800, true); // UTF-8 names
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            local.setUint16(28, 0, true);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+
+            chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+            centralChunks.push(new Uint8Array(central.buffer), nameBytes);
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const centralSize = centralChunks.reduce((size, chunk) => size + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...chunks, ...centralChunks, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(all.reduce((size, chunk) => size + chunk.length, 0));
+        let position = 0;
+        all.forEach(chunk => {
+            zip.set(chunk, position);
+            position += chunk.length;
+        });
+        return zip;
+    }
+
+    return {
+        EXPORT_FORMATS,
+        buildExportFrames,
+        getGifDelays,
+        buildGifPalette,
+        GifEncoder,
+        crc32,
+        createZip
+    };
+});
@@ -0,0 +1,20 @@
+/**
+ * @file Registers the portal's service worker (/sw.js) so every page,
+ * its vendored player and all listed Lottie files work offline after the
+ * first visit. The worker URL is resolved from this script's own URL, so
+ * pages at any depth can include it.
+ */
+
+(function () {
+    'use strict';
+
+    if (!('serviceWorker' in navigator)) return;
+
+    const workerUrl = new URL('../sw.js', document.currentScript.src);
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(workerUrl).catch(error => {
+            console.warn('Offline cache is not available.', error);
+        });
+    });
+})();
@@ -0,0 +1,113 @@
+/**
+ * @file Per-card performance overlay: measured FPS, dropped frames and the
+ * number of DOM nodes the renderer created. Used to compare the SVG and
+ * canvas renderers on the same file before picking one for production.
+ *
+ * FPS counts the frames lottie actually rendered in the last second.
+ * A gap between two rendered frames longer than a display frame (60 Hz)
+ * counts the missing display frames as dropped; gaps longer than
+ * IDLE_GAP_MS are the player resting, not dropping.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    const SAMPLE_MS = 1000;
+    const REFRESH_MS = 500;
+    const DISPLAY_FRAME_MS = 1000 / 60;
+    const IDLE_GAP_MS = 250;
+
+    class PerfOverlay {
+        /**
+         * @param {HTMLElement} wrapper - The card, which receives the overlay element.
+         * @param {HTMLElement} container - The player's container (.lottie-animation).
+         */
+        constructor(wrapper, container) {
+            this.wrapper = wrapper;
+            this.container = container;
+            this.element = null;
+            this.refreshTimer = null;
+            this.renderer = 'svg';
+            this.reset(this.renderer);
+        }
+
+        get isVisible() {
+            return this.refreshTimer !== null;
+        }
+
+        /**
+         * Starts a new measurement, e.g. after the player was recreated.
+         * @param {string} renderer - "svg" or "canvas".
+         */
+        reset(renderer) {
+            this.renderer = renderer;
+            this.frameTimes = [];
+            this.lastFrameTime = null;
+            this.droppedFrames = 0;
+        }
+
+        /**
+         * Call on every rendered frame (lottie's enterFrame).
+         * @param {number} [now=performance.now()]
+         */
+        recordFrame(now = performance.now()) {
+            if (!this.isVisible) return;
+
+            if (this.lastFrameTime !== null) {
+                const gap = now - this.lastFrameTime;
+                if (gap < IDLE_GAP_MS) {
+                    this.droppedFrames += Math.max(0, Math.round(gap / DISPLAY_FRAME_MS) - 1);
+                }
+            }
+            this.lastFrameTime = now;
+            this.frameTimes.push(now);
+        }
+
+        show() {
+            if (this.isVisible) return;
+
+            if (!this.element) {
+                this.element = document.createElement('div');
+                this.element.className = 'perf-overlay';
+                this.element.setAttribute('aria-hidden', 'true');
+                this.wrapper.appendChild(this.element);
+            }
+            this.element.hidden = false;
+            this.reset(this.renderer);
+            this.refreshTimer = setInterval(() => this.render(), REFRESH_MS);
+            this.render();
+        }
+
+        hide() {
+            if (!this.isVisible) return;
+
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+            this.element.hidden = true;
+        }
+
+        /**
+         * @returns {{fps: number, droppedFrames: number, nodeCount: number}}
+         */
+        measure() {
+            const since = performance.now() - SAMPLE_MS;
+            this.frameTimes = this.frameTimes.filter(time => time >= since);
+
+            return {
+                fps: this.frameTimes.length,
+                droppedFrames: this.droppedFrames,
+                nodeCount: this.container.getElementsByTagName('*').length
+            };
+        }
+
+        render() {
+            const { fps, droppedFrames, nodeCount } = this.measure();
+            this.element.textContent = `${this.renderer.toUpperCase()} | ${fps} fps | ${droppedFrames} dropped | ${nodeCount} nodes`;
+        }
+    }
+
+    EnginiLotties.PerfOverlay = PerfOverlay;
+
+})(window);
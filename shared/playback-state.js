@@ -0,0 +1,481 @@
+/**
+ * @file DOM-free playback state machine behind every LottieCard.
+ *
+ * The machine receives the events a card sees (hover start/end, lottie's
+ * enterFrame and complete, scrubbing) and answers with the player commands
+ * to run. It never touches lottie-web, so each playback type can be tested
+ * in Node by replaying event sequences (see tests/playback-state.test.js).
+ *
+ * Commands: { type: 'goToAndPlay', frame }, { type: 'goToAndStop', frame },
+ * { type: 'play' }, { type: 'pause' }.
+ *
+ * Playback speed does not matter to the machine (frames may be skipped
+ * or fractional, so every check is "reached or passed"). In reverse
+ * (direction -1) a play-through runs from the last frame to 0 and the
+ * loop segment is entered at its end frame.
+ *
+ * With reduced motion, continuous loaders behave like a hover preview:
+ * parked until hovered, paused again on hover end.
+ *
+ * Segmented animations ("segments") play an ordered list of named
+ * segments, each with a behaviour while hovered: "play" plays through,
+ * "loop" repeats the segment and "hold" parks on its end. Un-hovered,
+ * every segment plays through, so a loop type is the segments
+ * [intro: play, loop: loop, outro: play] and freeze is [play, hold, play].
+ *
+ * Idle animations play once on load, then rest on their start frame
+ * (state.isResting) until the card's IdleTimer sends 'wake'. Hovering
+ * interrupts the rest and plays right away. With reduced motion they wait
+ * for a hover like playOnce.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const goToAndPlay = (frame) => ({ type: 'goToAndPlay', frame });
+    const goToAndStop = (frame) => ({ type: 'goToAndStop', frame });
+    const play = () => ({ type: 'play' });
+    const pause = () => ({ type: 'pause' });
+
+    /**
+     * Playback rules for one animation.
+     */
+    class PlaybackStateMachine {
+        /**
+         * @param {object} config
+         * @param {string} config.animationType - playOnce, playAndHold, loop, freeze,
+         * continuous, idle or segments.
+         * @param {number} [config.totalFrames=0]
+         * @param {number} [config.loopStartFrame=0]
+         * @param {number} [config.loopEndFrame=0]
+         * @param {number} [config.freezeFrame=0]
+         * @param {Array<{name: string, start: number, behavior: string}>} [config.segments] -
+         * For "segments": ordered by start, the first starting at 0.
+         * @param {number} [config.direction=1] - 1 forward, -1 reverse.
+         * @param {boolean} [config.reducedMotion=false] - prefers-reduced-motion:
+         * continuous loaders rest and only play while hovered.
+         */
+        constructor(config) {
+            this.configure(config);
+            this.reset();
+        }
+
+        /**
+         * Updates the type and frame points (e.g. once markers are read)
+         * without touching the current state.
+         * @param {object} config - Same shape as the constructor config.
+         */
+        configure(config) {
+            this.animationType = config.animationType;
+            this.totalFrames = config.totalFrames || 0;
+            this.loopStartFrame = config.loopStartFrame || 0;
+            this.loopEndFrame = config.loopEndFrame || 0;
+            this.freezeFrame = config.freezeFrame || 0;
+            this.segments = this.animationType === 'segments' ? withEndFrames(config.segments || [], this.totalFrames) : [];
+            this.direction = config.direction === -1 ? -1 : 1;
+            this.reducedMotion = Boolean(config.reducedMotion);
+        }
+
+        /**
+         * Back to the freshly loaded state.
+         */
+        reset() {
+            this.state = {
+                isHovering: false,
+                isPlaying: this.isAutoplaying, // Continuous loaders and idle animations autoplay
+                isOutroLocked: false, // True if un-hovered and playing outro
+                isFrozen: false,
+                isHolding: false, // playAndHold parked on its last frame
+                isScrubbed: false,
+                isResting: false, // idle waiting for its next play
+                segmentIndex: this.segmentIndexAt(this.startFrame), // segments: the one playing
+                lastFrame: null // Frame of the previous enterFrame; null when a play-through starts
+            };
+        }
+
+        /**
+         * Feeds one event to the machine.
+         *
+         * @param {{type: string, frame?: number}} event - load, hoverStart,
+         * hoverEnd, enterFrame, complete, scrub, resume, stop or wake.
+         * @returns {Array<object>} Commands for the player, in order.
+         */
+        dispatch(event) {
+            const handler = this[`on${event.type.charAt(0).toUpperCase()}${event.type.slice(1)}`];
+            if (typeof handler !== 'function') {
+                throw new Error(`Unknown playback event "${event.type}"`);
+            }
+            return handler.call(this, event.frame) || [];
+        }
+
+        /**
+         * Captures the state and frame so the same animation can be
+         * reloaded (e.g. in another theme) without losing its place.
+         *
+         * @param {number} frame - The player's current frame.
+         * @returns {{frame: number, state: object}}
+         */
+        snapshot(frame) {
+            return { frame, state: { ...this.state } };
+        }
+
+        /**
+         * Re-applies a snapshot() after the animation was loaded again.
+         *
+         * @param {{frame: number, state: object}} snapshot
+         * @returns {Array<object>} Commands for the player.
+         */
+        restore(snapshot) {
+            this.state = { ...snapshot.state };
+
+            const frame = Math.min(snapshot.frame, Math.max(0, this.totalFrames - 1));
+            return [this.state.isPlaying ? goToAndPlay(frame) : goToAndStop(frame)];
+        }
+
+        get isContinuous() {
+            return this.animationType === 'continuous';
+        }
+
+        get isIdle() {
+            return this.animationType === 'idle';
+        }
+
+        /**
+         * Continuous loaders and idle animations play on their own unless
+         * reduced motion is requested.
+         * @returns {boolean}
+         */
+        get isAutoplaying() {
+            return (this.isContinuous || this.isIdle) && !this.reducedMotion;
+        }
+
+        get isReversed() {
+            return this.direction === -1;
+        }
+
+        /**
+         * Where a play-through starts: 0, or the last frame in reverse.
+         * @returns {number}
+         */
+        get startFrame() {
+            return this.isReversed ? Math.max(0, this.totalFrames - 1) : 0;
+        }
+
+        /**
+         * Where a play-through ends (the frame playAndHold holds).
+         * @returns {number}
+         */
+        get endFrame() {
+            return this.isReversed ? 0 : this.totalFrames;
+        }
+
+        /**
+         * Whether playback has reached `target` in the current direction.
+         * @param {number} frame
+         * @param {number} target
+         * @returns {boolean}
+         */
+        hasReached(frame, target) {
+            return this.isReversed ? frame <= target : frame >= target;
+        }
+
+        /**
+         * Whether playback is already beyond `target` in the current direction.
+         * @param {number} frame
+         * @param {number} target
+         * @returns {boolean}
+         */
+        hasPassed(frame, target) {
+            return this.isReversed ? frame < target : frame > target;
+        }
+
+        /**
+         * @param {number} frame
+         * @returns {number} Index of the segment holding the frame (0 without segments).
+         */
+        segmentIndexAt(frame) {
+            let index = 0;
+            this.segments.forEach((segment, segmentIndex) => {
+                if (frame >= segment.start) index = segmentIndex;
+            });
+            return index;
+        }
+
+        /**
+         * Whether the card should be highlighted as playing.
+         * @returns {boolean}
+         */
+        get isHighlighted() {
+            if (this.isContinuous || this.isIdle) return this.state.isPlaying;
+            return this.state.isHovering && !this.state.isHolding;
+        }
+
+        /**
+         * Whether the timeline shows the playhead and active segment.
+         * @returns {boolean}
+         */
+        get isTimelineActive() {
+            const { isPlaying, isFrozen, isScrubbed } = this.state;
+            return isPlaying || isFrozen || isScrubbed;
+        }
+
+        onLoad() {
+            this.reset();
+            if (!this.isAutoplaying) return [goToAndStop(this.startFrame)];
+            return this.isIdle ? [goToAndPlay(this.startFrame)] : [play()];
+        }
+
+        onHoverStart(frame) {
+            if (this.isContinuous) {
+                if (this.isAutoplaying) return [];
+
+                // Reduced motion: the loader only runs while hovered
+                Object.assign(this.state, { isHovering: true, isScrubbed: false, isPlaying: true });
+                return [play()];
+            }
+
+            const state = this.state;
+            state.isHovering = true;
+            state.isScrubbed = false;
+
+            if (!state.isPlaying) {
+                // Stay frozen until the pointer leaves
+                if (state.isFrozen) return [];
+
+                // If stopped (e.g., at end or start, or an idle rest), play from beginning
+                state.isOutroLocked = false;
+                state.isHolding = false;
+                state.isResting = false;
+                state.isPlaying = true;
+                state.segmentIndex = this.segmentIndexAt(this.startFrame);
+                state.lastFrame = null;
+                return [goToAndPlay(this.startFrame)];
+            }
+
+            const loopExitFrame = this.isReversed ? this.loopStartFrame : this.loopEndFrame;
+            if (this.animationType === 'loop' && state.isOutroLocked && !this.hasPassed(frame, loopExitFrame)) {
+                // If re-hovered during outro (but before loop end), unlock and continue
+                state.isOutroLocked = false;
+            }
+            return [];
+        }
+
+        onHoverEnd() {
+            if (this.isContinuous) {
+                if (this.isAutoplaying) return [];
+
+                Object.assign(this.state, { isHovering: false, isPlaying: false });
+                return [pause()];
+            }
+
+            const state = this.state;
+            state.isHovering = false;
+
+            if (this.animationType === 'playAndHold') {
+                // Reset playAndHold animations immediately on unhover
+                state.isOutroLocked = false;
+                state.isHolding = false;
+                state.isPlaying = false;
+                return [goToAndStop(this.startFrame)];
+            }
+
+            if (state.isFrozen) {
+                state.isFrozen = false;
+                state.isPlaying = true;
+                return [play()];
+            }
+
+            // Otherwise keep playing so it can enter the outro / complete
+            return [];
+        }
+
+        onEnterFrame(frame) {
+            const state = this.state;
+            if (!state.isPlaying || this.totalFrames === 0) return [];
+
+            const previousFrame = state.lastFrame ?? this.startFrame - this.direction;
+            state.lastFrame = frame;
+
+            if (this.animationType === 'loop') {
+                // Without a loop segment it simply plays through
+                if (state.isOutroLocked || this.loopEndFrame <= this.loopStartFrame) return [];
+
+                // Reverse enters the segment at its end and leaves it at its start
+                const [loopEntryFrame, loopExitFrame] = this.isReversed
+                    ? [this.loopEndFrame, this.loopStartFrame]
+                    : [this.loopStartFrame, this.loopEndFrame];
+
+                if (state.isHovering) {
+                    // If hovering and past loop end, jump back to loop start
+                    if (this.hasReached(frame, loopExitFrame)) {
+                        return [goToAndPlay(loopEntryFrame)];
+                    }
+                } else if (this.hasReached(frame, loopEntryFrame)) {
+                    // If not hovering and past loop start, lock into outro
+                    state.isOutroLocked = true;
+                }
+            } else if (this.animationType === 'freeze') {
+                // Only when this frame crossed the freeze point: hovering again
+                // while the rest plays out must not jump back to it
+                const hasCrossed = !this.hasReached(previousFrame, this.freezeFrame) && this.hasReached(frame, this.freezeFrame);
+                if (state.isHovering && !state.isFrozen && hasCrossed) {
+                    state.isFrozen = true;
+                    state.isPlaying = false;
+                    // Fast playback can skip past the freeze frame; park exactly on it
+                    return [goToAndStop(this.freezeFrame)];
+                }
+            } else if (this.animationType === 'segments') {
+                return this.advanceSegments(frame);
+            }
+            return [];
+        }
+
+        /**
+         * Handles every segment end reached since the last frame (fast
+         * playback can skip short segments): while hovered a loop segment
+         * jumps back to its entry and a hold segment parks on its end,
+         * otherwise playback moves on to the next segment.
+         *
+         * @param {number} frame
+         * @returns {Array<object>}
+         */
+        advanceSegments(frame) {
+            const state = this.state;
+            const lastFrame = Math.max(0, this.totalFrames - 1);
+
+            for (;;) {
+                const segment = this.segments[state.segmentIndex];
+                if (!segment) return [];
+
+                const start = segment.start;
+                const end = Math.min(segment.end, lastFrame);
+                const [entryFrame, exitFrame] = this.isReversed ? [end, start] : [start, end];
+                if (!this.hasReached(frame, exitFrame)) return [];
+
+                if (state.isHovering && segment.behavior === 'loop') {
+                    return [goToAndPlay(entryFrame)];
+                }
+                if (state.isHovering && segment.behavior === 'hold') {
+                    state.isFrozen = true;
+                    state.isPlaying = false;
+                    return [goToAndStop(exitFrame)];
+                }
+
+                const next = state.segmentIndex + this.direction;
+                if (next < 0 || next >= this.segments.length) return [];
+                state.segmentIndex = next;
+            }
+        }
+
+        onComplete() {
+            if (this.isContinuous) return [];
+
+            const state = this.state;
+
+            if (this.animationType === 'playAndHold') {
+                // Hold on the last frame
+                state.isPlaying = false;
+                state.isHolding = true;
+                return [pause()];
+            }
+
+            state.isOutroLocked = false;
+            state.isFrozen = false;
+            state.lastFrame = null;
+
+            state.segmentIndex = this.segmentIndexAt(this.startFrame);
+
+            if (state.isHovering) {
+                // If still hovering, play again from the start
+                return [goToAndPlay(this.startFrame)];
+            }
+
+            state.isPlaying = false;
+            state.isResting = this.isIdle && this.isAutoplaying;
+            return [goToAndStop(this.startFrame)];
+        }
+
+        /**
+         * Parks the playhead. The next hover starts fresh from frame 0.
+         */
+        onScrub(frame) {
+            Object.assign(this.state, {
+                isPlaying: false,
+                isOutroLocked: false,
+                isFrozen: false,
+                isHolding: false,
+                isScrubbed: true,
+                isResting: false,
+                segmentIndex: this.segmentIndexAt(frame),
+                lastFrame: null
+            });
+            return [goToAndStop(frame)];
+        }
+
+        /**
+         * Continuous loaders carry on from a scrubbed frame; idle
+         * animations rest again, then carry on with their cycle.
+         */
+        onResume() {
+            if (this.isIdle) {
+                const { isPlaying, isResting, isHovering } = this.state;
+                if (this.isAutoplaying && !isPlaying && !isResting && !isHovering) {
+                    Object.assign(this.state, { isScrubbed: false, isResting: true });
+                }
+                return [];
+            }
+
+            if (!this.isContinuous || this.state.isPlaying) return [];
+            if (!this.isAutoplaying && !this.state.isHovering) return [];
+
+            this.state.isScrubbed = false;
+            this.state.isPlaying = true;
+            return [play()];
+        }
+
+        /**
+         * Back to the resting frame, as if never hovered. Continuous
+         * loaders stay paused until the next resume.
+         */
+        onStop() {
+            this.reset();
+            this.state.isPlaying = false;
+            return [goToAndStop(this.startFrame)];
+        }
+
+        /**
+         * End of an idle rest: play again from the start.
+         */
+        onWake() {
+            if (!this.state.isResting) return [];
+
+            this.state.isResting = false;
+            this.state.isPlaying = true;
+            return [goToAndPlay(this.startFrame)];
+        }
+    }
+
+    /**
+     * Adds each segment's end: the next segment's start, or the last frame.
+     * @param {Array<object>} segments
+     * @param {number} totalFrames
+     * @returns {Array<object>}
+     */
+    function withEndFrames(segments, totalFrames) {
+        return segments.map((segment, index) => ({
+            ...segment,
+            end: index + 1 < segments.length ? segments[index + 1].start : totalFrames
+        }));
+    }
+
+    return { PlaybackStateMachine };
+});
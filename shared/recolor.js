@@ -0,0 +1,195 @@
+/**
+ * @file Recolors Lottie animation data with a palette map, so a single
+ * export can be previewed in any tint instead of exporting one file pair
+ * per color (e.g. "Idle Purplish").
+ *
+ * A palette maps source colors to target colors:
+ *
+ *     { "#FFFFFF": "--purple", "#9B87FF": "#41B1FF" }
+ *
+ * Colors are "#RGB"/"#RRGGBB" or a brand token from BRAND_COLORS. Fills,
+ * strokes, gradient stops (fill and stroke), solid layers, text fill and
+ * stroke and color effect controls are rewritten, static or animated.
+ * Colors are matched exactly on their 8-bit value; alpha is kept.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    /** Brand colors, same as the portal's CSS variables. */
+    const BRAND_COLORS = {
+        '--purple': '#5533FF',
+        '--blue': '#41B1FF'
+    };
+
+    /**
+     * @param {string} value - "#RGB", "#RRGGBB" or a BRAND_COLORS token.
+     * @returns {string} "#RRGGBB", upper case.
+     * @throws {Error} On an unknown token or malformed color.
+     */
+    function resolveColor(value) {
+        if (typeof value === 'string' && value.startsWith('--')) {
+            if (!(value in BRAND_COLORS)) {
+                throw new Error(`unknown brand color "${value}" (expected one of ${Object.keys(BRAND_COLORS).join(', ')})`);
+            }
+            return BRAND_COLORS[value];
+        }
+
+        const match = typeof value === 'string' && value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!match) {
+            throw new Error(`"${value}" is not a #RGB or #RRGGBB color`);
+        }
+
+        const digits = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+        return `#${digits.toUpperCase()}`;
+    }
+
+    /**
+     * Lottie stores colors as [r, g, b(, a)] in 0..1.
+     * @param {number[]} rgb
+     * @returns {string} "#RRGGBB"
+     */
+    function toHex(rgb) {
+        return `#${rgb.slice(0, 3)
+            .map(channel => Math.round(Math.min(1, Math.max(0, channel)) * 255).toString(16).padStart(2, '0'))
+            .join('')
+            .toUpperCase()}`;
+    }
+
+    /**
+     * @param {string} hex - "#RRGGBB"
+     * @returns {number[]} [r, g, b] in 0..1
+     */
+    function toUnitRgb(hex) {
+        return [1, 3, 5].map(index => parseInt(hex.slice(index, index + 2), 16) / 255);
+    }
+
+    /**
+     * @param {object} palette - Source color -> target color.
+     * @returns {Map<string, number[]>} "#RRGGBB" -> [r, g, b]
+     * @throws {Error} On an invalid color.
+     */
+    function resolvePalette(palette) {
+        const colors = new Map();
+        Object.entries(palette).forEach(([source, target]) => {
+            colors.set(resolveColor(source), toUnitRgb(resolveColor(target)));
+        });
+        return colors;
+    }
+
+    /**
+     * Recolors the leading r, g, b of a color array in place.
+     * @returns {number} 1 when replaced, else 0.
+     */
+    function recolorRgb(values, offset, colors) {
+        const replacement = colors.get(toHex(values.slice(offset, offset + 3)));
+        if (!replacement) return 0;
+
+        values.splice(offset, 3, ...replacement);
+        return 1;
+    }
+
+    /**
+     * Applies `recolorValue` to a static or animated property value.
+     * @param {object} property - A Lottie property ({ a, k }).
+     * @param {function(number[]): number} recolorValue
+     * @returns {number} Colors replaced.
+     */
+    function recolorProperty(property, recolorValue) {
+        if (!property || property.k === undefined) return 0;
+
+        if (!property.a) {
+            return Array.isArray(property.k) ? recolorValue(property.k) : 0;
+        }
+
+        let count = 0;
+        property.k.forEach(keyframe => {
+            if (Array.isArray(keyframe.s)) count += recolorValue(keyframe.s);
+            if (Array.isArray(keyframe.e)) count += recolorValue(keyframe.e);
+        });
+        return count;
+    }
+
+    /**
+     * Gradient data is [offset, r, g, b] per stop followed by the opacity
+     * stops; only the color stops are touched.
+     */
+    function recolorGradient(gradient, colors) {
+        const stopCount = gradient.p;
+        return recolorProperty(gradient.k, (values) => {
+            let count = 0;
+            for (let stop = 0; stop < stopCount; stop++) {
+                count += recolorRgb(values, stop * 4 + 1, colors);
+            }
+            return count;
+        });
+    }
+
+    function recolorNode(node, colors) {
+        if (Array.isArray(node)) {
+            return node.reduce((count, child) => count + recolorNode(child, colors), 0);
+        }
+        if (!node || typeof node !== 'object') return 0;
+
+        let count = 0;
+        const recolorColor = (values) => recolorRgb(values, 0, colors);
+
+        if ((node.ty === 'fl' || node.ty === 'st') && node.c) {
+            count += recolorProperty(node.c, recolorColor);
+        } else if ((node.ty === 'gf' || node.ty === 'gs') && node.g) {
+            count += recolorGradient(node.g, colors);
+        } else if (node.ty === 2 && node.v && Array.isArray(node.v.k)) {
+            // Color control of an effect (e.g. a drop shadow color)
+            count += recolorProperty(node.v, recolorColor);
+        } else if (node.ty === 1 && typeof node.sc === 'string') {
+            // Solid layer; a color other than #RGB / #RRGGBB is left alone
+            const replacement = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(node.sc) && colors.get(resolveColor(node.sc));
+            if (replacement) {
+                node.sc = toHex(replacement).toLowerCase();
+                count++;
+            }
+        }
+
+        // Text document: fill and stroke colors
+        if (Array.isArray(node.fc)) count += recolorColor(node.fc);
+        if (Array.isArray(node.sc)) count += recolorColor(node.sc);
+
+        Object.keys(node).forEach(key => {
+            if (typeof node[key] === 'object') {
+                count += recolorNode(node[key], colors);
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Returns a recolored copy of the animation; the source is untouched
+     * (lottie-web also mutates the data it is given, so always pass a copy).
+     *
+     * @param {object} animationJson
+     * @param {object} palette - Source color -> target color.
+     * @returns {{animationData: object, replacedCount: number}}
+     * @throws {Error} On an invalid palette color.
+     */
+    function recolorAnimation(animationJson, palette) {
+        const colors = resolvePalette(palette);
+        const animationData = JSON.parse(JSON.stringify(animationJson));
+        const replacedCount = recolorNode(animationData, colors);
+        return { animationData, replacedCount };
+    }
+
+    return {
+        BRAND_COLORS,
+        resolveColor,
+        recolorAnimation
+    };
+});
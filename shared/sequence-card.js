@@ -0,0 +1,336 @@
+/**
+ * @file Sequencer card: chains the files of a manifest sequence into one
+ * state flow (SequenceStateMachine, sequence-state.js) so reviewers can
+ * check the seams between files before developers wire the flow into the
+ * product.
+ *
+ * Every state gets its own player, all loaded up front and stacked in the
+ * card; a hand-off only swaps which one is visible, so the seam shows
+ * exactly the last frame of one file and the first frame of the next.
+ * Buttons fire the transitions; a transition waits for the current clip
+ * or loop cycle to end.
+ */
+
+(function (root) {
+    'use strict';
+
+    const EnginiLotties = root.EnginiLotties = root.EnginiLotties || {};
+
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+    class SequenceCard {
+        /**
+         * @param {HTMLElement} wrapper - The card (from #sequence-card-template).
+         * @param {object} sequence - A validated manifest sequence.
+         * @param {object} [options] - Same asset options as a LottieCard.
+         * @param {string} [options.assetRoot='Lotties']
+         * @param {{dark: string, light: string}|null} [options.themeFolders]
+         * @param {string} [options.theme='dark']
+         * @param {string} [options.renderer='svg']
+         */
+        constructor(wrapper, sequence, options = {}) {
+            this.wrapper = wrapper;
+            this.sequence = sequence;
+            this.assetRoot = options.assetRoot || 'Lotties';
+            this.themeFolders = options.themeFolders || null;
+            this.isLightMode = options.theme === 'light' && Boolean(this.themeFolders);
+            this.renderer = options.renderer || 'svg';
+
+            this.machine = new EnginiLotties.SequenceStateMachine(sequence);
+            this.players = new Map(); // state name -> { player, container, isLoaded }
+            this.visibleState = null;
+            this.loadId = 0; // Ignores late failure reports from replaced players
+
+            this.ui = {
+                title: wrapper.querySelector('.lottie-title'),
+                stage: wrapper.querySelector('.lottie-animation'),
+                status: wrapper.querySelector('.sequence-status'),
+                states: wrapper.querySelector('.sequence-states'),
+                controls: wrapper.querySelector('.sequence-controls'),
+                stateItems: new Map(),
+                buttons: new Map()
+            };
+            if (this.ui.title) {
+                this.ui.title.textContent = sequence.title;
+            }
+            this.loadErrors = new EnginiLotties.LoadErrorView(wrapper, () => this.retryLoad());
+
+            this.buildStateList();
+            this.buildControls();
+            this.renderTheme();
+            this.loadPlayers();
+        }
+
+        /**
+         * @param {string} name - A state of the sequence.
+         * @returns {string} Its display name, or its file name without ".json".
+         */
+        getStateLabel(name) {
+            const state = this.sequence.states[name];
+            return state.displayName || state.fileName.replace(/\.json$/i, '').trim();
+        }
+
+        /**
+         * @param {string} fileName
+         * @returns {string} The file's path in the current theme folder.
+         */
+        getAnimationPath(fileName) {
+            if (!this.themeFolders) {
+                return `${this.assetRoot}/${fileName}`;
+            }
+            const themeFolder = this.isLightMode ? this.themeFolders.light : this.themeFolders.dark;
+            return `${this.assetRoot}/${themeFolder}/${fileName}`;
+        }
+
+        get isReady() {
+            return [...this.players.values()].every(entry => entry.isLoaded);
+        }
+
+        // --- Players ---
+
+        /**
+         * (Re)creates one player per state and goes back to rest on the
+         * initial state once all of them are loaded.
+         */
+        loadPlayers() {
+            this.destroyPlayers();
+            this.machine.reset();
+            this.loadErrors.clear();
+            const loadId = ++this.loadId;
+
+            Object.entries(this.sequence.states).forEach(([name, state]) => {
+                const container = document.createElement('div');
+                container.className = 'sequence-clip';
+                container.hidden = true;
+                this.ui.stage.appendChild(container);
+
+                const path = this.getAnimationPath(state.fileName);
+                const player = lottie.loadAnimation({
+                    container,
+                    renderer: this.renderer,
+                    loop: false,
+                    autoplay: false,
+                    path
+                });
+                const entry = { player, container, isLoaded: false };
+                this.players.set(name, entry);
+
+                player.addEventListener('DOMLoaded', () => {
+                    entry.isLoaded = true;
+                    if (this.isReady) {
+                        this.send({ type: 'reset' });
+                    } else {
+                        this.render();
+                    }
+                });
+                player.addEventListener('complete', () => {
+                    if (name === this.machine.state.current) {
+                        this.send({ type: 'complete' });
+                    }
+                });
+                player.addEventListener('enterFrame', () => {
+                    if (name === this.visibleState) this.renderStatus();
+                });
+                player.addEventListener('data_failed', () => {
+                    EnginiLotties.describeLoadFailure(path).then(reason => this.onLoadFailed(loadId, path, reason));
+                });
+                player.addEventListener('error', (event) => {
+                    if (event?.type !== 'configError' || entry.isLoaded) return;
+                    this.onLoadFailed(loadId, path, `not a valid Lottie file (${event.nativeError?.message || 'configuration error'})`);
+                });
+            });
+
+            this.render();
+        }
+
+        /**
+         * @param {number} loadId - The loadPlayers() call the failed player belongs to.
+         * @param {string} path
+         * @param {string} reason
+         */
+        onLoadFailed(loadId, path, reason) {
+            if (loadId !== this.loadId) return;
+
+            this.loadErrors.add(path, reason);
+            this.render();
+        }
+
+        /**
+         * Loads every clip again, e.g. after a missing file was added.
+         */
+        retryLoad() {
+            this.loadPlayers();
+        }
+
+        destroyPlayers() {
+            this.players.forEach(({ player, container }) => {
+                player.destroy();
+                container.remove();
+            });
+            this.players.clear();
+            this.visibleState = null;
+        }
+
+        /**
+         * Feeds an event to the machine and runs the commands it answers.
+         * @param {{type: string, name?: string}} event
+         */
+        send(event) {
+            this.machine.dispatch(event).forEach(command => this.runCommand(command));
+            this.render();
+        }
+
+        runCommand(command) {
+            switch (command.type) {
+                case 'play':
+                    this.show(command.state).goToAndPlay(0, true);
+                    break;
+                case 'rest':
+                    this.show(command.state).goToAndStop(0, true);
+                    break;
+                case 'hold':
+                    this.players.get(this.visibleState)?.player.pause();
+                    break;
+                default:
+                    throw new Error(`Unknown sequence command "${command.type}"`);
+            }
+        }
+
+        /**
+         * Makes a state's clip the visible one.
+         * @param {string} name
+         * @returns {object} Its lottie player.
+         */
+        show(name) {
+            this.players.forEach((entry, key) => {
+                if (key === name) return;
+                entry.player.pause();
+                entry.container.hidden = true;
+            });
+
+            const { player, container } = this.players.get(name);
+            container.hidden = false;
+            this.visibleState = name;
+            return player;
+        }
+
+        // --- Theme and renderer ---
+
+        /**
+         * Reloads every clip from the dark or light asset folder; the
+         * sequence starts over.
+         * @param {boolean} isLight
+         */
+        setTheme(isLight) {
+            if (!this.themeFolders || isLight === this.isLightMode) return;
+
+            this.isLightMode = isLight;
+            this.renderTheme();
+            this.loadPlayers();
+        }
+
+        /**
+         * @param {string} renderer - "svg" or "canvas".
+         */
+        setRenderer(renderer) {
+            if (renderer === this.renderer) return;
+
+            this.renderer = renderer;
+            this.loadPlayers();
+        }
+
+        renderTheme() {
+            this.wrapper.classList.toggle('light-mode', this.isLightMode);
+            this.wrapper.dispatchEvent(new CustomEvent('themeChange', {
+                detail: { isLight: this.isLightMode },
+                bubbles: true,
+                composed: true
+            }));
+        }
+
+        // --- UI ---
+
+        buildStateList() {
+            Object.entries(this.sequence.states).forEach(([name, state]) => {
+                const item = document.createElement('li');
+                item.className = `sequence-state behavior-${state.behavior}`;
+                item.textContent = this.getStateLabel(name);
+
+                const exits = [
+                    ...(state.next ? [`then ${this.getStateLabel(state.next)}`] : []),
+                    ...Object.entries(state.on || {}).map(([event, target]) => `${event}: ${this.getStateLabel(target)}`)
+                ];
+                item.title = `${state.fileName} (${state.behavior})${exits.length > 0 ? `\n${exits.join('\n')}` : ''}`;
+
+                this.ui.states?.appendChild(item);
+                this.ui.stateItems.set(name, item);
+            });
+        }
+
+        buildControls() {
+            ['start', ...this.machine.eventNames, 'reset'].forEach(event => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = `sequence-event event-${event.replace(/[^a-zA-Z0-9-]/g, '-')}`;
+                button.textContent = capitalize(event);
+                button.addEventListener('click', () => {
+                    const isControl = event === 'start' || event === 'reset';
+                    this.send(isControl ? { type: event } : { type: 'fire', name: event });
+                });
+
+                this.ui.controls?.appendChild(button);
+                this.ui.buttons.set(event, button);
+            });
+        }
+
+        render() {
+            const { current, pending } = this.machine.state;
+            const available = this.isReady ? this.machine.availableEvents : [];
+
+            this.ui.buttons.forEach((button, event) => {
+                button.disabled = !available.includes(event);
+                const target = current && (this.sequence.states[current].on || {})[event];
+                button.title = target ? `${this.getStateLabel(current)} → ${this.getStateLabel(target)}` : '';
+            });
+
+            this.ui.stateItems.forEach((item, name) => {
+                item.classList.toggle('active', name === (current ?? this.visibleState));
+                item.classList.toggle('pending', name === pending);
+            });
+
+            this.wrapper.classList.toggle('playing', current !== null && !this.machine.state.isHolding);
+            this.renderStatus();
+        }
+
+        renderStatus() {
+            if (!this.ui.status) return;
+
+            if (this.loadErrors.hasFailed) {
+                this.ui.status.textContent = 'Not loaded';
+                return;
+            }
+            if (!this.isReady) {
+                this.ui.status.textContent = 'Loading...';
+                return;
+            }
+
+            const { current, pending, isHolding } = this.machine.state;
+            const frame = Math.floor(this.players.get(this.visibleState)?.player.currentFrame || 0);
+            const label = this.getStateLabel(this.visibleState);
+
+            if (current === null) {
+                this.ui.status.textContent = `${label}: frame ${frame}, press Start`;
+            } else if (pending) {
+                this.ui.status.textContent = `${label}: frame ${frame}, then ${this.getStateLabel(pending)}`;
+            } else if (isHolding) {
+                this.ui.status.textContent = `${label}: holding frame ${frame}`;
+            } else {
+                const looping = this.sequence.states[current].behavior === 'loop' ? ' (looping)' : '';
+                this.ui.status.textContent = `${label}: frame ${frame}${looping}`;
+            }
+        }
+    }
+
+    EnginiLotties.SequenceCard = SequenceCard;
+
+})(window);
@@ -0,0 +1,156 @@
+/**
+ * @file DOM-free state machine behind a SequenceCard, which chains several
+ * Lottie files into one state flow (e.g. Build In, then the loading loop,
+ * then Build Out or Shapes Explosion).
+ *
+ * A sequence is a graph of named states, each playing one file:
+ *
+ *     {
+ *         "title": "Logo flow",
+ *         "initial": "buildIn",
+ *         "states": {
+ *             "buildIn": { "fileName": "Build In.json", "behavior": "play", "next": "loading" },
+ *             "loading": { "fileName": "Loading - Build LOOP Medium.json", "behavior": "loop",
+ *                          "on": { "finish": "buildOut", "error": "explosion" } },
+ *             "buildOut": { "fileName": "Build Out.json", "behavior": "play" }
+ *         }
+ *     }
+ *
+ * "play" plays the file once, then moves on to "next" or holds its last
+ * frame. "loop" repeats the file until one of its "on" events is fired.
+ * A fired event never cuts a clip: it is taken when the current play or
+ * loop cycle ends, so the seam between two files is always the one the
+ * product will show. A held clip hands off right away.
+ *
+ * The sequence rests on the first frame of its initial state until
+ * 'start'; 'reset' brings it back there.
+ *
+ * Commands: { type: 'play', state } plays a state's file from its first
+ * frame, { type: 'rest', state } shows its first frame, { type: 'hold' }
+ * stays on the last frame.
+ *
+ * Works both as a browser script (window.EnginiLotties) and as a Node module.
+ */
+
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.EnginiLotties = Object.assign(root.EnginiLotties || {}, api);
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const playState = (state) => ({ type: 'play', state });
+    const restOn = (state) => ({ type: 'rest', state });
+    const hold = () => ({ type: 'hold' });
+
+    class SequenceStateMachine {
+        /**
+         * @param {object} sequence - A validated manifest sequence.
+         * @param {string} sequence.initial - Name of the first state.
+         * @param {Object<string, {behavior: string, next?: string, on?: Object<string, string>}>} sequence.states
+         */
+        constructor(sequence) {
+            this.initial = sequence.initial;
+            this.states = sequence.states;
+            this.reset();
+        }
+
+        reset() {
+            this.state = {
+                current: null, // null while resting before 'start'
+                pending: null, // State taken at the end of the current cycle
+                isHolding: false // A play state without "next" parked on its last frame
+            };
+        }
+
+        /**
+         * @returns {string[]} Every "on" event of the graph, in the order
+         * they first appear.
+         */
+        get eventNames() {
+            const names = Object.values(this.states).flatMap(state => Object.keys(state.on || {}));
+            return [...new Set(names)];
+        }
+
+        /**
+         * @returns {string[]} The events that do something right now.
+         */
+        get availableEvents() {
+            if (this.state.current === null) return ['start'];
+            return [...Object.keys(this.states[this.state.current].on || {}), 'reset'];
+        }
+
+        /**
+         * Feeds one event to the machine.
+         *
+         * @param {{type: string}} event - start, reset, complete (the current
+         * file played to its end) or fire (with the graph event as "name").
+         * @returns {Array<object>} Commands for the players, in order.
+         */
+        dispatch(event) {
+            const handler = this[`on${event.type.charAt(0).toUpperCase()}${event.type.slice(1)}`];
+            if (typeof handler !== 'function') {
+                throw new Error(`Unknown sequence event "${event.type}"`);
+            }
+            return handler.call(this, event.name) || [];
+        }
+
+        onStart() {
+            if (this.state.current !== null) return [];
+            return this.enter(this.initial);
+        }
+
+        onReset() {
+            this.reset();
+            return [restOn(this.initial)];
+        }
+
+        /**
+         * @param {string} name - A graph event such as "finish".
+         */
+        onFire(name) {
+            const { current, isHolding } = this.state;
+            if (current === null) return [];
+
+            const target = (this.states[current].on || {})[name];
+            if (!target) return [];
+
+            if (isHolding) {
+                return this.enter(target);
+            }
+            // Taken once the current cycle has played out; the last event fired wins
+            this.state.pending = target;
+            return [];
+        }
+
+        onComplete() {
+            const { current, pending } = this.state;
+            if (current === null || this.state.isHolding) return [];
+
+            if (pending) {
+                return this.enter(pending);
+            }
+
+            const state = this.states[current];
+            if (state.behavior === 'loop') {
+                return [playState(current)];
+            }
+            if (state.next) {
+                return this.enter(state.next);
+            }
+
+            this.state.isHolding = true;
+            return [hold()];
+        }
+
+        enter(name) {
+            this.state = { current: name, pending: null, isHolding: false };
+            return [playState(name)];
+        }
+    }
+
+    return { SequenceStateMachine };
+});
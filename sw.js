@@ -0,0 +1,139 @@
+/**
+ * @file Service worker that keeps the portal usable offline.
+ *
+ * On install it caches the page shell (HTML, CSS, scripts, vendored
+ * player and fonts) plus every Lottie JSON listed in the project
+ * manifests, in both theme folders. Requests go to the network first so
+ * reviewers always see the latest exports when online; the cache answers
+ * when the network is unavailable.
+ *
+ * Bump CACHE_VERSION when the shell list or vendored files change.
+ */
+
+importScripts('shared/manifest.js');
+
+const CACHE_VERSION = 'v12';
+const CACHE_PREFIX = 'engini-lotties-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+/** Folders with a manifest.json whose animations are pre-cached. */
+const PROJECTS = ['Logo/V1/', 'Logo/V2/', 'Hexagons/'];
+
+const SHELL = [
+    './',
+    'index.html',
+    'vendor/lottie-web/5.12.2/lottie.min.js',
+    'vendor/space-mono/space-mono.css',
+    'vendor/space-mono/files/space-mono-latin-400-normal.woff2',
+    'vendor/space-mono/files/space-mono-latin-400-italic.woff2',
+    'vendor/space-mono/files/space-mono-latin-700-normal.woff2',
+    'shared/lottie-card.css',
+    'shared/manifest.js',
+    'shared/frame-points.js',
+    'shared/playback-state.js',
+    'shared/idle-timer.js',
+    'shared/lottie-driver.js',
+    'shared/sequence-state.js',
+    'shared/recolor.js',
+    'shared/card-links.js',
+    'shared/annotations.js',
+    'shared/card-interaction.js',
+    'shared/perf-overlay.js',
+    'shared/layer-info.js',
+    'shared/layer-inspector.js',
+    'shared/load-errors.js',
+    'shared/media-export.js',
+    'shared/card-export.js',
+    'shared/card-annotations.js',
+    'shared/sequence-card.js',
+    'shared/lottie-card.js',
+    'shared/animation-grid.js',
+    'shared/offline.js',
+    'Logo/Compare/index.html',
+    'Logo/Compare/style.css',
+    'Logo/Compare/app.js',
+    ...PROJECTS.flatMap(project => ['index.html', 'style.css', 'app.js', 'manifest.json'].map(file => project + file))
+];
+
+/**
+ * Caches the animations of one project. A missing file is logged and
+ * skipped so one bad manifest entry does not abort the install.
+ *
+ * @param {Cache} cache
+ * @param {string} project - e.g. "Logo/V1/"
+ */
+async function cacheProjectAnimations(cache, project) {
+    const response = await fetch(`${project}manifest.json`, { cache: 'no-store' });
+    if (!response.ok) {
+        console.warn(`${project}manifest.json: HTTP ${response.status}, animations not cached.`);
+        return;
+    }
+
+    const manifest = await response.clone().json();
+    await cache.put(`${project}manifest.json`, response);
+
+    const paths = self.EnginiLotties.listAssetPaths(manifest).map(path => project + path);
+    const results = await Promise.allSettled(paths.map(path => cache.add(path)));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.warn(`Not cached: ${paths[index]} (${result.reason.message})`);
+        }
+    });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(SHELL);
+        await Promise.all(PROJECTS.map(project => cacheProjectAnimations(cache, project)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+/**
+ * Network first, cache as fallback. Successful GETs refresh the cache so
+ * files opened after install (e.g. a new export) are available offline
+ * too. HEAD requests (the missing-file check) are answered from the
+ * cached GET when offline.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (request.method === 'GET' && response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreMethod: true, ignoreSearch: true });
+        if (!cached) throw error;
+
+        return request.method === 'HEAD'
+            ? new Response(null, { status: cached.status, headers: cached.headers })
+            : cached;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const isSameOrigin = new URL(request.url).origin === self.location.origin;
+
+    if (isSameOrigin && (request.method === 'GET' || request.method === 'HEAD')) {
+        event.respondWith(networkFirst(request));
+    }
+});
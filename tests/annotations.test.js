@@ -0,0 +1,72 @@
+/**
+ * @file Checks annotation validation, export file parsing and the import
+ * merge of two review rounds.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    createAnnotation,
+    createReply,
+    serializeAnnotations,
+    parseAnnotationsFile,
+    mergeAnnotations,
+    formatFrameRange
+} = require('../shared/annotations.js');
+
+const monday = new Date('2024-05-06T10:00:00Z');
+const tuesday = new Date('2024-05-07T10:00:00Z');
+
+test('createAnnotation trims its fields and rejects backwards ranges', () => {
+    const single = createAnnotation({ card: 'shapes-suck-in', frameStart: 24, frameEnd: 24, author: ' Dana ', text: ' Jumps ' }, monday);
+    assert.equal(single.frameEnd, null);
+    assert.equal(single.author, 'Dana');
+    assert.equal(single.text, 'Jumps');
+    assert.equal(single.status, 'open');
+    assert.equal(formatFrameRange(single), 'Frame 24');
+    assert.equal(formatFrameRange({ frameStart: 24, frameEnd: 71 }), 'Frames 24-71');
+
+    assert.throws(() => createAnnotation({ card: 'x', frameStart: 30, frameEnd: 10, author: 'Dana', text: 'a' }), /frameEnd/);
+    assert.throws(() => createAnnotation({ card: 'x', frameStart: 0, author: ' ', text: 'a' }), /author/);
+    assert.throws(() => createReply('Dana', ''), /reply/);
+});
+
+test('parseAnnotationsFile keeps the valid annotations and reports the rest', () => {
+    const valid = createAnnotation({ card: 'idle', frameStart: 0, author: 'Dana', text: 'Too slow' }, monday);
+    const file = serializeAnnotations([valid, { ...valid, id: 'other', frameStart: -1 }], 'Logo/V2', monday);
+
+    const { page, annotations, errors } = parseAnnotationsFile(JSON.parse(JSON.stringify(file)));
+    assert.equal(page, 'Logo/V2');
+    assert.deepEqual(annotations, [valid]);
+    assert.deepEqual(errors, [{ path: 'annotations[1].frameStart', message: 'must be a non-negative integer frame' }]);
+
+    assert.equal(parseAnnotationsFile({ annotations: [] }).errors[0].path, 'file');
+    assert.match(parseAnnotationsFile({ ...file, version: 99 }).errors[0].message, /newer/);
+});
+
+test('mergeAnnotations keeps the newest copy and the replies of both rounds', () => {
+    const original = createAnnotation({ card: 'idle', frameStart: 5, author: 'Dana', text: 'Too slow' }, monday);
+    const reviewerReply = createReply('Dana', 'Still slow', monday);
+    const animatorReply = createReply('Sam', 'Sped up', tuesday);
+
+    const current = [{ ...original, replies: [reviewerReply] }];
+    const incoming = [
+        { ...original, status: 'resolved', updatedAt: tuesday.toISOString(), replies: [animatorReply] },
+        createAnnotation({ card: 'idle', frameStart: 9, author: 'Sam', text: 'New' }, tuesday)
+    ];
+
+    const { annotations, added, updated } = mergeAnnotations(current, incoming);
+    assert.equal(added, 1);
+    assert.equal(updated, 1);
+    assert.equal(annotations[0].status, 'resolved');
+    assert.deepEqual(annotations[0].replies, [reviewerReply, animatorReply]);
+
+    // Importing the same round again changes nothing
+    const again = mergeAnnotations(annotations, incoming);
+    assert.equal(again.added + again.updated, 0);
+});
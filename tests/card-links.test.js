@@ -0,0 +1,52 @@
+/**
+ * @file Checks card slugs and the #card=...&frame=...&theme=... deep links.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toSlug, createCardSlug, parseCardLink, formatCardLink } = require('../shared/card-links.js');
+
+test('slugs drop the extension, case and punctuation', () => {
+    assert.equal(toSlug('Shapes Suck In'), 'shapes-suck-in');
+    assert.equal(toSlug('Loop-24-71 Shapes Suck In.json'), 'loop-24-71-shapes-suck-in');
+    assert.equal(toSlug(' Loading - Build LOOP Fast .JSON'), 'loading-build-loop-fast');
+    assert.equal(toSlug('!!!'), '');
+});
+
+test('duplicate slugs get a -2, -3 suffix', () => {
+    const taken = new Set();
+    const slugs = [
+        { fileName: 'Idle.json' },
+        { fileName: 'idle.json' },
+        { displayName: 'Idle', fileName: 'Idle Purplish.json' },
+        { fileName: '!!!.json' }
+    ].map(animation => {
+        const slug = createCardSlug(animation, taken);
+        taken.add(slug);
+        return slug;
+    });
+    assert.deepEqual(slugs, ['idle', 'idle-2', 'idle-3', 'card']);
+});
+
+test('links round-trip through format and parse', () => {
+    const link = { card: 'shapes-suck-in', frame: 37, theme: 'light' };
+    assert.equal(formatCardLink(link), '#card=shapes-suck-in&frame=37&theme=light');
+    assert.deepEqual(parseCardLink(formatCardLink(link)), link);
+
+    assert.equal(formatCardLink({ card: 'idle' }), '#card=idle');
+    assert.deepEqual(parseCardLink('card=idle&frame=0'), { card: 'idle', frame: 0, theme: null });
+    assert.equal(parseCardLink('#frame=12'), null);
+});
+
+test('an empty or invalid frame or theme is dropped', () => {
+    ['', ' ', '-1', '2.5', 'abc'].forEach(frame => {
+        assert.deepEqual(parseCardLink(`#card=idle&frame=${frame}&theme=light`), { card: 'idle', frame: null, theme: 'light' }, frame);
+    });
+    assert.deepEqual(parseCardLink('#card=idle&frame=4&theme=sepia'), { card: 'idle', frame: 4, theme: null });
+    assert.deepEqual(parseCardLink('#card=idle&theme='), { card: 'idle', frame: null, theme: null });
+});
@@ -0,0 +1,53 @@
+/**
+ * @file Checks how <engini-lottie> reads its loop-frames, freeze-frame,
+ * idle-interval and segments attributes.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseLoopFrames, parseFreezeFrame, parseIdleInterval, parseSegments } = require('../shared/element-attributes.js');
+
+test('loop-frames takes "start-end" or "start, end"', () => {
+    assert.deepEqual(parseLoopFrames('24-71'), [24, 71]);
+    assert.deepEqual(parseLoopFrames(' 24 , 71 '), [24, 71]);
+    assert.equal(parseLoopFrames('24'), null);
+    assert.equal(parseLoopFrames('24-71.5'), null);
+    assert.equal(parseLoopFrames(null), null);
+});
+
+test('freeze-frame takes a whole frame', () => {
+    assert.equal(parseFreezeFrame('29'), 29);
+    assert.equal(parseFreezeFrame('0'), 0);
+    assert.equal(parseFreezeFrame('-3'), null);
+    assert.equal(parseFreezeFrame(''), null);
+});
+
+test('idle-interval takes fixed seconds or a range', () => {
+    assert.deepEqual(parseIdleInterval('6'), [6, 6]);
+    assert.deepEqual(parseIdleInterval('2.5 - 4'), [2.5, 4]);
+    assert.equal(parseIdleInterval('4 to 9'), null);
+    assert.equal(parseIdleInterval(null), null);
+});
+
+test('segments must be JSON that passes the manifest rules', () => {
+    const valid = '[{"name": "Build In", "start": 0, "behavior": "play"}, {"name": "Loading", "start": 30, "behavior": "loop"}]';
+    assert.deepEqual(parseSegments(valid), {
+        segments: [{ name: 'Build In', start: 0, behavior: 'play' }, { name: 'Loading', start: 30, behavior: 'loop' }],
+        problems: []
+    });
+
+    assert.deepEqual(parseSegments(null), { segments: null, problems: [] });
+
+    const notJson = parseSegments('[{name: "Build In"}]');
+    assert.equal(notJson.segments, null);
+    assert.match(notJson.problems[0], /^segments is not valid JSON/);
+
+    const late = parseSegments('[{"name": "Build In", "start": 5, "behavior": "play"}]');
+    assert.equal(late.segments, null);
+    assert.deepEqual(late.problems, ['segments[0].start: the first segment must start at frame 0']);
+});
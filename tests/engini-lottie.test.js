@@ -0,0 +1,240 @@
+/**
+ * @file Checks <engini-lottie> with fake DOM and lottie-web stand-ins:
+ * how its attributes become the playback config, and the "ready" and
+ * "error" events.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+/**
+ * Just enough of an element for the player and CardInteraction:
+ * attributes, events and a shadow root.
+ */
+class FakeElement extends EventTarget {
+    constructor() {
+        super();
+        this.attributeMap = new Map();
+    }
+
+    getAttribute(name) {
+        return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+    }
+
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        this.attributeMap.set(name, String(value));
+        if (this.constructor.observedAttributes?.includes(name)) {
+            this.attributeChangedCallback(name, oldValue, String(value));
+        }
+    }
+
+    removeAttribute(name) {
+        this.attributeMap.delete(name);
+    }
+
+    hasAttribute(name) {
+        return this.attributeMap.has(name);
+    }
+
+    toggleAttribute(name, force) {
+        if (force) {
+            this.attributeMap.set(name, '');
+        } else {
+            this.attributeMap.delete(name);
+        }
+    }
+
+    attachShadow() {
+        return { append() {} };
+    }
+}
+
+/**
+ * Records the calls of a lottie-web player and fires its events on demand.
+ */
+class FakeLottie {
+    constructor(options) {
+        this.options = options;
+        this.listeners = {};
+        this.calls = [];
+        this.currentFrame = 0;
+        this.totalFrames = 0;
+        this.animationData = null;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    emit(type, event) {
+        this.listeners[type]?.(event);
+    }
+
+    /**
+     * @param {object} animationData - The Lottie JSON.
+     */
+    finishLoading(animationData) {
+        this.animationData = animationData;
+        this.totalFrames = animationData.op - animationData.ip;
+        this.emit('DOMLoaded');
+    }
+
+    goToAndPlay(frame) {
+        this.currentFrame = frame;
+        this.calls.push(['goToAndPlay', frame]);
+    }
+
+    goToAndStop(frame) {
+        this.currentFrame = frame;
+        this.calls.push(['goToAndStop', frame]);
+    }
+
+    play() {
+        this.calls.push(['play']);
+    }
+
+    pause() {
+        this.calls.push(['pause']);
+    }
+
+    destroy() {}
+}
+
+const players = [];
+const customElementRegistry = new Map();
+let prefersReducedMotion = false;
+
+Object.assign(globalThis, {
+    window: globalThis,
+    HTMLElement: FakeElement,
+    document: Object.assign(new EventTarget(), { hidden: false, createElement: () => new FakeElement() }),
+    customElements: {
+        get: name => customElementRegistry.get(name),
+        define: (name, constructor) => customElementRegistry.set(name, constructor)
+    },
+    matchMedia: () => ({ matches: prefersReducedMotion, addEventListener() {}, removeEventListener() {} }),
+    lottie: {
+        loadAnimation(options) {
+            players.push(new FakeLottie(options));
+            return players.at(-1);
+        }
+    },
+    EnginiLotties: {
+        ...require('../shared/manifest.js'),
+        ...require('../shared/frame-points.js'),
+        ...require('../shared/playback-state.js'),
+        ...require('../shared/idle-timer.js'),
+        ...require('../shared/lottie-driver.js'),
+        ...require('../shared/element-attributes.js')
+    }
+});
+require('../shared/card-interaction.js');
+require('../shared/engini-lottie.js');
+
+/**
+ * @param {object} attributes
+ * @returns {{element: HTMLElement, player: FakeLottie, events: Array<CustomEvent>}}
+ * A connected element with its (still loading) player.
+ */
+function connect(attributes) {
+    const element = new (customElements.get('engini-lottie'))();
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    const events = [];
+    element.addEventListener('ready', event => events.push(event));
+    element.addEventListener('error', event => events.push(event));
+    element.connectedCallback();
+    return { element, player: players.at(-1), events };
+}
+
+const plainJson = { ip: 0, op: 97, markers: [] };
+
+test('attributes choose the file, renderer and playback config', () => {
+    const { element, player, events } = connect({
+        src: 'Lotties/White/Shapes.json',
+        'src-light': 'Lotties/Black/Shapes.json',
+        theme: 'light',
+        renderer: 'canvas',
+        type: 'loop',
+        'loop-frames': '24-71'
+    });
+    assert.equal(player.options.path, 'Lotties/Black/Shapes.json');
+    assert.equal(player.options.renderer, 'canvas');
+    assert.equal(player.options.loop, false);
+
+    player.finishLoading(plainJson);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'ready');
+    assert.deepEqual(events[0].detail, { animationType: 'loop', totalFrames: 97 });
+    assert.deepEqual([element.playback.loopStartFrame, element.playback.loopEndFrame], [24, 71]);
+    assert.equal(element.getAttribute('role'), 'button');
+    assert.equal(element.getAttribute('aria-label'), 'Shapes');
+    assert.deepEqual(player.calls, [['goToAndStop', 0]]);
+});
+
+test('without a type the freeze-frame attribute and file name decide', () => {
+    const fromAttribute = connect({ src: 'Logo.json', 'freeze-frame': '29' });
+    fromAttribute.player.finishLoading(plainJson);
+    assert.deepEqual(fromAttribute.events[0].detail, { animationType: 'freeze', totalFrames: 97 });
+    assert.equal(fromAttribute.element.playback.freezeFrame, 29);
+
+    const fromName = connect({ src: 'Loop-10-57 Loading - Dots.json', trigger: 'manual' });
+    fromName.player.finishLoading(plainJson);
+    assert.equal(fromName.element.playback.animationType, 'loop');
+    assert.equal(fromName.element.getAttribute('role'), 'img');
+});
+
+test('calls made while loading run once it is ready', () => {
+    const { element, player } = connect({ src: 'Build In.json', type: 'playOnce' });
+    element.play();
+    assert.deepEqual(player.calls, []);
+
+    player.finishLoading(plainJson);
+    assert.deepEqual(player.calls, [['goToAndStop', 0], ['goToAndPlay', 0]]);
+    assert.equal(element.playback.state.isHovering, false);
+});
+
+test('a file that fails to load fires "error" and drops the waiting calls', async () => {
+    const { element, player, events } = connect({ src: 'Missing.json' });
+    element.enterLoop();
+    assert.equal(element.pendingCalls.length, 1);
+    player.emit('data_failed');
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].type, 'error');
+    assert.deepEqual(events[0].detail, { src: 'Missing.json', reason: 'the file could not be loaded' });
+    assert.deepEqual(element.pendingCalls, []);
+
+    element.play(); // Not queued after the failure
+    assert.deepEqual(element.pendingCalls, []);
+});
+
+test('a configuration error before the first frame fires "error" once', () => {
+    const { player, events } = connect({ src: 'Broken.json' });
+    player.emit('error', { type: 'configError', nativeError: new Error('Unexpected token') });
+    player.emit('error', { type: 'configError', nativeError: new Error('Unexpected token') });
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].detail, { src: 'Broken.json', reason: 'not a valid Lottie file (Unexpected token)' });
+});
+
+test('with reduced motion play() leaves a continuous loader paused; enterLoop() runs it', () => {
+    prefersReducedMotion = true;
+    const { element, player } = connect({ src: 'Loading - Dots.json', type: 'continuous' });
+    prefersReducedMotion = false;
+    player.finishLoading(plainJson);
+    assert.equal(player.options.loop, true);
+
+    element.play();
+    assert.equal(player.calls.some(([type]) => type === 'play'), false);
+
+    element.enterLoop();
+    assert.deepEqual(player.calls.at(-1), ['play']);
+    element.exitLoop();
+    assert.deepEqual(player.calls.at(-1), ['pause']);
+});
@@ -0,0 +1,84 @@
+/**
+ * @file Checks how loop and freeze points are read from markers, the
+ * config and the file name, and how disagreements between them are
+ * reported.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    normalizeMarkerName,
+    readMarkerPoints,
+    readFileNamePoints,
+    resolveFramePoints,
+    findFramePointProblems
+} = require('../shared/frame-points.js');
+
+test('marker comments normalize from plain text, camelCase and JSON', () => {
+    assert.equal(normalizeMarkerName('Loop Start'), 'loop_start');
+    assert.equal(normalizeMarkerName('loopStart'), 'loop_start');
+    assert.equal(normalizeMarkerName('  loop-end '), 'loop_end');
+    assert.equal(normalizeMarkerName('{"name":"freezeFrame"}'), 'freeze_frame');
+    assert.equal(normalizeMarkerName('{"cm":"Hold"}'), 'hold');
+    assert.equal(normalizeMarkerName('{not json'), 'not_json');
+    assert.equal(normalizeMarkerName(undefined), '');
+});
+
+test('every marker alias sets its point, relative to the in point', () => {
+    const cases = [
+        [['loop_start', 'loop_end'], { loopStart: 14, loopEnd: 54 }],
+        [['loopIn', 'loopOut'], { loopStart: 14, loopEnd: 54 }],
+        [['Loop In', 'Loop Out'], { loopStart: 14, loopEnd: 54 }]
+    ];
+    cases.forEach(([[start, end], expected]) => {
+        const json = { ip: 10, markers: [{ cm: start, tm: 24 }, { cm: end, tm: 64 }] };
+        assert.deepEqual(readMarkerPoints(json), expected, `${start} / ${end}`);
+    });
+
+    ['freeze', 'freeze_frame', 'freezeFrame', 'hold', '{"name":"freeze"}'].forEach(cm => {
+        assert.deepEqual(readMarkerPoints({ ip: 0, markers: [{ cm, tm: 29.4 }] }), { freeze: 29 }, cm);
+    });
+});
+
+test('a single "loop" marker spans its duration; unnamed markers are ignored', () => {
+    assert.deepEqual(readMarkerPoints({ ip: 0, markers: [{ cm: 'loop', tm: 20, dr: 40 }] }), { loopStart: 20, loopEnd: 60 });
+    assert.deepEqual(readMarkerPoints({ ip: 0, markers: [{ cm: 'loop', tm: 20, dr: 0 }, { cm: '7', tm: 3 }] }), {});
+    assert.deepEqual(readMarkerPoints({}), {});
+});
+
+test('file names give loop and freeze points', () => {
+    assert.deepEqual(readFileNamePoints('Loop-24-71 Shapes Suck In.json'), { loopStart: 24, loopEnd: 71 });
+    assert.deepEqual(readFileNamePoints('From Center Simple Freeze-25 .json'), { freeze: 25 });
+    assert.deepEqual(readFileNamePoints('Build In.json'), {});
+});
+
+test('markers win over the config, which wins over the file name', () => {
+    const animationJson = { ip: 0, markers: [{ cm: 'loop_start', tm: 20 }, { cm: 'loop_end', tm: 60 }] };
+    const config = { loopFrames: [22, 60], freezeFrame: 12 };
+
+    const { points, origins, conflicts } = resolveFramePoints({ animationJson, config, fileName: 'Loop-24-60 Freeze-12.json' });
+    assert.deepEqual(points, { loopStart: 20, loopEnd: 60, freeze: 12 });
+    assert.deepEqual(origins, { loopStart: 'markers', loopEnd: 'markers', freeze: 'config' });
+    assert.deepEqual(conflicts, ['loopStart: markers 20, config 22, file name 24 (using markers)']);
+});
+
+test('without markers the config and file name are compared', () => {
+    const { points, conflicts } = resolveFramePoints({ config: { freezeFrame: 30 }, fileName: 'Freeze-29.json' });
+    assert.deepEqual(points, { freeze: 30 });
+    assert.deepEqual(conflicts, ['freeze: config 30, file name 29 (using config)']);
+
+    assert.deepEqual(resolveFramePoints({ fileName: 'Build In.json' }), { points: {}, origins: {}, conflicts: [] });
+});
+
+test('a loop may start at frame 0 but must end before the last frame', () => {
+    assert.deepEqual(findFramePointProblems({ loopStart: 0, loopEnd: 60 }, 90), []);
+    assert.deepEqual(findFramePointProblems({ loopStart: -1, loopEnd: 90 }, 90), [
+        'loop -1-90 must satisfy 0 <= start < end < 90 (op - ip)'
+    ]);
+    assert.deepEqual(findFramePointProblems({ loopStart: 20 }, 90), ['loop needs both a start and an end (got start only)']);
+});
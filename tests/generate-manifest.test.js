@@ -0,0 +1,58 @@
+/**
+ * @file Checks the manifest generator: the playback type inferred for new
+ * exports, the White / Black pairing report and that regenerating the
+ * committed manifests changes nothing.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const path = require('path');
+
+const { generateManifest, formatManifest, inferAnimationEntry, findUnpairedFiles } = require('../tools/generate-manifest.js');
+
+const info = (markers = []) => ({ json: { ip: 0, op: 90, markers } });
+
+test('inferAnimationEntry prefers markers, then the file name, then playOnce', () => {
+    assert.deepEqual(
+        inferAnimationEntry('Loop-10-57 Dots.json', info([{ cm: 'loop_start', tm: 20 }, { cm: 'loop_end', tm: 60 }])),
+        { fileName: 'Loop-10-57 Dots.json', animationType: 'loop' }
+    );
+    assert.deepEqual(
+        inferAnimationEntry('Loop-10-57 Dots.json', info()),
+        { fileName: 'Loop-10-57 Dots.json', animationType: 'loop', loopFrames: [10, 57] }
+    );
+    assert.deepEqual(
+        inferAnimationEntry('Freeze-29 Logo.json', info()),
+        { fileName: 'Freeze-29 Logo.json', animationType: 'freeze', freezeFrame: 29 }
+    );
+    assert.deepEqual(inferAnimationEntry('Build In.json', info()), { fileName: 'Build In.json', animationType: 'playOnce' });
+});
+
+test('findUnpairedFiles lists missing counterparts and case-only matches once', () => {
+    const problems = findUnpairedFiles({
+        White: ['Build In.json', 'idle.json', 'Ripples.json'],
+        Black: ['Build In.json', 'Idle.json']
+    });
+
+    assert.deepEqual(problems, [
+        '"White/idle.json" only matches "Black/Idle.json" by case',
+        '"White/Ripples.json" has no counterpart in Black/'
+    ]);
+    assert.deepEqual(findUnpairedFiles({ White: ['Idle.json'], Black: ['Idle.json'] }), []);
+});
+
+test('regenerating an up-to-date manifest writes the same file', () => {
+    ['Logo/V1', 'Logo/V2', 'Hexagons'].forEach(project => {
+        const projectDir = path.join(__dirname, '..', project);
+        const { manifest, report } = generateManifest(projectDir);
+
+        assert.deepEqual([report.added, report.removed], [[], []], project);
+        assert.equal(formatManifest(manifest), fs.readFileSync(path.join(projectDir, 'manifest.json'), 'utf8'), project);
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * @file Checks the rest timer of idle animations: random delays within the
+ * interval, pausing and resuming, and dropping an interrupted rest.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { IdleTimer, normalizeIdleInterval } = require('../shared/idle-timer.js');
+
+test('idle intervals accept fixed seconds, a range, or fall back to 4-9 s', () => {
+    assert.deepEqual(normalizeIdleInterval(6), [6, 6]);
+    assert.deepEqual(normalizeIdleInterval([2, 3]), [2, 3]);
+    assert.deepEqual(normalizeIdleInterval(undefined), [4, 9]);
+});
+
+test('a rest wakes after a delay within the interval and pauses while hidden', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    let wakes = 0;
+    const timer = new IdleTimer(() => wakes++, { interval: [4, 9], random: () => 0.5 });
+
+    timer.sync(true, false);
+    assert.equal(timer.timeLeft, 6500);
+
+    t.mock.timers.tick(2500);
+    timer.sync(true, true); // Tab hidden
+    assert.equal(timer.isPaused, true);
+    t.mock.timers.tick(60000);
+    assert.equal(wakes, 0);
+    assert.equal(timer.timeLeft, 4000);
+
+    timer.sync(true, false);
+    t.mock.timers.tick(3999);
+    assert.equal(wakes, 0);
+    t.mock.timers.tick(1);
+    assert.equal(wakes, 1);
+    assert.equal(timer.timeLeft, null);
+});
+
+test('an interrupted rest is dropped and the next one picks a new delay', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+    let wakes = 0;
+    const delays = [0, 1];
+    const timer = new IdleTimer(() => wakes++, { interval: [4, 9], random: () => delays.shift() });
+
+    timer.sync(true, false);
+    assert.equal(timer.timeLeft, 4000);
+    timer.sync(false, false); // Hovered mid-rest
+    t.mock.timers.tick(10000);
+    assert.equal(wakes, 0);
+
+    timer.sync(true, false);
+    assert.equal(timer.timeLeft, 9000);
+});
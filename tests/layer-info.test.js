@@ -0,0 +1,61 @@
+/**
+ * @file Checks the layer list shown by the card inspector: names, types,
+ * parenting and track mattes.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { listLayers } = require('../shared/layer-info.js');
+
+const animationJson = {
+    assets: [{ id: 'comp_0', layers: [{ ty: 4 }, { ty: 4 }] }],
+    layers: [
+        { ind: 1, ty: 3, nm: 'Controller', ip: 0, op: 90 },
+        { ind: 2, ty: 4, nm: 'Face Matte', td: 1, ip: 0, op: 90, parent: 1 },
+        { ind: 3, ty: 4, nm: 'Face B', tt: 1, ip: 12, op: 60, parent: 1 },
+        { ind: 4, ty: 0, nm: 'Shapes', refId: 'comp_0', ip: 0, op: 90, hd: true },
+        { ind: 5, ty: 4, tt: 4, tp: 2, ip: 0, op: 90 }
+    ]
+};
+
+test('listLayers describes every top-level layer in stack order', () => {
+    const layers = listLayers(animationJson);
+
+    assert.deepEqual(layers.map(layer => layer.name), ['Controller', 'Face Matte', 'Face B', 'Shapes', 'Layer 5']);
+    assert.deepEqual(layers.map(layer => layer.type), ['null', 'shape', 'shape', 'precomp', 'shape']);
+
+    assert.deepEqual(layers[2], {
+        index: 2,
+        ind: 3,
+        name: 'Face B',
+        type: 'shape',
+        inPoint: 12,
+        outPoint: 60,
+        parent: 'Controller',
+        isHidden: false,
+        isMatteSource: false,
+        matteMode: 'alpha',
+        matteSource: 'Face Matte',
+        matteIndex: 1,
+        layerCount: null
+    });
+
+    assert.equal(layers[1].isMatteSource, true);
+    assert.equal(layers[3].isHidden, true);
+    assert.equal(layers[3].layerCount, 2);
+});
+
+test('listLayers follows "tp" to the matte layer and tolerates empty files', () => {
+    const [, , , , last] = listLayers(animationJson);
+    assert.equal(last.matteMode, 'inverted luma');
+    assert.equal(last.matteSource, 'Face Matte');
+    assert.equal(last.matteIndex, 1);
+
+    assert.deepEqual(listLayers({}), []);
+    assert.deepEqual(listLayers(null), []);
+});
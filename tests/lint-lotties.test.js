@@ -0,0 +1,87 @@
+/**
+ * @file Checks the Lottie linter: per-file rules, the comparison of the
+ * White / Black variants of one animation and which folders are linted.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const path = require('path');
+
+const { lintAnimation, lintVariants } = require('../tools/lint-lotties.js');
+const { findProjects } = require('../tools/projects.js');
+
+const lottie = (overrides = {}) => ({
+    v: '5.12.2',
+    fr: 30,
+    ip: 0,
+    op: 90,
+    w: 512,
+    h: 512,
+    layers: [{ ty: 4, nm: 'Shape', ip: 0, op: 90, shapes: [{ ty: 'gr' }] }],
+    ...overrides
+});
+
+const collect = () => {
+    const problems = [];
+    const report = (severity, rule, message) => problems.push({ severity, rule, message });
+    return { problems, report };
+};
+
+test('lintAnimation passes a clean export and flags version, frame range and raster images', () => {
+    const clean = collect();
+    lintAnimation(lottie(), { fileName: 'Idle.json' }, clean.report);
+    assert.deepEqual(clean.problems, []);
+
+    const broken = collect();
+    lintAnimation(lottie({
+        v: '4.8.0',
+        assets: [{ id: 'image_0', p: 'data:image/png;base64,AAAA', e: 1 }]
+    }), { fileName: 'Loop-24-120.json' }, broken.report);
+
+    assert.deepEqual(broken.problems.map(problem => problem.rule).sort(), ['frame-range', 'raster-image', 'unsupported-version']);
+    assert.ok(broken.problems.every(problem => problem.severity === 'error'));
+});
+
+test('lintAnimation warns about empty layers', () => {
+    const { problems, report } = collect();
+    lintAnimation(lottie({
+        layers: [
+            { ty: 4, nm: 'Empty', ip: 0, op: 90, shapes: [] },
+            { ty: 0, nm: 'Missing precomp', refId: 'comp_9', ip: 0, op: 90 }
+        ]
+    }), { fileName: 'Idle.json' }, report);
+
+    assert.deepEqual(problems.map(problem => [problem.severity, problem.rule]), [
+        ['warning', 'empty-layer'],
+        ['warning', 'empty-layer']
+    ]);
+});
+
+test('lintVariants reports size, frame count and case-only name mismatches', () => {
+    const { problems, report } = collect();
+    lintVariants([
+        { folder: 'Lotties/White', fileName: 'idle.json', json: lottie() },
+        { folder: 'Lotties/Black', fileName: 'Idle.json', json: lottie({ w: 256, op: 60 }) }
+    ], report);
+
+    assert.deepEqual(problems.map(problem => problem.rule), ['case-mismatch', 'theme-mismatch', 'theme-mismatch']);
+    assert.match(problems[0].message, /"idle\.json" in Lotties\/White vs "Idle\.json" in Lotties\/Black/);
+
+    const matching = collect();
+    lintVariants([
+        { folder: 'Lotties/White', fileName: 'Idle.json', json: lottie() },
+        { folder: 'Lotties/Black', fileName: 'Idle.json', json: lottie() }
+    ], matching.report);
+    assert.deepEqual(matching.problems, []);
+});
+
+test('the projects are found without the render goldens', () => {
+    const rootDir = path.join(__dirname, '..');
+    const projects = findProjects(rootDir).map(dir => path.relative(rootDir, dir).split(path.sep).join('/'));
+    assert.deepEqual(projects.sort(), ['Hexagons', 'Logo/V1', 'Logo/V2']);
+});
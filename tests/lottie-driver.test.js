@@ -0,0 +1,108 @@
+/**
+ * @file Checks the player driver shared by LottieCard and <engini-lottie>:
+ * how the playback type is resolved, and that the state survives a player
+ * reload.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { resolvePlayback, PlayerDriver } = require('../shared/lottie-driver.js');
+
+/**
+ * Records the commands a driver runs, like a paused lottie-web player.
+ */
+class FakePlayer {
+    constructor(totalFrames) {
+        this.totalFrames = totalFrames;
+        this.currentFrame = 0;
+        this.calls = [];
+    }
+
+    goToAndPlay(frame) {
+        this.currentFrame = frame;
+        this.calls.push(['goToAndPlay', frame]);
+    }
+
+    goToAndStop(frame) {
+        this.currentFrame = frame;
+        this.calls.push(['goToAndStop', frame]);
+    }
+
+    play() {
+        this.calls.push(['play']);
+    }
+
+    pause() {
+        this.calls.push(['pause']);
+    }
+}
+
+const loopMarkers = { ip: 0, op: 90, markers: [{ cm: 'loop_start', tm: 20 }, { cm: 'loop_end', tm: 60 }] };
+
+test('an explicit type wins, then markers, then the file name', () => {
+    assert.equal(resolvePlayback({ animationType: 'idle', animationJson: loopMarkers, fileName: 'Loop-1-2.json' }).animationType, 'idle');
+
+    const fromMarkers = resolvePlayback({ animationJson: loopMarkers, fileName: 'Spinner.json' });
+    assert.equal(fromMarkers.animationType, 'loop');
+    assert.deepEqual([fromMarkers.loopStartFrame, fromMarkers.loopEndFrame], [20, 60]);
+
+    const fromName = resolvePlayback({ fileName: 'Freeze-29.json' });
+    assert.equal(fromName.animationType, 'freeze');
+    assert.equal(fromName.freezeFrame, 29);
+
+    assert.equal(resolvePlayback({ fileName: 'Idle.json' }).animationType, 'playOnce');
+});
+
+test('unusable types fall back to playOnce with a warning', () => {
+    const unknown = resolvePlayback({ animationType: 'bounce', fileName: 'Loop-1-2.json' });
+    assert.equal(unknown.animationType, 'playOnce');
+    assert.deepEqual(unknown.warnings, ['unknown type "bounce", using playOnce']);
+
+    const noSegments = resolvePlayback({ animationType: 'segments', fileName: 'Build.json' });
+    assert.equal(noSegments.animationType, 'playOnce');
+    assert.equal(noSegments.warnings.length, 1);
+});
+
+test('a reloaded player carries on with the frame and hover state', () => {
+    const config = { animationType: 'loop', totalFrames: 90, loopStartFrame: 20, loopEndFrame: 60 };
+    let renders = 0;
+    const driver = new PlayerDriver(config, { onCommands: () => renders++ });
+
+    driver.attach(new FakePlayer(90));
+    driver.onDOMLoaded();
+    driver.start(false);
+    assert.deepEqual(driver.player.calls, [['goToAndStop', 0]]);
+
+    driver.dispatch('hoverStart');
+    driver.player.currentFrame = 40; // Inside the loop
+    driver.detach();
+    assert.equal(driver.isLoaded, false);
+    assert.equal(driver.holdHover(false), true); // Left while reloading
+
+    const player = new FakePlayer(90);
+    driver.attach(player);
+    driver.onDOMLoaded();
+    driver.start(false);
+    assert.equal(driver.playback.state.isHovering, false);
+    assert.equal(player.calls.some(([type, frame]) => type === 'goToAndPlay' && frame === 40), true);
+    assert.ok(renders > 0);
+});
+
+test('enterFrame echoes of goTo commands are ignored until loaded', () => {
+    const driver = new PlayerDriver({ animationType: 'playOnce', totalFrames: 30 });
+    const player = new FakePlayer(30);
+    driver.attach(player);
+
+    driver.onEnterFrame(); // Still loading
+    assert.deepEqual(player.calls, []);
+    assert.equal(driver.holdHover(true), true);
+
+    driver.onDOMLoaded();
+    assert.equal(driver.holdHover(true), false);
+    assert.throws(() => driver.runCommands([{ type: 'jump' }]), /Unknown player command "jump"/);
+});
@@ -0,0 +1,109 @@
+/**
+ * @file Checks the manifest.json schema validation and the error paths it
+ * reports, and the asset list the missing-file check is run on.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateManifest, validateAnimation, validateSequence, listAssetPaths } = require('../shared/manifest.js');
+
+/**
+ * @param {object} section - Merged into a valid section.
+ * @returns {object} A manifest with that one section.
+ */
+function manifestWith(section) {
+    return {
+        themeFolders: { dark: 'White', light: 'Black' },
+        sections: [{ id: 'shapes', title: 'Shapes', animations: [{ fileName: 'Idle.json' }], ...section }]
+    };
+}
+
+test('a valid manifest has no errors', () => {
+    assert.deepEqual(validateManifest(manifestWith({
+        palettes: { Blue: { '--purple': '--blue', '#fff': '#123456' } },
+        animations: [
+            { fileName: 'Loop-24-71 Shapes Suck In.json', animationType: 'loop', loopFrames: [24, 71] },
+            { fileName: 'Build.json', animationType: 'segments', segments: [{ name: 'In', start: 0, behavior: 'play' }] }
+        ]
+    })), []);
+});
+
+test('an unknown animationType is reported at its path', () => {
+    assert.deepEqual(validateManifest(manifestWith({ animations: [{ fileName: 'Idle.json' }, { fileName: 'Spin.json', animationType: 'spin' }] })), [{
+        path: 'sections[0].animations[1].animationType',
+        message: 'unknown value "spin" (expected one of playOnce, playAndHold, loop, freeze, continuous, idle, segments)'
+    }]);
+});
+
+test('the segments type needs valid, ordered segments', () => {
+    assert.deepEqual(validateAnimation({ fileName: 'Build.json', animationType: 'segments' }, 'a'), [
+        { path: 'a.segments', message: 'is required for animationType "segments"' }
+    ]);
+    assert.deepEqual(validateAnimation({ fileName: 'Build.json', animationType: 'segments', segments: [] }, 'a'), [
+        { path: 'a.segments', message: 'must be a non-empty array of segments' }
+    ]);
+    assert.deepEqual(validateAnimation({
+        fileName: 'Build.json',
+        animationType: 'segments',
+        segments: [{ name: 'In', start: 0, behavior: 'play' }, { name: 'Wait', start: 0, behavior: 'hold' }]
+    }, 'a').map(error => error.path), ['a.segments[1].start']);
+    assert.deepEqual(validateAnimation({ fileName: 'Idle.json', segments: [{ name: 'In', start: 0, behavior: 'play' }] }, 'a'), [
+        { path: 'a.segments', message: 'only applies to animationType "segments"' }
+    ]);
+});
+
+test('loopFrames must be two whole frames in order', () => {
+    [[24], [71, 24], [24, 24], [-1, 10], [2.5, 10], '24-71'].forEach(loopFrames => {
+        assert.deepEqual(validateAnimation({ fileName: 'Loop.json', loopFrames }, 'a'), [
+            { path: 'a.loopFrames', message: 'must be [startFrame, endFrame] with startFrame < endFrame' }
+        ], JSON.stringify(loopFrames));
+    });
+});
+
+test('bad palette entries name the palette', () => {
+    const errors = validateManifest(manifestWith({
+        palettes: { Empty: {}, Typo: { '--purple': 'blue' }, Bad: 'red' }
+    }));
+    assert.deepEqual(errors, [
+        { path: 'sections[0].palettes.Empty', message: 'must map at least one source color to a target color' },
+        { path: 'sections[0].palettes.Typo', message: '"--purple": "blue" is not a #RGB/#RRGGBB color or --brand token pair' },
+        { path: 'sections[0].palettes.Bad', message: 'must map at least one source color to a target color' }
+    ]);
+});
+
+test('sequences must only refer to their own states and to .json files', () => {
+    const sequence = {
+        title: 'Loading flow',
+        initial: 'buildIn',
+        states: {
+            buildIn: { fileName: 'Build In.json', behavior: 'play', next: 'loading' },
+            loading: { fileName: 'Loading.json', behavior: 'loop', on: { finish: 'buildOut', start: 'buildIn' } },
+            spinner: { fileName: 'Spinner.gif', behavior: 'play' }
+        }
+    };
+    assert.deepEqual(validateSequence(sequence, 'sections[0].sequences[0]'), [
+        { path: 'sections[0].sequences[0].states.loading.on.finish', message: 'must name one of the states (buildIn, loading, spinner)' },
+        { path: 'sections[0].sequences[0].states.loading.on.start', message: '"start" is reserved for the sequencer\'s own button' },
+        { path: 'sections[0].sequences[0].states.spinner.fileName', message: 'must be a .json file name' }
+    ]);
+});
+
+test('sequence files are listed for the missing-file check in every theme', () => {
+    const manifest = {
+        themeFolders: { dark: 'White', light: 'Black' },
+        sections: [{ id: 'flow', title: 'Flow', sequences: [{ title: 'Flow', initial: 'a', states: { a: { fileName: 'Build In.json', behavior: 'play' } } }] }]
+    };
+    assert.deepEqual(validateManifest(manifest), []);
+    assert.deepEqual(listAssetPaths(manifest), ['Lotties/White/Build In.json', 'Lotties/Black/Build In.json']);
+});
+
+test('manifest-level problems use the "manifest" path', () => {
+    assert.deepEqual(validateManifest([]), [{ path: 'manifest', message: 'must be a JSON object' }]);
+    assert.deepEqual(validateManifest({ sections: {}, renderer: 'webgl', extra: 1 }).map(error => error.path),
+        ['manifest.extra', 'manifest.renderer', 'manifest.sections']);
+});
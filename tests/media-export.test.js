@@ -0,0 +1,221 @@
+/**
+ * @file Checks the export building blocks: the frame order of loop cards
+ * against the playback state machine, GIF encoding and the ZIP writer.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PlaybackStateMachine } = require('../shared/playback-state.js');
+const {
+    buildExportFrames,
+    getGifDelays,
+    buildGifPalette,
+    GifEncoder,
+    crc32,
+    createZip
+} = require('../shared/media-export.js');
+
+/**
+ * Hovers a loop card for `loopCount` loop passes, then leaves, and lists
+ * every frame the player renders (a goToAndPlay jump renders its target).
+ */
+function recordHoverPlayback(config, loopCount) {
+    const machine = new PlaybackStateMachine(config);
+    const rendered = [];
+    let frame = 0;
+    let isPaused = true;
+    let jumps = 0;
+
+    const run = (commands) => commands.forEach(command => {
+        if (command.type === 'goToAndPlay') {
+            frame = command.frame;
+            isPaused = false;
+            rendered.push(frame);
+            if (frame === config.loopStartFrame) jumps++;
+        } else if (command.type === 'goToAndStop' || command.type === 'pause') {
+            isPaused = true;
+        }
+    });
+
+    run(machine.dispatch({ type: 'load', frame }));
+    run(machine.dispatch({ type: 'hoverStart', frame }));
+
+    let isHovering = true;
+    while (!isPaused) {
+        if (isHovering && jumps === loopCount - 1 && frame >= config.loopStartFrame) {
+            run(machine.dispatch({ type: 'hoverEnd', frame }));
+            isHovering = false;
+        }
+
+        frame++;
+        if (frame >= config.totalFrames) {
+            run(machine.dispatch({ type: 'complete', frame }));
+            break;
+        }
+        rendered.push(frame);
+        run(machine.dispatch({ type: 'enterFrame', frame }));
+    }
+    return rendered;
+}
+
+/**
+ * Decodes the first image of a GIF made by GifEncoder back to palette
+ * indices (global color table, 8-bit LZW).
+ */
+function decodeFirstGifImage(bytes) {
+    let offset = 13 + 256 * 3;
+    while (bytes[offset] === 0x21) {
+        offset += 2;
+        while (bytes[offset] !== 0) offset += bytes[offset] + 1;
+        offset++;
+    }
+    assert.equal(bytes[offset], 0x2C, 'image descriptor');
+    const width = bytes[offset + 5] | (bytes[offset + 6] << 8);
+    const height = bytes[offset + 7] | (bytes[offset + 8] << 8);
+    const minCodeSize = bytes[offset + 10];
+    offset += 11;
+
+    const data = [];
+    while (bytes[offset] !== 0) {
+        data.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+        offset += bytes[offset] + 1;
+    }
+
+    const clearCode = 1 << minCodeSize;
+    const output = [];
+    let table;
+    let codeSize;
+    let previous = null;
+    let bitPosition = 0;
+
+    const reset = () => {
+        table = Array.from({ length: clearCode + 2 }, (_, index) => [index]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    while (true) {
+        let code = 0;
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit;
+        }
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === clearCode + 1) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+            if (previous) table.push([...previous, entry[0]]);
+        } else {
+            entry = [...previous, previous[0]];
+            table.push(entry);
+        }
+        output.push(...entry);
+        previous = entry;
+        if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    }
+
+    return { width, height, indices: output };
+}
+
+test('loop export frames match what hovering plays: intro, N passes, outro', () => {
+    const config = { animationType: 'loop', totalFrames: 40, loopStartFrame: 10, loopEndFrame: 20 };
+
+    [1, 2, 3].forEach(loopCount => {
+        assert.deepEqual(
+            buildExportFrames({ ...config, loopCount }),
+            recordHoverPlayback(config, loopCount),
+            `${loopCount} loop pass(es)`
+        );
+    });
+
+    const frames = buildExportFrames({ ...config, loopCount: 2 });
+    assert.equal(frames.length, 40 + 11);
+    assert.deepEqual(frames.slice(19, 23), [19, 20, 10, 11]);
+});
+
+test('export frames without a loop segment play straight through, cut to the range', () => {
+    assert.deepEqual(buildExportFrames({ totalFrames: 5 }), [0, 1, 2, 3, 4]);
+    assert.deepEqual(buildExportFrames({ totalFrames: 10, rangeStart: 3, rangeEnd: 5 }), [3, 4, 5]);
+    assert.deepEqual(
+        buildExportFrames({ totalFrames: 10, loopStartFrame: 2, loopEndFrame: 4, loopCount: 2, rangeStart: 3, rangeEnd: 6 }),
+        [3, 4, 3, 4, 5, 6]
+    );
+});
+
+test('GIF delays spread the rounding so the duration stays exact', () => {
+    const delays = getGifDelays(30, 30);
+    assert.ok(delays.every(delay => delay === 3 || delay === 4));
+    assert.equal(delays.reduce((sum, delay) => sum + delay, 0), 100);
+    assert.deepEqual(getGifDelays(4, 25), [4, 4, 4, 4]);
+});
+
+test('GIF round-trips a flat-colored frame exactly, including LZW table resets', () => {
+    const width = 120;
+    const height = 90;
+    const colors = Array.from({ length: 200 }, (_, index) => [(index * 8) & 0xF8, (index * 40) & 0xF8, (index * 13) & 0xF8]);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+    let seed = 7;
+    for (let index = 0; index < width * height; index++) {
+        seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+        pixels.set([...colors[seed % colors.length], 255], index * 4);
+    }
+
+    const palette = buildGifPalette([pixels]);
+    const encoder = new GifEncoder(width, height, palette);
+    encoder.addFrame(pixels, 4);
+    encoder.addFrame(pixels, 4);
+    const bytes = encoder.finish();
+
+    assert.equal(Buffer.from(bytes.subarray(0, 6)).toString('ascii'), 'GIF89a');
+    assert.equal(bytes[bytes.length - 1], 0x3B);
+
+    const image = decodeFirstGifImage(bytes);
+    assert.equal(image.width, width);
+    assert.equal(image.height, height);
+    assert.equal(image.indices.length, width * height);
+    image.indices.forEach((paletteIndex, index) => {
+        assert.deepEqual(palette[paletteIndex], [...pixels.subarray(index * 4, index * 4 + 3)]);
+    });
+});
+
+test('ZIP entries carry their names, sizes and CRC-32', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+
+    const files = [
+        { name: 'frame_0001.png', data: new Uint8Array([1, 2, 3]) },
+        { name: 'frame_0002.png', data: new Uint8Array([4, 5]) }
+    ];
+    const zip = createZip(files, new Date(2024, 0, 2, 3, 4, 6));
+    const view = new DataView(zip.buffer);
+
+    const end = zip.length - 22;
+    assert.equal(view.getUint32(end, true), 0x06054B50);
+    assert.equal(view.getUint16(end + 10, true), 2);
+
+    let offset = view.getUint32(end + 16, true);
+    files.forEach(file => {
+        assert.equal(view.getUint32(offset, true), 0x02014B50);
+        assert.equal(view.getUint32(offset + 16, true), crc32(file.data));
+        assert.equal(view.getUint32(offset + 24, true), file.data.length);
+
+        const nameLength = view.getUint16(offset + 28, true);
+        assert.equal(Buffer.from(zip.subarray(offset + 46, offset + 46 + nameLength)).toString(), file.name);
+
+        const localOffset = view.getUint32(offset + 42, true);
+        assert.equal(view.getUint32(localOffset, true), 0x04034B50);
+        const dataStart = localOffset + 30 + nameLength;
+        assert.deepEqual([...zip.subarray(dataStart, dataStart + file.data.length)], [...file.data]);
+
+        offset += 46 + nameLength;
+    });
+});
@@ -0,0 +1,548 @@
+/**
+ * @file Replays hover / frame event sequences against the playback state
+ * machine and checks the frames it commands.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PlaybackStateMachine } = require('../shared/playback-state.js');
+
+/**
+ * Minimal stand-in for a lottie-web player: applies the machine's
+ * commands and advances `speed` frames per tick in the configured
+ * direction, emitting enterFrame and complete like lottie does for a
+ * non-looping animation.
+ */
+class FakePlayer {
+    constructor(config, { speed = 1 } = {}) {
+        this.machine = new PlaybackStateMachine(config);
+        this.totalFrames = config.totalFrames;
+        this.step = speed * (config.direction === -1 ? -1 : 1);
+        this.frame = 0;
+        this.isPaused = config.animationType !== 'continuous';
+        this.commands = [];
+        this.send('load');
+    }
+
+    send(type, frame = this.frame) {
+        const commands = this.machine.dispatch({ type, frame });
+        commands.forEach(command => this.apply(command));
+        this.commands.push(...commands);
+        return commands;
+    }
+
+    apply(command) {
+        switch (command.type) {
+            case 'goToAndPlay':
+                this.frame = command.frame;
+                this.isPaused = false;
+                break;
+            case 'goToAndStop':
+                this.frame = command.frame;
+                this.isPaused = true;
+                break;
+            case 'play':
+                this.isPaused = false;
+                break;
+            case 'pause':
+                this.isPaused = true;
+                break;
+        }
+    }
+
+    /**
+     * Plays up to `count` frames, stopping early when paused.
+     */
+    tick(count = 1) {
+        for (let i = 0; i < count && !this.isPaused; i++) {
+            this.frame += this.step;
+            if (this.frame >= this.totalFrames || this.frame <= 0) {
+                this.frame = this.step > 0 ? this.totalFrames : 0;
+                this.isPaused = true;
+                this.send('complete');
+            } else {
+                this.send('enterFrame');
+            }
+        }
+    }
+
+    /** Plays until the frame is reached (or playback stops). */
+    tickTo(frame) {
+        for (let guard = 0; !this.isPaused && this.frame !== frame; guard++) {
+            if (guard > 1000) throw new Error(`frame ${frame} never reached`);
+            this.tick();
+        }
+    }
+}
+
+const loopConfig = { animationType: 'loop', totalFrames: 97, loopStartFrame: 24, loopEndFrame: 71 };
+
+test('playOnce plays from 0 on hover and restarts while still hovered', () => {
+    const player = new FakePlayer({ animationType: 'playOnce', totalFrames: 44 });
+
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'goToAndPlay', frame: 0 }]);
+    player.tick(43);
+    assert.deepEqual(player.send('enterFrame'), []);
+    player.tick(1);
+
+    // complete while hovering starts over
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 0 });
+    assert.equal(player.isPaused, false);
+});
+
+test('playOnce finishes after hover out and parks on frame 0', () => {
+    const player = new FakePlayer({ animationType: 'playOnce', totalFrames: 44 });
+
+    player.send('hoverStart');
+    player.tick(10);
+    assert.deepEqual(player.send('hoverEnd'), []);
+    assert.equal(player.machine.isHighlighted, false);
+
+    player.tick(100);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 0 });
+    assert.equal(player.machine.state.isPlaying, false);
+});
+
+test('playAndHold holds the last frame until hover out', () => {
+    const player = new FakePlayer({ animationType: 'playAndHold', totalFrames: 54 });
+
+    player.send('hoverStart');
+    player.tick(100);
+    assert.deepEqual(player.commands.at(-1), { type: 'pause' });
+    assert.equal(player.frame, 54);
+    assert.equal(player.machine.state.isHolding, true);
+    assert.equal(player.machine.isHighlighted, false);
+
+    assert.deepEqual(player.send('hoverEnd'), [{ type: 'goToAndStop', frame: 0 }]);
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'goToAndPlay', frame: 0 }]);
+});
+
+test('playAndHold resets immediately when left mid-play', () => {
+    const player = new FakePlayer({ animationType: 'playAndHold', totalFrames: 54 });
+
+    player.send('hoverStart');
+    player.tick(20);
+    assert.deepEqual(player.send('hoverEnd'), [{ type: 'goToAndStop', frame: 0 }]);
+    player.tick(5);
+    assert.equal(player.frame, 0);
+});
+
+test('loop repeats the loop segment while hovered', () => {
+    const player = new FakePlayer(loopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(70);
+    player.tick();
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 24 });
+    assert.equal(player.frame, 24);
+
+    player.tick(200);
+    assert.ok(player.frame >= 24 && player.frame <= 71, `frame ${player.frame} stays in the loop`);
+});
+
+test('loop: leave mid-intro, then re-enter during the outro (before loop end) resumes looping', () => {
+    const player = new FakePlayer(loopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(10);
+    player.send('hoverEnd');
+
+    // Keeps playing into the loop segment, which locks the outro
+    player.tickTo(30);
+    assert.equal(player.machine.state.isOutroLocked, true);
+
+    player.send('hoverStart');
+    assert.equal(player.machine.state.isOutroLocked, false);
+
+    player.tickTo(70);
+    player.tick();
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 24 });
+});
+
+test('loop: re-enter after the loop end lets the outro finish, then restarts', () => {
+    const player = new FakePlayer(loopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(40);
+    player.send('hoverEnd');
+    player.tickTo(80);
+
+    assert.deepEqual(player.send('hoverStart'), []);
+    assert.equal(player.machine.state.isOutroLocked, true);
+
+    player.tickTo(96);
+    player.tick();
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 0 });
+    assert.equal(player.machine.state.isOutroLocked, false);
+});
+
+test('loop without a loop segment plays straight through', () => {
+    const player = new FakePlayer({ animationType: 'loop', totalFrames: 40 });
+
+    player.send('hoverStart');
+    player.tick(39);
+    assert.equal(player.frame, 39);
+    assert.equal(player.commands.filter(command => command.type === 'goToAndPlay').length, 1);
+});
+
+test('freeze pauses on the freeze frame and finishes on hover out', () => {
+    const player = new FakePlayer({ animationType: 'freeze', totalFrames: 46, freezeFrame: 29 });
+
+    player.send('hoverStart');
+    player.tick(100);
+    assert.equal(player.frame, 29);
+    assert.equal(player.machine.state.isFrozen, true);
+    assert.equal(player.machine.isTimelineActive, true);
+
+    assert.deepEqual(player.send('hoverEnd'), [{ type: 'play' }]);
+    player.tick(100);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 0 });
+    assert.equal(player.machine.state.isFrozen, false);
+});
+
+test('freeze: leaving before the freeze frame plays out without freezing', () => {
+    const player = new FakePlayer({ animationType: 'freeze', totalFrames: 46, freezeFrame: 29 });
+
+    player.send('hoverStart');
+    player.tickTo(10);
+    player.send('hoverEnd');
+    player.tick(100);
+
+    assert.equal(player.commands.some(command => command.type === 'pause'), false);
+    assert.equal(player.frame, 0);
+});
+
+test('freeze: hovering again after the freeze frame plays out without jumping back', () => {
+    const player = new FakePlayer({ animationType: 'freeze', totalFrames: 46, freezeFrame: 29 });
+
+    player.send('hoverStart');
+    player.tick(100);
+    player.send('hoverEnd');
+    player.tickTo(35);
+    assert.deepEqual(player.send('hoverStart'), []);
+
+    player.tick();
+    assert.equal(player.frame, 36);
+    assert.equal(player.machine.state.isFrozen, false);
+
+    // Still hovered at the end: the replay freezes again
+    player.tick(100);
+    assert.equal(player.frame, 29);
+    assert.equal(player.machine.state.isFrozen, true);
+});
+
+test('freeze on the first frame still freezes', () => {
+    const player = new FakePlayer({ animationType: 'freeze', totalFrames: 46, freezeFrame: 1 });
+
+    player.send('hoverStart');
+    player.tick(100);
+    assert.equal(player.frame, 1);
+    assert.equal(player.machine.state.isFrozen, true);
+});
+
+test('continuous ignores hover and resumes after scrubbing', () => {
+    const player = new FakePlayer({ animationType: 'continuous', totalFrames: 41 });
+
+    assert.deepEqual(player.send('hoverStart'), []);
+    assert.deepEqual(player.send('hoverEnd'), []);
+    assert.equal(player.machine.isHighlighted, true);
+
+    assert.deepEqual(player.send('scrub', 12), [{ type: 'goToAndStop', frame: 12 }]);
+    assert.equal(player.machine.isHighlighted, false);
+    assert.deepEqual(player.send('resume'), [{ type: 'play' }]);
+    assert.deepEqual(player.send('resume'), []);
+});
+
+test('continuous with reduced motion rests and only plays while hovered', () => {
+    const player = new FakePlayer({ animationType: 'continuous', totalFrames: 41, reducedMotion: true });
+
+    assert.deepEqual(player.commands, [{ type: 'goToAndStop', frame: 0 }]);
+    assert.equal(player.machine.isHighlighted, false);
+
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'play' }]);
+    player.tick(10);
+    assert.equal(player.frame, 10);
+
+    assert.deepEqual(player.send('hoverEnd'), [{ type: 'pause' }]);
+    player.send('scrub', 20);
+    assert.deepEqual(player.send('resume'), []);
+    assert.equal(player.isPaused, true);
+});
+
+test('scrubbing clears the loop state and the next hover starts from 0', () => {
+    const player = new FakePlayer(loopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(50);
+    player.send('hoverEnd');
+    player.tickTo(60);
+    assert.equal(player.machine.state.isOutroLocked, true);
+
+    player.send('scrub', 37);
+    assert.equal(player.frame, 37);
+    assert.equal(player.machine.state.isOutroLocked, false);
+    assert.equal(player.machine.state.isScrubbed, true);
+    assert.deepEqual(player.send('resume'), []);
+
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'goToAndPlay', frame: 0 }]);
+    assert.equal(player.machine.state.isScrubbed, false);
+});
+
+test('enterFrame echoes while stopped are ignored', () => {
+    const player = new FakePlayer(loopConfig);
+
+    assert.deepEqual(player.send('enterFrame', 80), []);
+    assert.equal(player.machine.state.isOutroLocked, false);
+});
+
+test('loop stays in its segment and freeze parks exactly on its frame at fast speeds', () => {
+    const loop = new FakePlayer(loopConfig, { speed: 4 });
+    loop.send('hoverStart');
+    loop.tick(300);
+    assert.ok(loop.frame >= 24 && loop.frame < 71 + 4, `frame ${loop.frame} stays in the loop`);
+    assert.ok(loop.commands.some(command => command.type === 'goToAndPlay' && command.frame === 24));
+
+    const freeze = new FakePlayer({ animationType: 'freeze', totalFrames: 46, freezeFrame: 29 }, { speed: 3 });
+    freeze.send('hoverStart');
+    freeze.tick(100);
+    assert.equal(freeze.frame, 29);
+    assert.equal(freeze.machine.state.isFrozen, true);
+});
+
+test('slow motion reaches the loop end on fractional frames', () => {
+    const player = new FakePlayer(loopConfig, { speed: 0.1 });
+
+    player.send('hoverStart');
+    player.tick(720);
+    assert.ok(player.commands.some(command => command.type === 'goToAndPlay' && command.frame === 24));
+    assert.ok(player.frame >= 24 && player.frame < 71, `frame ${player.frame} stays in the loop`);
+});
+
+const reverseLoopConfig = { ...loopConfig, direction: -1 };
+
+test('reverse: rests on the last frame and plays down to 0', () => {
+    const player = new FakePlayer({ animationType: 'playOnce', totalFrames: 44, direction: -1 });
+    assert.deepEqual(player.commands, [{ type: 'goToAndStop', frame: 43 }]);
+
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'goToAndPlay', frame: 43 }]);
+    player.send('hoverEnd');
+    player.tick(100);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 43 });
+});
+
+test('reverse: loop enters at the loop end and jumps back from the loop start', () => {
+    const player = new FakePlayer(reverseLoopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(25);
+    player.tick();
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 71 });
+
+    player.tick(200);
+    assert.ok(player.frame >= 24 && player.frame <= 71, `frame ${player.frame} stays in the loop`);
+
+    // Leaving locks the outro, which then runs down to 0
+    player.send('hoverEnd');
+    player.tick(200);
+    assert.equal(player.machine.state.isPlaying, false);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 96 });
+});
+
+test('reverse: re-entering before the loop start resumes looping', () => {
+    const player = new FakePlayer(reverseLoopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(90);
+    player.send('hoverEnd');
+    player.tickTo(60);
+    assert.equal(player.machine.state.isOutroLocked, true);
+
+    player.send('hoverStart');
+    assert.equal(player.machine.state.isOutroLocked, false);
+
+    player.tickTo(25);
+    player.tick();
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 71 });
+});
+
+test('reverse: freeze stops on the freeze frame coming from the end, playAndHold holds frame 0', () => {
+    const freeze = new FakePlayer({ animationType: 'freeze', totalFrames: 46, freezeFrame: 29, direction: -1 });
+    freeze.send('hoverStart');
+    freeze.tick(100);
+    assert.equal(freeze.frame, 29);
+    assert.equal(freeze.machine.state.isFrozen, true);
+
+    const hold = new FakePlayer({ animationType: 'playAndHold', totalFrames: 54, direction: -1 });
+    hold.send('hoverStart');
+    hold.tick(100);
+    assert.equal(hold.frame, 0);
+    assert.equal(hold.machine.state.isHolding, true);
+    assert.equal(hold.machine.endFrame, 0);
+});
+
+test('snapshot/restore keeps a hovered loop looping on the same frame after a reload', () => {
+    const player = new FakePlayer(loopConfig);
+
+    player.send('hoverStart');
+    player.tickTo(50);
+    const snapshot = player.machine.snapshot(player.frame);
+
+    // Reload (e.g. theme switch): fresh machine, then restore
+    const reloaded = new FakePlayer(loopConfig);
+    const commands = reloaded.machine.restore(snapshot);
+    commands.forEach(command => reloaded.apply(command));
+
+    assert.deepEqual(commands, [{ type: 'goToAndPlay', frame: 50 }]);
+    assert.equal(reloaded.machine.state.isHovering, true);
+    reloaded.tickTo(70);
+    reloaded.tick();
+    assert.equal(reloaded.frame, loopConfig.loopStartFrame);
+});
+
+test('restore parks a frozen card on its frame and clamps the held last frame', () => {
+    const freeze = new FakePlayer({ animationType: 'freeze', totalFrames: 60, freezeFrame: 29 });
+    freeze.send('hoverStart');
+    freeze.tickTo(40);
+    const restored = new PlaybackStateMachine({ animationType: 'freeze', totalFrames: 60, freezeFrame: 29 });
+    assert.deepEqual(restored.restore(freeze.machine.snapshot(freeze.frame)), [{ type: 'goToAndStop', frame: 29 }]);
+    assert.equal(restored.state.isFrozen, true);
+
+    const hold = new PlaybackStateMachine({ animationType: 'playAndHold', totalFrames: 30 });
+    assert.deepEqual(hold.restore({ frame: 30, state: { ...hold.state, isHolding: true } }), [{ type: 'goToAndStop', frame: 29 }]);
+});
+
+test('stop rests a looping card and pauses a continuous loader until resumed', () => {
+    const player = new FakePlayer(loopConfig);
+    player.send('hoverStart');
+    player.tickTo(40);
+
+    assert.deepEqual(player.send('stop'), [{ type: 'goToAndStop', frame: 0 }]);
+    assert.equal(player.machine.state.isHovering, false);
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'goToAndPlay', frame: 0 }]);
+
+    const loader = new FakePlayer({ animationType: 'continuous', totalFrames: 41 });
+    loader.tick(10);
+    assert.deepEqual(loader.send('stop'), [{ type: 'goToAndStop', frame: 0 }]);
+    assert.equal(loader.machine.isHighlighted, false);
+    assert.deepEqual(loader.send('resume'), [{ type: 'play' }]);
+});
+
+test('idle plays on load, rests on frame 0 and plays again on wake', () => {
+    const player = new FakePlayer({ animationType: 'idle', totalFrames: 30 });
+
+    assert.deepEqual(player.commands, [{ type: 'goToAndPlay', frame: 0 }]);
+    assert.equal(player.machine.isHighlighted, true);
+    player.tick(30);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 0 });
+    assert.equal(player.machine.state.isResting, true);
+
+    assert.deepEqual(player.send('wake'), [{ type: 'goToAndPlay', frame: 0 }]);
+    assert.equal(player.machine.state.isResting, false);
+    assert.deepEqual(player.send('wake'), []);
+});
+
+test('idle: hover interrupts the rest, and the cycle carries on after hover out', () => {
+    const player = new FakePlayer({ animationType: 'idle', totalFrames: 30 });
+    player.tick(30);
+
+    assert.deepEqual(player.send('hoverStart'), [{ type: 'goToAndPlay', frame: 0 }]);
+    assert.equal(player.machine.state.isResting, false);
+    player.tick(10);
+    player.send('hoverEnd');
+    player.tick(30);
+    assert.equal(player.machine.state.isResting, true);
+
+    // Scrubbing parks it; letting go starts a new rest
+    player.send('scrub', 12);
+    assert.equal(player.machine.state.isResting, false);
+    assert.deepEqual(player.send('resume'), []);
+    assert.equal(player.machine.state.isResting, true);
+});
+
+test('idle with reduced motion waits for a hover and never rests', () => {
+    const player = new FakePlayer({ animationType: 'idle', totalFrames: 30, reducedMotion: true });
+
+    assert.deepEqual(player.commands, [{ type: 'goToAndStop', frame: 0 }]);
+    player.send('hoverStart');
+    player.send('hoverEnd');
+    player.tick(30);
+    assert.equal(player.machine.state.isResting, false);
+    assert.equal(player.isPaused, true);
+});
+
+const segmentsConfig = {
+    animationType: 'segments',
+    totalFrames: 100,
+    segments: [
+        { name: 'Build In', start: 0, behavior: 'play' },
+        { name: 'Loading', start: 20, behavior: 'loop' },
+        { name: 'Success', start: 40, behavior: 'hold' },
+        { name: 'Build Out', start: 60, behavior: 'play' }
+    ]
+};
+
+test('segments: hovered, loop segments repeat and hold segments park on their end', () => {
+    const player = new FakePlayer(segmentsConfig);
+    assert.deepEqual(player.machine.segments.map(segment => segment.end), [20, 40, 60, 100]);
+
+    player.send('hoverStart');
+    player.tickTo(39);
+    player.tick(1);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndPlay', frame: 20 });
+
+    // Let go: the loop plays out into the hold, which plays through un-hovered
+    player.send('hoverEnd');
+    player.tick(50);
+    assert.equal(player.frame, 70);
+    assert.equal(player.machine.state.isFrozen, false);
+});
+
+test('segments: a hold parks until hover out, then the next segments play', () => {
+    const player = new FakePlayer({
+        ...segmentsConfig,
+        segments: segmentsConfig.segments.map(segment => ({ ...segment, behavior: segment.behavior === 'loop' ? 'play' : segment.behavior }))
+    });
+
+    player.send('hoverStart');
+    player.tick(100);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 60 });
+    assert.equal(player.machine.state.isFrozen, true);
+
+    assert.deepEqual(player.send('hoverEnd'), [{ type: 'play' }]);
+    player.tick(100);
+    assert.deepEqual(player.commands.at(-1), { type: 'goToAndStop', frame: 0 });
+    assert.equal(player.machine.state.segmentIndex, 0);
+});
+
+test('segments: fast playback cannot skip a short loop segment; reverse holds on starts and loops from the end', () => {
+    const fast = new FakePlayer({ ...segmentsConfig, segments: [
+        { name: 'In', start: 0, behavior: 'play' },
+        { name: 'Blink', start: 10, behavior: 'loop' },
+        { name: 'Out', start: 12, behavior: 'play' }
+    ] }, { speed: 5 });
+    fast.send('hoverStart');
+    fast.tick(3);
+    assert.deepEqual(fast.commands.at(-1), { type: 'goToAndPlay', frame: 10 });
+
+    const reverse = new FakePlayer({ ...segmentsConfig, direction: -1 });
+    reverse.send('hoverStart');
+    reverse.tick(100);
+    assert.deepEqual(reverse.commands.at(-1), { type: 'goToAndStop', frame: 40 });
+
+    reverse.send('hoverEnd');
+    reverse.tick(1);
+    reverse.send('hoverStart');
+    reverse.tickTo(21);
+    reverse.tick(1);
+    assert.deepEqual(reverse.commands.at(-1), { type: 'goToAndPlay', frame: 40 });
+});
+
+test('unknown events throw', () => {
+    const machine = new PlaybackStateMachine({ animationType: 'playOnce', totalFrames: 10 });
+    assert.throws(() => machine.dispatch({ type: 'explode' }), /Unknown playback event/);
+});
@@ -0,0 +1,41 @@
+/**
+ * @file Checks palette recoloring of solid layers, fills and gradients.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { recolorAnimation } = require('../shared/recolor.js');
+
+test('recolorAnimation rewrites fills and solids and leaves the source untouched', () => {
+    const source = {
+        layers: [
+            { ty: 1, sc: '#ffffff' },
+            { ty: 4, shapes: [{ ty: 'fl', c: { a: 0, k: [1, 1, 1, 1] } }] }
+        ]
+    };
+    const { animationData, replacedCount } = recolorAnimation(source, { '#FFF': '--purple' });
+
+    assert.equal(replacedCount, 2);
+    assert.equal(animationData.layers[0].sc, '#5533ff');
+    assert.deepEqual(animationData.layers[1].shapes[0].c.k.map(channel => Math.round(channel * 255)), [85, 51, 255, 255]);
+    assert.equal(source.layers[0].sc, '#ffffff');
+});
+
+test('recolorAnimation skips solid colors it cannot parse', () => {
+    const source = {
+        layers: [
+            { ty: 1, sc: 'white' },
+            { ty: 1, sc: '#ffffffff' },
+            { ty: 1, sc: '#fff' }
+        ]
+    };
+    const { animationData, replacedCount } = recolorAnimation(source, { '#FFFFFF': '#41B1FF' });
+
+    assert.equal(replacedCount, 1);
+    assert.deepEqual(animationData.layers.map(layer => layer.sc), ['white', '#ffffffff', '#41b1ff']);
+});
@@ -0,0 +1,51 @@
+/**
+ * @file Checks the frame choice, pixel comparison and recorded settings
+ * check of the visual regression tool (the rendering itself needs jsdom
+ * and a canvas).
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { pickFrames, diffImages, compareBackend } = require('../tools/render-regression.js');
+
+test('pickFrames takes start, loop / freeze points, segment starts, middle and end', () => {
+    const animationJson = { ip: 0, op: 90, markers: [] };
+
+    assert.deepEqual(pickFrames(animationJson, undefined, 'Build In.json'), [0, 45, 89]);
+    assert.deepEqual(pickFrames(animationJson, undefined, 'Loop-24-71 Shapes Suck In.json'), [0, 24, 45, 71, 89]);
+    assert.deepEqual(pickFrames(animationJson, { freezeFrame: 29 }, 'Logo.json'), [0, 29, 45, 89]);
+    assert.deepEqual(
+        pickFrames(animationJson, { segments: [{ start: 0 }, { start: 30 }, { start: 120 }] }, 'Flow.json'),
+        [0, 30, 45, 89]
+    );
+});
+
+test('diffImages counts pixels beyond the tolerance and marks them in red', () => {
+    const image = (...pixels) => ({ data: Uint8ClampedArray.from(pixels.flat()) });
+    const expected = image([0, 0, 0, 255], [100, 100, 100, 255], [255, 255, 255, 255]);
+    const actual = image([10, 10, 10, 255], [200, 100, 100, 255], [255, 255, 255, 0]);
+
+    const { changedPixels, diff } = diffImages(expected, actual);
+
+    assert.equal(changedPixels, 2);
+    assert.deepEqual([...diff.subarray(4, 8)], [255, 0, 64, 255]);
+    assert.deepEqual([...diff.subarray(8, 12)], [255, 0, 64, 255]);
+    assert.equal(diff[3], 255);
+    assert.deepEqual(diffImages(expected, expected).changedPixels, 0);
+});
+
+test('compareBackend fails on another width and warns about another canvas', () => {
+    const recorded = { canvas: '@napi-rs/canvas 1.0.10', width: 200 };
+
+    assert.deepEqual(compareBackend(recorded, { canvas: '@napi-rs/canvas 1.0.10', width: 200 }), { error: null, warning: null });
+    assert.deepEqual(compareBackend(null, { canvas: 'canvas 2.11.2', width: 300 }), { error: null, warning: null });
+
+    const { error, warning } = compareBackend(recorded, { canvas: 'canvas 2.11.2', width: 300 });
+    assert.match(error, /recorded at --width 200, this check renders at 300/);
+    assert.match(warning, /recorded with @napi-rs\/canvas 1\.0\.10, this check runs canvas 2\.11\.2/);
+});
@@ -0,0 +1,80 @@
+/**
+ * @file Fires transitions at the sequence state machine and checks that
+ * every hand-off waits for the end of the current clip.
+ *
+ * Run with: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SequenceStateMachine } = require('../shared/sequence-state.js');
+
+const logoFlow = {
+    initial: 'buildIn',
+    states: {
+        buildIn: { fileName: 'Build In.json', behavior: 'play', next: 'loading' },
+        loading: { fileName: 'Loading - Build LOOP Medium.json', behavior: 'loop', on: { finish: 'buildOut', error: 'explosion' } },
+        buildOut: { fileName: 'Build Out.json', behavior: 'play' },
+        explosion: { fileName: 'Shapes Explosion.json', behavior: 'play', on: { retry: 'buildIn' } }
+    }
+};
+
+const send = (machine, type, name) => machine.dispatch({ type, name });
+
+test('start plays the initial state and chains into the loop', () => {
+    const machine = new SequenceStateMachine(logoFlow);
+    assert.deepEqual(machine.availableEvents, ['start']);
+    assert.deepEqual(machine.eventNames, ['finish', 'error', 'retry']);
+
+    // Graph events do nothing before start
+    assert.deepEqual(send(machine, 'fire', 'finish'), []);
+
+    assert.deepEqual(send(machine, 'start'), [{ type: 'play', state: 'buildIn' }]);
+    assert.deepEqual(send(machine, 'start'), []);
+    assert.deepEqual(send(machine, 'complete'), [{ type: 'play', state: 'loading' }]);
+
+    // No transition fired: the loop repeats
+    assert.deepEqual(send(machine, 'complete'), [{ type: 'play', state: 'loading' }]);
+    assert.deepEqual(machine.availableEvents, ['finish', 'error', 'reset']);
+});
+
+test('a fired transition waits for the end of the loop cycle', () => {
+    const machine = new SequenceStateMachine(logoFlow);
+    send(machine, 'start');
+    send(machine, 'complete');
+
+    assert.deepEqual(send(machine, 'fire', 'finish'), []);
+    assert.equal(machine.state.current, 'loading');
+    assert.equal(machine.state.pending, 'buildOut');
+
+    // The last event fired before the cycle ends wins
+    send(machine, 'fire', 'error');
+    assert.equal(machine.state.pending, 'explosion');
+    assert.deepEqual(send(machine, 'fire', 'retry'), []);
+    assert.equal(machine.state.pending, 'explosion');
+
+    assert.deepEqual(send(machine, 'complete'), [{ type: 'play', state: 'explosion' }]);
+    assert.equal(machine.state.pending, null);
+});
+
+test('a play state without next holds until one of its transitions', () => {
+    const machine = new SequenceStateMachine(logoFlow);
+    send(machine, 'start');
+    send(machine, 'complete');
+    send(machine, 'fire', 'error');
+    send(machine, 'complete');
+
+    assert.deepEqual(send(machine, 'complete'), [{ type: 'hold' }]);
+    assert.equal(machine.state.isHolding, true);
+    assert.deepEqual(send(machine, 'complete'), []);
+
+    // Held clips hand off right away
+    assert.deepEqual(send(machine, 'fire', 'retry'), [{ type: 'play', state: 'buildIn' }]);
+
+    assert.deepEqual(send(machine, 'reset'), [{ type: 'rest', state: 'buildIn' }]);
+    assert.equal(machine.state.current, null);
+    assert.throws(() => send(machine, 'jump'), /Unknown sequence event "jump"/);
+});
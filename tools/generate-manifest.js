@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/**
+ * @file Scans a project's Lotties folder and writes its manifest.json.
+ *
+ * Usage:
+ *     node tools/generate-manifest.js <projectDir> [--dry-run]
+ *
+ * e.g. `node tools/generate-manifest.js Logo/V2`
+ *
+ * For every exported JSON it reads fr, ip, op, w, h and markers, and infers
+ * the playback type from named markers or from the "Loop-24-71" /
+ * "Freeze-29" naming conventions. Entries already in the manifest keep their
+ * hand-written settings (display names, feedback, sections); new exports
+ * are appended to a "New Exports" section and entries whose file is gone
+ * are dropped. Theme folder pairs (White/Black) where one side is missing
+ * are reported.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { readMarkerPoints, readFileNamePoints } = require('../shared/frame-points.js');
+const { validateManifest } = require('../shared/manifest.js');
+
+const ASSET_ROOT = 'Lotties';
+const DEFAULT_THEME_FOLDERS = { dark: 'White', light: 'Black' };
+const NEW_SECTION_ID = 'new-exports';
+
+/**
+ * Reads the metadata the cards rely on from a Lottie file.
+ *
+ * @param {string} filePath
+ * @returns {{fr: number, ip: number, op: number, w: number, h: number, markers: Array<object>}}
+ */
+function readLottieInfo(filePath) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        fr: json.fr,
+        ip: json.ip,
+        op: json.op,
+        w: json.w,
+        h: json.h,
+        markers: json.markers || [],
+        json
+    };
+}
+
+/**
+ * Lists the .json files of a folder, sorted by name.
+ *
+ * @param {string} folder
+ * @returns {Array<string>}
+ */
+function listJsonFiles(folder) {
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder)
+        .filter(name => name.toLowerCase().endsWith('.json'))
+        .sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Detects theme folders: the existing manifest wins, then White/Black
+ * sub folders, otherwise the project is flat (null).
+ *
+ * @param {string} lottiesDir
+ * @param {object|null} existing - The current manifest, if any.
+ * @returns {{dark: string, light: string}|null}
+ */
+function detectThemeFolders(lottiesDir, existing) {
+    if (existing && 'themeFolders' in existing) {
+        return existing.themeFolders;
+    }
+    const hasThemeFolders = Object.values(DEFAULT_THEME_FOLDERS)
+        .every(folder => fs.existsSync(path.join(lottiesDir, folder)));
+    return hasThemeFolders ? DEFAULT_THEME_FOLDERS : null;
+}
+
+/**
+ * Infers the animation entry for a new export.
+ *
+ * @param {string} fileName
+ * @param {object} info - From readLottieInfo().
+ * @returns {object} A manifest animation entry.
+ */
+function inferAnimationEntry(fileName, info) {
+    const markerPoints = readMarkerPoints(info.json);
+    const namePoints = readFileNamePoints(fileName);
+    const entry = { fileName };
+
+    if (typeof markerPoints.loopStart === 'number' && typeof markerPoints.loopEnd === 'number') {
+        // Markers are read at runtime, only the type needs recording.
+        entry.animationType = 'loop';
+    } else if (typeof markerPoints.freeze === 'number') {
+        entry.animationType = 'freeze';
+    } else if (typeof namePoints.loopStart === 'number') {
+        entry.animationType = 'loop';
+        entry.loopFrames = [namePoints.loopStart, namePoints.loopEnd];
+    } else if (typeof namePoints.freeze === 'number') {
+        entry.animationType = 'freeze';
+        entry.freezeFrame = namePoints.freeze;
+    } else {
+        entry.animationType = 'playOnce';
+    }
+
+    return entry;
+}
+
+/**
+ * Compares the file lists of the theme folders.
+ *
+ * @param {object} filesByFolder - Folder name -> file names.
+ * @returns {Array<string>} Human readable problems.
+ */
+function findUnpairedFiles(filesByFolder) {
+    const problems = [];
+    const folders = Object.keys(filesByFolder);
+
+    folders.forEach((folder, index) => {
+        folders.filter(other => other !== folder).forEach(other => {
+            filesByFolder[folder].forEach(fileName => {
+                if (filesByFolder[other].includes(fileName)) return;
+
+                const caseMatch = filesByFolder[other].find(name => name.toLowerCase() === fileName.toLowerCase());
+                if (!caseMatch) {
+                    problems.push(`"${folder}/${fileName}" has no counterpart in ${other}/`);
+                } else if (index === 0) {
+                    // Reported once, from the first folder's side.
+                    problems.push(`"${folder}/${fileName}" only matches "${other}/${caseMatch}" by case`);
+                }
+            });
+        });
+    });
+
+    return problems;
+}
+
+/**
+ * Builds the manifest for a project folder.
+ *
+ * @param {string} projectDir
+ * @returns {{manifest: object, report: object}}
+ */
+function generateManifest(projectDir) {
+    const lottiesDir = path.join(projectDir, ASSET_ROOT);
+    const manifestPath = path.join(projectDir, 'manifest.json');
+
+    if (!fs.existsSync(lottiesDir)) {
+        throw new Error(`No ${ASSET_ROOT} folder in ${projectDir}`);
+    }
+
+    const existing = fs.existsSync(manifestPath)
+        ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+        : null;
+    const themeFolders = detectThemeFolders(lottiesDir, existing);
+    const folders = themeFolders ? [themeFolders.dark, themeFolders.light] : [''];
+
+    const filesByFolder = {};
+    folders.forEach(folder => {
+        filesByFolder[folder || ASSET_ROOT] = listJsonFiles(path.join(lottiesDir, folder));
+    });
+
+    // The first (dark) folder is what the page loads by default.
+    const primaryFolder = folders[0];
+    const primaryFiles = filesByFolder[primaryFolder || ASSET_ROOT];
+    const allFiles = [...new Set(Object.values(filesByFolder).flat())];
+
+    const info = {};
+    allFiles.forEach(fileName => {
+        const folder = folders.find(name => filesByFolder[name || ASSET_ROOT].includes(fileName));
+        info[fileName] = readLottieInfo(path.join(lottiesDir, folder, fileName));
+    });
+
+    // Sequence-only sections stay without "animations"
+    const sections = existing && Array.isArray(existing.sections)
+        ? existing.sections.map(section => (section.animations ? { ...section, animations: [...section.animations] } : { ...section }))
+        : [];
+
+    const removed = [];
+    sections.filter(section => section.animations).forEach(section => {
+        section.animations = section.animations.filter(animation => {
+            const exists = allFiles.includes(animation.fileName);
+            if (!exists) removed.push(animation.fileName);
+            return exists;
+        });
+    });
+
+    const listed = new Set(sections.flatMap(section => (section.animations || []).map(animation => animation.fileName)));
+    const added = primaryFiles.filter(fileName => !listed.has(fileName));
+
+    if (added.length > 0) {
+        let newSection = sections.find(section => section.id === NEW_SECTION_ID);
+        if (!newSection) {
+            newSection = {
+                id: NEW_SECTION_ID,
+                title: 'New Exports',
+                description: 'Generated from the Lotties folder. Move these into their own sections.',
+                animations: []
+            };
+            sections.push(newSection);
+        }
+        added.forEach(fileName => newSection.animations.push(inferAnimationEntry(fileName, info[fileName])));
+    }
+
+    const manifest = existing && 'renderer' in existing
+        ? { themeFolders, renderer: existing.renderer, sections }
+        : { themeFolders, sections };
+
+    return {
+        manifest,
+        report: {
+            added,
+            removed,
+            unpaired: themeFolders ? findUnpairedFiles(filesByFolder) : [],
+            errors: validateManifest(manifest),
+            files: allFiles.map(fileName => {
+                const { fr, ip, op, w, h, markers } = info[fileName];
+                return { fileName, fr, ip, op, w, h, markers: markers.map(marker => marker.cm) };
+            })
+        }
+    };
+}
+
+/**
+ * Serializes a manifest the way the committed ones are written: 4 spaces,
+ * frame pairs ("loopFrames": [24, 71]) and palettes on one line, so
+ * regenerating an up-to-date manifest changes nothing.
+ *
+ * @param {object} manifest
+ * @returns {string}
+ */
+function formatManifest(manifest) {
+    const palettes = [];
+    const withPlaceholders = {
+        ...manifest,
+        sections: manifest.sections.map(section => {
+            if (!section.palettes || typeof section.palettes !== 'object') return section;
+
+            const placeholders = {};
+            Object.entries(section.palettes).forEach(([name, palette]) => {
+                placeholders[name] = `\u0000palette${palettes.length}`;
+                palettes.push(palette);
+            });
+            return { ...section, palettes: placeholders };
+        })
+    };
+
+    return JSON.stringify(withPlaceholders, null, 4)
+        .replace(/\[\s*(\d+),\s*(\d+)\s*\]/g, '[$1, $2]')
+        .replace(/"\\u0000palette(\d+)"/g, (match, index) => {
+            const pairs = Object.entries(palettes[index]).map(([source, target]) => `${JSON.stringify(source)}: ${JSON.stringify(target)}`);
+            return `{ ${pairs.join(', ')} }`;
+        }) + '\n';
+}
+
+function main(argv) {
+    const args = argv.filter(arg => !arg.startsWith('--'));
+    const dryRun = argv.includes('--dry-run');
+
+    if (args.length !== 1) {
+        console.error('Usage: node tools/generate-manifest.js <projectDir> [--dry-run]');
+        return 1;
+    }
+
+    const projectDir = args[0];
+    let result;
+    try {
+        result = generateManifest(projectDir);
+    } catch (error) {
+        console.error(error.message);
+        return 1;
+    }
+
+    const { manifest, report } = result;
+    // Keep stdout clean for the manifest itself in --dry-run mode.
+    const log = dryRun ? console.error : console.log;
+
+    report.files.forEach(file => {
+        const markers = file.markers.length ? ` markers: ${file.markers.join(', ')}` : '';
+        log(`  ${file.fileName}  ${file.w}x${file.h} @${file.fr}fps  ip ${file.ip} op ${file.op}${markers}`);
+    });
+    report.added.forEach(fileName => log(`+ added ${fileName}`));
+    report.removed.forEach(fileName => log(`- removed ${fileName} (file not found)`));
+    report.unpaired.forEach(problem => console.warn(`! ${problem}`));
+    report.errors.forEach(({ path: where, message }) => console.error(`x ${where}: ${message}`));
+
+    if (report.errors.length > 0) {
+        return 1;
+    }
+
+    const output = formatManifest(manifest);
+    if (dryRun) {
+        process.stdout.write(output);
+    } else {
+        fs.writeFileSync(path.join(projectDir, 'manifest.json'), output);
+        log(`Wrote ${path.join(projectDir, 'manifest.json')}`);
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { generateManifest, formatManifest, inferAnimationEntry, findUnpairedFiles };
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+/**
+ * @file Static linter for the exported Lottie JSON files.
+ *
+ * Usage:
+ *     node tools/lint-lotties.js [projectDir ...]
+ *
+ * Without arguments every project folder with a Lotties/ folder is linted.
+ * Prints a JSON report on stdout and exits with 1 when any error is found.
+ *
+ * Checks:
+ * - no-assets: a given project folder has no Lotties/ folder.
+ * - invalid-json: the file does not parse.
+ * - unsupported-version: "v" is missing or not a bodymovin 5.x export.
+ * - theme-mismatch: fr, w, h or frame count differ between the White and
+ *   Black variants of one animation.
+ * - case-mismatch: the variants only match by case ("idle.json" vs
+ *   "Idle.json"), so one theme 404s on a case-sensitive host.
+ * - frame-range: loop or freeze points (markers, manifest, file name) fall
+ *   outside what LottieCard.buildTimeline() can show for ip/op.
+ * - no-layers / empty-layer: nothing to render, or a layer with no content.
+ * - raster-image: an embedded (base64) or external raster image asset.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const { getTotalFrames, findFramePointProblems, resolveFramePoints } = require('../shared/frame-points.js');
+const { ASSET_ROOT, findProjects, listAssetFolders, findManifestEntry } = require('./projects.js');
+
+const SUPPORTED_MAJOR_VERSION = 5;
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Layer types from the Lottie schema.
+const LAYER_TYPES = { precomp: 0, solid: 1, image: 2, null: 3, shape: 4, text: 5 };
+
+/**
+ * Checks the layers of a composition (top level or precomp asset).
+ *
+ * @param {Array<object>} layers
+ * @param {Map<string, object>} assets - Asset id -> asset.
+ * @param {string} where - Location used in messages.
+ * @param {Function} report
+ */
+function lintLayers(layers, assets, where, report) {
+    layers.forEach((layer, index) => {
+        const label = `${where}layers[${index}] "${layer.nm || ''}"`;
+
+        if (layer.ty === LAYER_TYPES.shape && (!Array.isArray(layer.shapes) || layer.shapes.length === 0)) {
+            report('warning', 'empty-layer', `${label} is a shape layer without shapes`);
+        } else if (layer.ty === LAYER_TYPES.precomp) {
+            const asset = assets.get(layer.refId);
+            if (!asset || !Array.isArray(asset.layers) || asset.layers.length === 0) {
+                report('warning', 'empty-layer', `${label} references an empty or missing precomp "${layer.refId}"`);
+            }
+        }
+
+        if (typeof layer.ip === 'number' && typeof layer.op === 'number' && layer.op <= layer.ip) {
+            report('warning', 'empty-layer', `${label} is never visible (ip ${layer.ip} >= op ${layer.op})`);
+        }
+    });
+}
+
+/**
+ * Lints one parsed Lottie file.
+ *
+ * @param {object} json
+ * @param {object} context - { fileName, manifestEntry }
+ * @param {Function} report - (severity, rule, message) callback.
+ */
+function lintAnimation(json, { fileName, manifestEntry }, report) {
+    const version = typeof json.v === 'string' ? json.v.match(/^(\d+)\.(\d+)\.(\d+)/) : null;
+    if (!version) {
+        report('error', 'unsupported-version', `missing or unparsable version "v": ${JSON.stringify(json.v)}`);
+    } else if (parseInt(version[1], 10) !== SUPPORTED_MAJOR_VERSION) {
+        report('error', 'unsupported-version', `version ${json.v} is not a bodymovin ${SUPPORTED_MAJOR_VERSION}.x export`);
+    }
+
+    ['fr', 'ip', 'op', 'w', 'h'].forEach(key => {
+        if (typeof json[key] !== 'number') {
+            report('error', 'invalid-json', `"${key}" must be a number`);
+        }
+    });
+
+    const totalFrames = getTotalFrames(json);
+    if (totalFrames <= 0) {
+        report('error', 'frame-range', `op ${json.op} must be after ip ${json.ip}`);
+    } else {
+        const { points, conflicts } = resolveFramePoints({ animationJson: json, config: manifestEntry, fileName });
+        conflicts.forEach(conflict => report('warning', 'frame-range', `sources disagree on ${conflict}`));
+        findFramePointProblems(points, totalFrames).forEach(problem => report('error', 'frame-range', problem));
+    }
+
+    const assets = new Map((json.assets || []).map(asset => [asset.id, asset]));
+
+    if (!Array.isArray(json.layers) || json.layers.length === 0) {
+        report('error', 'no-layers', 'the composition has no layers');
+    } else {
+        lintLayers(json.layers, assets, '', report);
+    }
+
+    assets.forEach(asset => {
+        if (Array.isArray(asset.layers)) {
+            lintLayers(asset.layers, assets, `assets["${asset.id}"].`, report);
+        } else if (typeof asset.p === 'string') {
+            const embedded = asset.e === 1 || asset.p.startsWith('data:');
+            report('error', 'raster-image', embedded
+                ? `asset "${asset.id}" embeds a raster image`
+                : `asset "${asset.id}" links the raster image "${asset.u || ''}${asset.p}"`);
+        }
+    });
+}
+
+/**
+ * Compares the variants of one animation across theme folders.
+ *
+ * @param {Array<{folder: string, fileName: string, json: object}>} variants
+ * @param {Function} report
+ */
+function lintVariants(variants, report) {
+    const [first, ...others] = variants;
+    others.forEach(other => {
+        if (first.fileName !== other.fileName) {
+            report('error', 'case-mismatch', `"${first.fileName}" in ${first.folder} vs "${other.fileName}" in ${other.folder}`);
+        }
+        [['fr', 'frame rate'], ['w', 'width'], ['h', 'height']].forEach(([key, label]) => {
+            if (first.json[key] !== other.json[key]) {
+                report('error', 'theme-mismatch', `${label} ${first.json[key]} in ${first.folder} vs ${other.json[key]} in ${other.folder}`);
+            }
+        });
+        if (getTotalFrames(first.json) !== getTotalFrames(other.json)) {
+            report('error', 'theme-mismatch', `frame count ${getTotalFrames(first.json)} in ${first.folder} vs ${getTotalFrames(other.json)} in ${other.folder}`);
+        }
+    });
+}
+
+/**
+ * Lints every JSON file of a project.
+ *
+ * @param {string} projectDir
+ * @returns {{files: number, problems: Array<object>}}
+ */
+function lintProject(projectDir) {
+    const lottiesDir = path.join(projectDir, ASSET_ROOT);
+    const manifestPath = path.join(projectDir, 'manifest.json');
+    const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+    const problems = [];
+    const variantsByName = new Map();
+    let files = 0;
+
+    listAssetFolders(lottiesDir).forEach(folder => {
+        fs.readdirSync(folder).filter(name => name.toLowerCase().endsWith('.json')).forEach(fileName => {
+            const filePath = path.join(folder, fileName);
+            const file = path.relative(ROOT_DIR, filePath);
+            const report = (severity, rule, message) => problems.push({ file, severity, rule, message });
+            files++;
+
+            let json;
+            try {
+                json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            } catch (error) {
+                report('error', 'invalid-json', error.message);
+                return;
+            }
+
+            lintAnimation(json, { fileName, manifestEntry: findManifestEntry(manifest, fileName) }, report);
+
+            // Pair variants case-insensitively so "idle.json" meets "Idle.json"
+            // and lintVariants() reports the mismatch.
+            const key = fileName.toLowerCase();
+            if (!variantsByName.has(key)) variantsByName.set(key, []);
+            variantsByName.get(key).push({ folder: path.relative(ROOT_DIR, folder), fileName, file, json });
+        });
+    });
+
+    variantsByName.forEach(variants => {
+        if (variants.length < 2) return;
+        const report = (severity, rule, message) => problems.push({ file: variants[0].file, severity, rule, message });
+        lintVariants(variants, report);
+    });
+
+    return { files, problems };
+}
+
+function main(argv) {
+    const projects = argv.length > 0 ? argv.map(dir => path.resolve(dir)) : findProjects(ROOT_DIR);
+    const result = { files: 0, errors: 0, warnings: 0, problems: [] };
+
+    projects.forEach(projectDir => {
+        if (!fs.existsSync(path.join(projectDir, ASSET_ROOT))) {
+            result.problems.push({ file: path.relative(ROOT_DIR, projectDir), severity: 'error', rule: 'no-assets', message: `no ${ASSET_ROOT} folder` });
+            return;
+        }
+        const { files, problems } = lintProject(projectDir);
+        result.files += files;
+        result.problems.push(...problems);
+    });
+
+    result.errors = result.problems.filter(problem => problem.severity === 'error').length;
+    result.warnings = result.problems.length - result.errors;
+
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    return result.errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { lintAnimation, lintVariants, lintProject };
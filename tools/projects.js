@@ -0,0 +1,60 @@
+/**
+ * @file Finds the preview projects and their Lottie files for the Node
+ * tools (lint-lotties.js, render-regression.js).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ASSET_ROOT = 'Lotties';
+
+// Never projects: dependencies, and the render goldens (tests/golden mirrors
+// the Lotties folders).
+const SKIPPED_FOLDERS = ['node_modules', 'tests'];
+
+/**
+ * Finds project folders (folders that contain a Lotties/ folder).
+ *
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function findProjects(dir) {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_FOLDERS.includes(entry.name));
+
+    if (entries.some(entry => entry.name === ASSET_ROOT)) {
+        return [dir];
+    }
+    return entries.flatMap(entry => findProjects(path.join(dir, entry.name)));
+}
+
+/**
+ * Lists the theme folders of a project (or the flat Lotties folder).
+ *
+ * @param {string} lottiesDir
+ * @returns {Array<string>} Absolute folder paths.
+ */
+function listAssetFolders(lottiesDir) {
+    const subFolders = fs.readdirSync(lottiesDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(lottiesDir, entry.name));
+    return subFolders.length > 0 ? subFolders : [lottiesDir];
+}
+
+/**
+ * Returns the manifest entry for a file, if the project has a manifest.
+ *
+ * @param {object|null} manifest
+ * @param {string} fileName
+ * @returns {object|undefined}
+ */
+function findManifestEntry(manifest, fileName) {
+    if (!manifest || !Array.isArray(manifest.sections)) return undefined;
+    return manifest.sections
+        .flatMap(section => section.animations || [])
+        .find(animation => animation && animation.fileName === fileName);
+}
+
+module.exports = { ASSET_ROOT, findProjects, listAssetFolders, findManifestEntry };
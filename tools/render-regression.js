@@ -0,0 +1,487 @@
+#!/usr/bin/env node
+/**
+ * @file Visual regression check for the exported Lottie files: renders
+ * chosen frames headlessly and compares them with golden PNGs, so an
+ * accidental change in a re-export (e.g. between Logo V1 and V2) shows up
+ * before it reaches a review.
+ *
+ * Usage:
+ *     node tools/render-regression.js [projectDir ...] [--update]
+ *         [--threshold 0.002] [--width 200] [--report-dir <dir>]
+ *
+ * Without project folders every folder with a Lotties/ folder is checked.
+ *
+ * Needs jsdom and a canvas implementation: node-canvas ("canvas"), or
+ * "@napi-rs/canvas" where node-canvas has no build. The repo has no
+ * package.json, so install them without saving; the committed goldens were
+ * recorded with @napi-rs/canvas (see tests/golden/backend.json):
+ *     npm install --no-save jsdom @napi-rs/canvas
+ *
+ * Frames rendered per file: 0, the loop and freeze points (markers,
+ * manifest or file name), the middle and the last frame, with the vendored
+ * lottie-web canvas renderer. Goldens live in
+ * tests/golden/<project>/Lotties/<theme>/<file>/<frame>.png; --update
+ * (re)records them, to be committed with the re-export they approve.
+ * Anti-aliasing differs between canvas implementations, so record and
+ * compare with the same one: tests/golden/backend.json names the one that
+ * recorded the goldens and a check with another one prints a warning. It
+ * also records --width; a check at another width stops with an error, as
+ * no frame could match.
+ *
+ * A pixel changed when a channel differs by more than PIXEL_TOLERANCE; a
+ * frame changed when more than --threshold of its pixels did. Prints a
+ * JSON report on stdout, writes golden / actual / diff images of every
+ * changed or missing frame and an index.html to the report folder, and
+ * exits with 1 when any frame changed, has no golden or a file could not
+ * be rendered.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getTotalFrames, resolveFramePoints } = require('../shared/frame-points.js');
+const { ASSET_ROOT, findProjects, listAssetFolders, findManifestEntry } = require('./projects.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const GOLDEN_DIR = path.join(ROOT_DIR, 'tests', 'golden');
+const BACKEND_PATH = path.join(GOLDEN_DIR, 'backend.json');
+const LOTTIE_PATH = path.join(ROOT_DIR, 'vendor', 'lottie-web', '5.12.2', 'lottie.min.js');
+const PIXEL_TOLERANCE = 24;
+
+const DEFAULT_OPTIONS = {
+    update: false,
+    threshold: 0.002,
+    width: 200,
+    reportDir: path.join(os.tmpdir(), 'engini-render-report')
+};
+
+/**
+ * @returns {{JSDOM: Function, canvasModule: object, canvasBackend: string}}
+ * canvasBackend is the canvas package and version, e.g. "canvas 2.11.2".
+ * @throws {Error} Naming the packages to install.
+ */
+function requireDependencies() {
+    const missing = [];
+
+    let JSDOM = null;
+    try {
+        ({ JSDOM } = require('jsdom'));
+    } catch (error) {
+        missing.push('jsdom');
+    }
+
+    const canvasName = ['canvas', '@napi-rs/canvas'].find(name => {
+        try {
+            require.resolve(name);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    });
+    if (!canvasName) missing.push('canvas');
+
+    if (missing.length > 0) {
+        throw new Error(`Missing ${missing.join(' and ')}; install with: npm install --no-save ${missing.join(' ')}`);
+    }
+
+    const { version } = require(`${canvasName}/package.json`);
+    return { JSDOM, canvasModule: require(canvasName), canvasBackend: `${canvasName} ${version}` };
+}
+
+/**
+ * Loads the vendored lottie-web into a jsdom window whose <canvas>
+ * elements are real canvases, so mattes and masks (drawn through buffer
+ * canvases) render too.
+ *
+ * @returns {Window} The jsdom window, with window.lottie.
+ */
+function createLottieWindow({ JSDOM, canvasModule }) {
+    const { window } = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only', pretendToBeVisual: true });
+    const createElement = window.document.createElement.bind(window.document);
+
+    window.document.createElement = (tagName, options) => {
+        if (String(tagName).toLowerCase() !== 'canvas') return createElement(tagName, options);
+
+        const canvas = canvasModule.createCanvas(1, 1);
+        canvas.style = {};
+        canvas.setAttribute = () => {};
+        return canvas;
+    };
+
+    window.eval(fs.readFileSync(LOTTIE_PATH, 'utf8'));
+    return window;
+}
+
+/**
+ * The frames a reviewer looks at: start, loop / freeze points, segment
+ * starts, middle, end.
+ *
+ * @param {object} animationJson
+ * @param {object} [config] - The file's manifest entry.
+ * @param {string} fileName
+ * @returns {number[]} Sorted, unique, in range.
+ */
+function pickFrames(animationJson, config, fileName) {
+    const totalFrames = getTotalFrames(animationJson);
+    const { points } = resolveFramePoints({ animationJson, config, fileName });
+
+    const segmentStarts = (config?.segments || []).map(segment => segment.start);
+
+    const frames = [0, points.loopStart, points.loopEnd, points.freeze, ...segmentStarts, Math.floor(totalFrames / 2), totalFrames - 1]
+        .filter(frame => Number.isInteger(frame) && frame >= 0 && frame < totalFrames);
+    return [...new Set(frames)].sort((a, b) => a - b);
+}
+
+/**
+ * Renders frames of one animation with the canvas renderer.
+ *
+ * @returns {Promise<Array<{frame: number, png: Buffer}>>}
+ */
+async function renderFrames(lottie, canvasModule, animationJson, frames, width) {
+    const height = Math.max(1, Math.round((width * animationJson.h) / animationJson.w));
+    const canvas = canvasModule.createCanvas(width, height);
+
+    const player = lottie.loadAnimation({
+        renderer: 'canvas',
+        loop: false,
+        autoplay: false,
+        animationData: animationJson,
+        rendererSettings: { context: canvas.getContext('2d'), clearCanvas: true, dpr: 1 }
+    });
+
+    try {
+        await new Promise((resolve, reject) => {
+            player.addEventListener('DOMLoaded', resolve);
+            player.addEventListener('data_failed', () => reject(new Error('lottie could not read the animation data')));
+        });
+
+        return frames.map(frame => {
+            player.goToAndStop(frame, true);
+            return { frame, png: canvas.toBuffer('image/png') };
+        });
+    } finally {
+        player.destroy();
+    }
+}
+
+/**
+ * @param {object} canvasModule
+ * @param {Buffer} png
+ * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+ */
+async function readPixels(canvasModule, png) {
+    const image = await canvasModule.loadImage(png);
+    const canvas = canvasModule.createCanvas(image.width, image.height);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    return context.getImageData(0, 0, image.width, image.height);
+}
+
+/**
+ * Compares two images of the same size. The diff image shows changed
+ * pixels in red over a faded copy of the new frame.
+ *
+ * @param {{data: Uint8ClampedArray}} expected
+ * @param {{data: Uint8ClampedArray}} actual
+ * @returns {{changedPixels: number, diff: Uint8ClampedArray}}
+ */
+function diffImages(expected, actual) {
+    const diff = new Uint8ClampedArray(actual.data.length);
+    let changedPixels = 0;
+
+    for (let offset = 0; offset < actual.data.length; offset += 4) {
+        let delta = 0;
+        for (let channel = 0; channel < 4; channel++) {
+            delta = Math.max(delta, Math.abs(expected.data[offset + channel] - actual.data[offset + channel]));
+        }
+
+        if (delta > PIXEL_TOLERANCE) {
+            changedPixels++;
+            diff.set([255, 0, 64, 255], offset);
+        } else {
+            const [r, g, b, a] = actual.data.subarray(offset, offset + 4);
+            const luminance = ((0.299 * r + 0.587 * g + 0.114 * b) * a) / 255;
+            const faded = Math.round(255 - (255 - luminance) * 0.25);
+            diff.set([faded, faded, faded, 255], offset);
+        }
+    }
+
+    return { changedPixels, diff };
+}
+
+/**
+ * Compares the settings the goldens were recorded with (backend.json)
+ * with this run's.
+ *
+ * @param {{canvas?: string, width?: number}|null} recorded
+ * @param {{canvas: string, width: number}} current
+ * @returns {{error: string|null, warning: string|null}} error for another
+ * width (every frame would differ in size), warning for another canvas.
+ */
+function compareBackend(recorded, current) {
+    const result = { error: null, warning: null };
+    if (!recorded) return result;
+
+    if (typeof recorded.width === 'number' && recorded.width !== current.width) {
+        result.error = `The goldens were recorded at --width ${recorded.width}, this check renders at ${current.width}. `
+            + `Run it with --width ${recorded.width}, or re-record the goldens with --update.`;
+    }
+    // Goldens recorded with another canvas differ in their anti-aliasing
+    if (recorded.canvas && recorded.canvas !== current.canvas) {
+        result.warning = `The goldens were recorded with ${recorded.canvas}, this check runs ${current.canvas}; expect anti-aliasing differences.`;
+    }
+    return result;
+}
+
+/**
+ * @param {object} canvasModule
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8ClampedArray} data - RGBA.
+ * @returns {Buffer}
+ */
+function encodePng(canvasModule, width, height, data) {
+    const canvas = canvasModule.createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    const imageData = context.createImageData(width, height);
+    imageData.data.set(data);
+    context.putImageData(imageData, 0, 0);
+    return canvas.toBuffer('image/png');
+}
+
+/**
+ * Renders and compares (or records) every file of a project.
+ *
+ * @param {string} projectDir
+ * @param {object} context - lottie, canvasModule and the CLI options.
+ * @returns {Promise<Array<object>>} One result per frame or failed file.
+ */
+async function checkProject(projectDir, { lottie, canvasModule, options, writeReportImages }) {
+    const manifestPath = path.join(projectDir, 'manifest.json');
+    const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : null;
+    const results = [];
+
+    for (const folder of listAssetFolders(path.join(projectDir, ASSET_ROOT))) {
+        const fileNames = fs.readdirSync(folder).filter(name => name.toLowerCase().endsWith('.json')).sort();
+
+        for (const fileName of fileNames) {
+            const file = path.relative(ROOT_DIR, path.join(folder, fileName));
+            const goldenFolder = path.join(GOLDEN_DIR, path.relative(ROOT_DIR, folder), fileName.replace(/\.json$/i, '').trim());
+
+            let rendered;
+            try {
+                const animationJson = JSON.parse(fs.readFileSync(path.join(folder, fileName), 'utf8'));
+                const frames = pickFrames(animationJson, findManifestEntry(manifest, fileName), fileName);
+                rendered = await renderFrames(lottie, canvasModule, animationJson, frames, options.width);
+            } catch (error) {
+                results.push({ file, status: 'error', message: error.message });
+                continue;
+            }
+
+            for (const { frame, png } of rendered) {
+                const goldenPath = path.join(goldenFolder, `${String(frame).padStart(4, '0')}.png`);
+
+                if (options.update) {
+                    fs.mkdirSync(goldenFolder, { recursive: true });
+                    fs.writeFileSync(goldenPath, png);
+                    results.push({ file, frame, status: 'updated' });
+                    continue;
+                }
+
+                if (!fs.existsSync(goldenPath)) {
+                    results.push({ file, frame, status: 'missing', ...writeReportImages(file, frame, { actual: png }) });
+                    continue;
+                }
+
+                const golden = fs.readFileSync(goldenPath);
+                const expected = await readPixels(canvasModule, golden);
+                const actual = await readPixels(canvasModule, png);
+
+                if (expected.width !== actual.width || expected.height !== actual.height) {
+                    results.push({
+                        file,
+                        frame,
+                        status: 'changed',
+                        message: `size ${expected.width}x${expected.height} -> ${actual.width}x${actual.height}`,
+                        ...writeReportImages(file, frame, { golden, actual: png })
+                    });
+                    continue;
+                }
+
+                const { changedPixels, diff } = diffImages(expected, actual);
+                const changedRatio = changedPixels / (actual.width * actual.height);
+                if (changedRatio <= options.threshold) {
+                    results.push({ file, frame, status: 'unchanged', changedRatio });
+                    continue;
+                }
+
+                results.push({
+                    file,
+                    frame,
+                    status: 'changed',
+                    changedRatio,
+                    ...writeReportImages(file, frame, {
+                        golden,
+                        actual: png,
+                        diff: encodePng(canvasModule, actual.width, actual.height, diff)
+                    })
+                });
+            }
+        }
+    }
+
+    return results;
+}
+
+/**
+ * @param {Array<object>} results - Changed and missing frames.
+ * @returns {string}
+ */
+function buildReportHtml(results) {
+    const escape = (text) => String(text).replace(/[&<>"]/g, char => `&#${char.charCodeAt(0)};`);
+    const image = (src) => (src ? `<img src="${escape(src)}" alt="">` : '');
+
+    const rows = results.map(result => `
+        <tr>
+            <td>${escape(result.file)}<br>frame ${result.frame}</td>
+            <td>${escape(result.status)}${result.changedRatio ? `<br>${(result.changedRatio * 100).toFixed(2)}% of pixels` : ''}${result.message ? `<br>${escape(result.message)}` : ''}</td>
+            <td>${image(result.images.golden)}</td>
+            <td>${image(result.images.actual)}</td>
+            <td>${image(result.images.diff)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Lottie render regressions</title>
+<style>
+    body { font-family: monospace; background: #111; color: #ccc; }
+    td { padding: 8px; vertical-align: top; border-bottom: 1px solid #333; }
+    img { width: 200px; background: repeating-conic-gradient(#222 0% 25%, #2a2a2a 0% 50%) 50% / 16px 16px; }
+</style>
+</head>
+<body>
+<h1>${results.length} changed or missing frame(s)</h1>
+<table>
+    <tr><th>Animation</th><th>Status</th><th>Golden</th><th>Now</th><th>Diff</th></tr>${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+function parseArgs(argv) {
+    const options = { ...DEFAULT_OPTIONS, projects: [] };
+
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        if (arg === '--update') {
+            options.update = true;
+        } else if (arg === '--threshold') {
+            options.threshold = Number(argv[++index]);
+        } else if (arg === '--width') {
+            options.width = Number(argv[++index]);
+        } else if (arg === '--report-dir') {
+            options.reportDir = path.resolve(argv[++index]);
+        } else if (arg.startsWith('--')) {
+            throw new Error(`Unknown option ${arg}`);
+        } else {
+            options.projects.push(path.resolve(arg));
+        }
+    }
+
+    if (!(options.threshold >= 0 && options.threshold < 1)) {
+        throw new Error('--threshold must be a ratio between 0 and 1');
+    }
+    if (!(Number.isInteger(options.width) && options.width > 0)) {
+        throw new Error('--width must be a positive number of pixels');
+    }
+    return options;
+}
+
+async function main(argv) {
+    const options = parseArgs(argv);
+    const dependencies = requireDependencies();
+
+    if (!options.update) {
+        const recorded = fs.existsSync(BACKEND_PATH) ? JSON.parse(fs.readFileSync(BACKEND_PATH, 'utf8')) : null;
+        const { error, warning } = compareBackend(recorded, { canvas: dependencies.canvasBackend, width: options.width });
+        if (error) throw new Error(error);
+        if (warning) console.warn(warning);
+    }
+
+    const window = createLottieWindow(dependencies);
+    const projects = options.projects.length > 0 ? options.projects : findProjects(ROOT_DIR);
+
+    fs.rmSync(options.reportDir, { recursive: true, force: true });
+    const writeReportImages = (file, frame, images) => {
+        fs.mkdirSync(options.reportDir, { recursive: true });
+        const baseName = `${file.replace(/[^a-zA-Z0-9]+/g, '-')}-${String(frame).padStart(4, '0')}`;
+        const written = {};
+        Object.entries(images).forEach(([kind, png]) => {
+            written[kind] = `${baseName}-${kind}.png`;
+            fs.writeFileSync(path.join(options.reportDir, written[kind]), png);
+        });
+        return { images: written };
+    };
+
+    const results = [];
+    try {
+        for (const projectDir of projects) {
+            if (!fs.existsSync(path.join(projectDir, ASSET_ROOT))) {
+                results.push({ file: path.relative(ROOT_DIR, projectDir), status: 'error', message: `no ${ASSET_ROOT} folder` });
+                continue;
+            }
+            results.push(...await checkProject(projectDir, {
+                lottie: window.lottie,
+                canvasModule: dependencies.canvasModule,
+                options,
+                writeReportImages
+            }));
+        }
+    } finally {
+        window.close();
+    }
+
+    if (options.update) {
+        fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+        fs.writeFileSync(BACKEND_PATH, JSON.stringify({ canvas: dependencies.canvasBackend, width: options.width }, null, 4) + '\n');
+    }
+
+    const count = (status) => results.filter(result => result.status === status).length;
+    const reported = results.filter(result => result.images);
+    if (reported.length > 0) {
+        fs.writeFileSync(path.join(options.reportDir, 'index.html'), buildReportHtml(reported));
+    }
+
+    const summary = {
+        backend: dependencies.canvasBackend,
+        files: new Set(results.map(result => result.file)).size,
+        frames: results.filter(result => 'frame' in result).length,
+        updated: count('updated'),
+        changed: count('changed'),
+        missing: count('missing'),
+        errors: count('error'),
+        report: reported.length > 0 ? path.join(options.reportDir, 'index.html') : null,
+        results: results.filter(result => result.status !== 'unchanged' && result.status !== 'updated')
+    };
+
+    process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+    // A frame without a golden is not checked, so it fails too
+    return summary.changed > 0 || summary.missing > 0 || summary.errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }).catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { pickFrames, diffImages, compareBackend };